@@ -8,6 +8,8 @@ const SubjectTemplateController = require('./src/controller/subject_service/subj
 const SummaryInitController = require('./src/controller/initialization_report_home/summary_init');
 const MarkManagerController = require('./src/controller/subject_manager_service/mark_manager');
 const ExportController = require('./src/controller/report_service/export');
+const GradingScaleController = require('./src/controller/grading_service/grading_scale');
+const MarkReviewController = require('./src/controller/review_service/mark_review');
 const { dbConnection } = require('./src/model/db');
 
 const app = express();
@@ -17,10 +19,12 @@ const PORT = process.env.PORT || 3000;
 const subjectTemplateController = new SubjectTemplateController();
 const summaryInitController = new SummaryInitController();
 const markManagerController = new MarkManagerController();
+const gradingScaleController = new GradingScaleController();
+const markReviewController = new MarkReviewController();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Roster and marks imports are posted as base64 files
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -50,6 +54,14 @@ app.get('/api/templates/:id', (req, res) => subjectTemplateController.getTemplat
 app.put('/api/templates/:id', (req, res) => subjectTemplateController.updateTemplate(req, res));
 app.delete('/api/templates/:id', (req, res) => subjectTemplateController.deleteTemplate(req, res));
 
+// API Routes for Grading Scales
+app.get('/api/grading-scales', (req, res) => gradingScaleController.getAllScales(req, res));
+app.post('/api/grading-scales', (req, res) => gradingScaleController.createScale(req, res));
+app.get('/api/grading-scales/presets', (req, res) => gradingScaleController.getPresetScales(req, res));
+app.get('/api/grading-scales/:id', (req, res) => gradingScaleController.getScaleById(req, res));
+app.put('/api/grading-scales/:id', (req, res) => gradingScaleController.updateScale(req, res));
+app.delete('/api/grading-scales/:id', (req, res) => gradingScaleController.deleteScale(req, res));
+
 // API Routes for Summary Management
 app.get('/api/summary/years', (req, res) => summaryInitController.getAvailableYears(req, res));
 app.get('/api/summary/names', (req, res) => summaryInitController.getAvailableNames(req, res));
@@ -57,20 +69,63 @@ app.get('/api/summary/tests', (req, res) => summaryInitController.getAvailableTe
 app.get('/api/summary/data', (req, res) => summaryInitController.getSummaryData(req, res));
 app.get('/api/summary/filter', (req, res) => summaryInitController.getSummaryData(req, res));
 app.post('/api/summary/initialize', (req, res) => summaryInitController.initializeSummary(req, res));
+app.post('/api/summary/roster/preview', (req, res) => summaryInitController.previewRosterImport(req, res));
 app.get('/api/summary/statistics', (req, res) => summaryInitController.getSummaryStatistics(req, res));
 app.get('/api/summary/:id', (req, res) => summaryInitController.getSummaryById(req, res));
 app.get('/api/summary/:summaryId/marks', (req, res) => summaryInitController.getMarksBySummary(req, res));
+app.get('/api/summary/:summaryId/students', (req, res) => summaryInitController.getStudentsBySummary(req, res));
+app.put('/api/summary/:summaryId/students', (req, res) => summaryInitController.saveStudentRoster(req, res));
+app.get('/api/summary/:summaryId/grading-scales', (req, res) => gradingScaleController.getSummaryScales(req, res));
+app.put('/api/summary/:summaryId/grading-scales', (req, res) => gradingScaleController.assignSummaryScales(req, res));
+app.get('/api/summary/:summaryId/max-marks', (req, res) => summaryInitController.getMaxMarks(req, res));
+app.put('/api/summary/:summaryId/max-marks', (req, res) => summaryInitController.updateMaxMarks(req, res));
+app.get('/api/summary/:summaryId/test-weights', (req, res) => summaryInitController.getTestWeights(req, res));
+app.put('/api/summary/:summaryId/test-weights', (req, res) => summaryInitController.updateTestWeights(req, res));
+app.get('/api/summary/:summaryId/enrollment', (req, res) => summaryInitController.getEnrollment(req, res));
+app.put('/api/summary/:summaryId/enrollment', (req, res) => summaryInitController.updateEnrollment(req, res));
+app.get('/api/summary/:summaryId/lifecycle', (req, res) => summaryInitController.getLifecycle(req, res));
+app.put('/api/summary/:summaryId/lifecycle', (req, res) => summaryInitController.updateLifecycle(req, res));
+app.post('/api/summary/:summaryId/lifecycle/unlock', (req, res) => summaryInitController.unlockLifecycle(req, res));
 app.delete('/api/summary/:id', (req, res) => summaryInitController.deleteSummary(req, res));
 
 // API Routes for Marks Manager (LinkedList-based)
 app.get('/api/marks/students', (req, res) => markManagerController.getStudentsForLinkedList(req, res));
 app.post('/api/marks/save-bulk', (req, res) => markManagerController.saveMarksFromLinkedList(req, res));
 app.put('/api/marks/single', (req, res) => markManagerController.updateSingleMark(req, res));
+app.post('/api/marks/sync', (req, res) => markManagerController.syncMarks(req, res));
+app.post('/api/marks/outliers', (req, res) => markManagerController.checkMarkOutliers(req, res));
+app.post('/api/marks/transform/preview', (req, res) => markManagerController.previewMarkTransform(req, res));
+app.post('/api/marks/transform/apply', (req, res) => markManagerController.applyMarkTransform(req, res));
 app.get('/api/marks/statistics', (req, res) => markManagerController.getMarksStatistics(req, res));
+app.get('/api/marks/distribution', (req, res) => markManagerController.getGradeDistribution(req, res));
+app.get('/api/marks/history', (req, res) => markManagerController.getMarkHistory(req, res));
+app.get('/api/marks/history/saves', (req, res) => markManagerController.getMarkSaves(req, res));
+app.post('/api/marks/history/revert', (req, res) => markManagerController.revertMarks(req, res));
+app.get('/api/marks/double-entry', (req, res) => markManagerController.getDoubleEntry(req, res));
+app.post('/api/marks/double-entry/pass', (req, res) => markManagerController.saveDoubleEntryPass(req, res));
+app.get('/api/marks/double-entry/compare', (req, res) => markManagerController.compareDoubleEntry(req, res));
+app.post('/api/marks/double-entry/commit', (req, res) => markManagerController.commitDoubleEntry(req, res));
+app.delete('/api/marks/double-entry', (req, res) => markManagerController.discardDoubleEntry(req, res));
+app.post('/api/marks/import/preview', (req, res) => markManagerController.previewMarksImport(req, res));
+app.post('/api/marks/import/apply', (req, res) => markManagerController.applyMarksImport(req, res));
+app.get('/api/marks/live', (req, res) => markManagerController.streamLiveUpdates(req, res));
+app.get('/api/marks/draft', (req, res) => markManagerController.getMarkDraft(req, res));
+app.put('/api/marks/draft', (req, res) => markManagerController.saveMarkDraft(req, res));
+app.delete('/api/marks/draft', (req, res) => markManagerController.discardMarkDraft(req, res));
+app.get('/api/marks/grid', (req, res) => markManagerController.getMarksGrid(req, res));
+app.post('/api/marks/grid/save', (req, res) => markManagerController.saveMarksGrid(req, res));
+
+// Mark Review Routes
+app.get('/api/reviews', (req, res) => markReviewController.getReviewQueue(req, res));
+app.get('/api/reviews/status', (req, res) => markReviewController.getReview(req, res));
+app.post('/api/reviews/submit', (req, res) => markReviewController.submitForReview(req, res));
+app.post('/api/reviews/:reviewId/decision', (req, res) => markReviewController.reviewSubmission(req, res));
 
 // API Routes for Export
 app.get('/api/export/data/:summaryId', (req, res) => ExportController.getExportData(req, res));
 app.get('/api/export/excel/:summaryId', (req, res) => ExportController.exportToExcel(req, res));
+app.get('/api/export/rankings/:summaryId', (req, res) => ExportController.getRankings(req, res));
+app.get('/api/export/progress/:summaryId', (req, res) => ExportController.getProgress(req, res));
 
 // Legacy API Routes for Marks Manager (keeping for backward compatibility)
 app.get('/api/marks/:summaryId/:subject/:testNumber', (req, res) => markManagerController.getMarksData(req, res));
@@ -87,6 +142,8 @@ app.get('/templates/create', (req, res) => {
     res.sendFile(path.join(__dirname, 'src/view/subject_tem_create.html'));
 });
 
+app.get('/grading-scales', (req, res) => gradingScaleController.renderGradingScalesPage(req, res));
+
 // Summary Report Routes
 app.get('/summary', (req, res) => summaryInitController.renderSummaryHome(req, res));
 app.get('/summary/initialization', (req, res) => summaryInitController.renderInitializationPage(req, res));
@@ -97,10 +154,21 @@ app.get('/summary/details/:id', (req, res) => {
 
 // Marks Manager Route
 app.get('/marks_manager', (req, res) => markManagerController.renderMarksManager(req, res));
+// Served from the root so its scope can cover /marks_manager
+app.get('/marks_manager_sw.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'src/view/marks_manager_sw.js'));
+});
+app.get('/marks_grid', (req, res) => markManagerController.renderMarksGrid(req, res));
+
+// Review Queue Route
+app.get('/reviews', (req, res) => markReviewController.renderReviewQueuePage(req, res));
 
 // Export Route
 app.get('/export', (req, res) => ExportController.getExportPage(req, res));
 
+// Student Progress Route
+app.get('/progress', (req, res) => ExportController.getProgressPage(req, res));
+
 // Route to serve index.html
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -0,0 +1,269 @@
+const GradingScaleModel = require('../../model/grading_scale');
+const path = require('path');
+
+class GradingScaleController {
+    constructor() {
+        this.gradingScaleModel = new GradingScaleModel();
+    }
+
+    /**
+     * Serve the grading scales page
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async renderGradingScalesPage(req, res) {
+        try {
+            res.sendFile(path.join(__dirname, '../../view/grading_scales.html'));
+        } catch (error) {
+            console.error('Error serving grading scales page:', error.message);
+            res.status(500).send('Internal server error');
+        }
+    }
+
+    /**
+     * Handle get all grading scales request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getAllScales(req, res) {
+        try {
+            const result = await this.gradingScaleModel.getAllScales();
+
+            if (result.success) {
+                return res.status(200).json({
+                    ...result,
+                    default_scale: GradingScaleModel.DEFAULT_SCALE
+                });
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching grading scales:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                scales: []
+            });
+        }
+    }
+
+    /**
+     * Handle get preset scales request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getPresetScales(req, res) {
+        return res.status(200).json({
+            success: true,
+            presets: GradingScaleModel.PRESET_SCALES
+        });
+    }
+
+    /**
+     * Handle get grading scale by ID request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getScaleById(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await this.gradingScaleModel.getScaleById(id);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else {
+                return res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching grading scale by ID:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Handle grading scale creation request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async createScale(req, res) {
+        try {
+            const { name, description, bands } = req.body;
+
+            // Validation
+            const validation = GradingScaleModel.validateScale({ name, bands });
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: validation.error
+                });
+            }
+
+            // Check if scale name already exists
+            const nameExists = await this.gradingScaleModel.scaleNameExists(name);
+            if (nameExists) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Grading scale name already exists'
+                });
+            }
+
+            const result = await this.gradingScaleModel.createScale({ name, description, bands });
+
+            if (result.success) {
+                return res.status(201).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error creating grading scale:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Handle grading scale update request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async updateScale(req, res) {
+        try {
+            const { id } = req.params;
+            const { name, description, bands } = req.body;
+
+            // Validation
+            const validation = GradingScaleModel.validateScale({ name, bands });
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: validation.error
+                });
+            }
+
+            // Check if new name already exists (excluding current scale)
+            const nameExists = await this.gradingScaleModel.scaleNameExists(name, id);
+            if (nameExists) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Grading scale name already exists'
+                });
+            }
+
+            const result = await this.gradingScaleModel.updateScale(id, { name, description, bands });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else {
+                return res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error updating grading scale:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Handle grading scale deletion request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async deleteScale(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await this.gradingScaleModel.deleteScale(id);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Grading scale not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error deleting grading scale:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Handle get summary grading scale assignment request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getSummaryScales(req, res) {
+        try {
+            const { summaryId } = req.params;
+
+            const result = await this.gradingScaleModel.getSummaryAssignment(summaryId);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else {
+                return res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching summary grading scales:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Handle summary grading scale assignment request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async assignSummaryScales(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { grading_scale_id, subject_grading_scales } = req.body;
+
+            if (subject_grading_scales && (typeof subject_grading_scales !== 'object' || Array.isArray(subject_grading_scales))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'subject_grading_scales must be an object of subject -> scale ID'
+                });
+            }
+
+            const result = await this.gradingScaleModel.assignScalesToSummary(summaryId, {
+                grading_scale_id,
+                subject_grading_scales
+            });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error assigning summary grading scales:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = GradingScaleController;
@@ -1,5 +1,10 @@
 const SummaryInitModel = require('../../model/summary_init');
 const SubjectTemplateModel = require('../../model/subject_tem');
+const StudentModel = require('../../model/student');
+const SpreadsheetImportModel = require('../../model/spreadsheet_import');
+const MaxMarksModel = require('../../model/max_marks');
+const SubjectComponentModel = require('../../model/subject_components');
+const AggregationModel = require('../../model/aggregation');
 const { dbConnection } = require('../../model/db');
 const path = require('path');
 
@@ -7,6 +12,7 @@ class SummaryInitController {
     constructor() {
         this.summaryModel = new SummaryInitModel();
         this.templateModel = new SubjectTemplateModel();
+        this.studentModel = new StudentModel();
         this.initializeDatabase();
     }
 
@@ -153,7 +159,7 @@ class SummaryInitController {
             console.log('Received initialization request');
             console.log('Request body:', JSON.stringify(req.body, null, 2));
             
-            const { summary, marks, subjects } = req.body;
+            const { summary, marks, subjects, students } = req.body;
 
             // Validation
             if (!summary || !marks || !subjects) {
@@ -175,7 +181,7 @@ class SummaryInitController {
             }
 
             // Validate marks data
-            const marksValidation = this.validateMarksData(marks);
+            const marksValidation = this.validateMarksData(marks, summary);
             if (!marksValidation.valid) {
                 console.log('Marks validation failed:', marksValidation.error);
                 return res.status(400).json({
@@ -194,6 +200,27 @@ class SummaryInitController {
                 });
             }
 
+            const componentsValidation = SubjectComponentModel.validateSubjectComponents(summary.components, subjects);
+            if (!componentsValidation.valid) {
+                console.log('Components validation failed:', componentsValidation.error);
+                return res.status(400).json({
+                    success: false,
+                    error: componentsValidation.error
+                });
+            }
+
+            // Validate student roster (optional - placeholders are created when omitted)
+            if (students !== undefined) {
+                const studentsValidation = this.validateStudentsData(students, summary.student_count);
+                if (!studentsValidation.valid) {
+                    console.log('Students validation failed:', studentsValidation.error);
+                    return res.status(400).json({
+                        success: false,
+                        error: studentsValidation.error
+                    });
+                }
+            }
+
             console.log('All validations passed, checking for existing name...');
 
             // Check if summary name already exists
@@ -215,7 +242,8 @@ class SummaryInitController {
             const result = await this.summaryModel.initializeSummary({
                 summary,
                 marks,
-                subjects
+                subjects,
+                students
             });
 
             console.log('Summary initialization result:', result);
@@ -236,6 +264,55 @@ class SummaryInitController {
         }
     }
 
+    /**
+     * Parse an uploaded roster spreadsheet and return a column mapping and validation preview.
+     * Nothing is saved; the client re-posts with an adjusted mapping until the preview is clean.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async previewRosterImport(req, res) {
+        try {
+            const { file_name, file_content, mapping } = req.body;
+
+            const parseResult = SpreadsheetImportModel.parseFile(file_name, file_content);
+            if (!parseResult.success) {
+                return res.status(400).json(parseResult);
+            }
+
+            const columnMapping = mapping && typeof mapping === 'object'
+                ? mapping
+                : SpreadsheetImportModel.detectColumnMapping(parseResult.headers);
+
+            // Validate mapped columns exist in the file
+            for (const field of Object.keys(columnMapping)) {
+                const column = columnMapping[field];
+                if (column !== null && column !== '' && (isNaN(parseInt(column)) || parseInt(column) < 0 || parseInt(column) >= parseResult.headers.length)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Invalid column selected for ${field}`
+                    });
+                }
+            }
+
+            const preview = SpreadsheetImportModel.buildRosterPreview(parseResult.rows, columnMapping);
+
+            return res.status(200).json({
+                success: true,
+                sheet_name: parseResult.sheet_name,
+                headers: parseResult.headers,
+                fields: Object.keys(SpreadsheetImportModel.ROSTER_FIELD_ALIASES),
+                mapping: columnMapping,
+                preview: preview
+            });
+        } catch (error) {
+            console.error('Controller error previewing roster import:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
     /**
      * Get summary details by ID
      * @param {Object} req - Request object
@@ -304,6 +381,374 @@ class SummaryInitController {
         }
     }
 
+    /**
+     * Get the student roster of a summary
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getStudentsBySummary(req, res) {
+        try {
+            const { summaryId } = req.params;
+
+            if (!summaryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Summary ID is required'
+                });
+            }
+
+            const result = await this.studentModel.getStudentsBySummaryId(summaryId);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching students:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                students: []
+            });
+        }
+    }
+
+    /**
+     * Save the student roster of a summary
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async saveStudentRoster(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { students } = req.body;
+
+            if (!summaryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Summary ID is required'
+                });
+            }
+
+            // The roster is validated against the summary's student count by the model
+            const result = await this.studentModel.saveRoster(summaryId, students);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error saving student roster:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Get the maximum marks of a summary
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getMaxMarks(req, res) {
+        try {
+            const { summaryId } = req.params;
+
+            const result = await this.summaryModel.getMaxMarks(summaryId);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching maximum marks:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Update the maximum marks of a summary
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async updateMaxMarks(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { max_marks } = req.body;
+
+            if (!max_marks || typeof max_marks !== 'object' || Array.isArray(max_marks)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'max_marks must be an object of test number -> subject maximum marks'
+                });
+            }
+
+            const result = await this.summaryModel.updateMaxMarks(summaryId, max_marks);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error updating maximum marks:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Get the test weights of a summary
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getTestWeights(req, res) {
+        try {
+            const { summaryId } = req.params;
+
+            const result = await this.summaryModel.getTestWeights(summaryId);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching test weights:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Update the test weights of a summary
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async updateTestWeights(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { test_weights } = req.body;
+
+            if (!test_weights || typeof test_weights !== 'object' || Array.isArray(test_weights)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'test_weights must be an object of test number -> weight'
+                });
+            }
+
+            const result = await this.summaryModel.updateTestWeights(summaryId, test_weights);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error updating test weights:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Get the subjects each student of a summary takes
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getEnrollment(req, res) {
+        try {
+            const { summaryId } = req.params;
+
+            const result = await this.summaryModel.getEnrollment(summaryId);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching enrollment:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Update the subjects students of a summary take
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async updateEnrollment(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { enrollment } = req.body;
+
+            if (!enrollment || typeof enrollment !== 'object' || Array.isArray(enrollment)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'enrollment must be an object of student index -> subjects'
+                });
+            }
+
+            const result = await this.summaryModel.updateEnrollment(summaryId, enrollment);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error updating enrollment:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Get the lifecycle of a summary and its tests
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getLifecycle(req, res) {
+        try {
+            const { summaryId } = req.params;
+
+            const result = await this.summaryModel.getLifecycle(summaryId);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching lifecycle:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Move a summary or one of its tests (test_number) to another lifecycle state
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async updateLifecycle(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { test_number, state, changed_by } = req.body;
+
+            if (!state) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'state is required'
+                });
+            }
+
+            const result = await this.summaryModel.updateLifecycle(summaryId, test_number, { state }, { changed_by });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error updating lifecycle:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Unlock a locked summary or test (test_number) with a reason.
+     * Only callers presenting the server's UNLOCK_KEY are allowed to unlock.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async unlockLifecycle(req, res) {
+        try {
+            const { summaryId } = req.params;
+            const { test_number, reason, changed_by, unlock_key } = req.body;
+
+            if (!process.env.UNLOCK_KEY) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Unlocking is disabled: set UNLOCK_KEY on the server'
+                });
+            }
+
+            if (unlock_key !== process.env.UNLOCK_KEY) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Invalid unlock key'
+                });
+            }
+
+            const result = await this.summaryModel.updateLifecycle(summaryId, test_number, { unlock: true, reason }, { changed_by });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error unlocking:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
     /**
      * Delete a summary report
      * @param {Object} req - Request object
@@ -324,6 +769,8 @@ class SummaryInitController {
             
             if (result.success) {
                 return res.status(200).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
             } else {
                 return res.status(404).json(result);
             }
@@ -344,7 +791,12 @@ class SummaryInitController {
     async getSummaryStatistics(req, res) {
         try {
             const result = await this.summaryModel.getSummaryStatistics();
-            return res.status(200).json(result);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
         } catch (error) {
             console.error('Controller error fetching statistics:', error.message);
             return res.status(500).json({
@@ -416,15 +868,28 @@ class SummaryInitController {
             };
         }
 
+        const maxMarksValidation = MaxMarksModel.validateTestMaxMarks(summary.max_marks, test_count);
+        if (!maxMarksValidation.valid) {
+            return maxMarksValidation;
+        }
+
+        if (summary.test_weights) {
+            const weightsValidation = AggregationModel.validateTestWeights(summary.test_weights, test_count);
+            if (!weightsValidation.valid) {
+                return weightsValidation;
+            }
+        }
+
         return { valid: true };
     }
 
     /**
      * Validate marks data
      * @param {Array} marks - Marks data to validate
+     * @param {Object} summary - Summary the marks belong to (for maximum marks)
      * @returns {Object} Validation result
      */
-    validateMarksData(marks) {
+    validateMarksData(marks, summary = null) {
         if (!Array.isArray(marks)) {
             return {
                 valid: false,
@@ -473,7 +938,10 @@ class SummaryInitController {
             }
 
             // Validate individual marks
-            const marksValidation = SummaryInitModel.validateMarks(markValues);
+            const maxMarks = markValues && typeof markValues === 'object'
+                ? MaxMarksModel.getMaxMarksForTest(summary, Object.keys(markValues), test_number)
+                : {};
+            const marksValidation = SummaryInitModel.validateMarks(markValues, maxMarks);
             if (!marksValidation.valid) {
                 return {
                     valid: false,
@@ -485,6 +953,28 @@ class SummaryInitController {
         return { valid: true };
     }
 
+    /**
+     * Validate students data
+     * @param {Array} students - Student roster to validate
+     * @param {number} studentCount - Expected number of students
+     * @returns {Object} Validation result
+     */
+    validateStudentsData(students, studentCount) {
+        const validation = StudentModel.validateStudents(students, studentCount);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        if (students.length !== studentCount) {
+            return {
+                valid: false,
+                error: `Student roster has ${students.length} students but student count is ${studentCount}`
+            };
+        }
+
+        return { valid: true };
+    }
+
     /**
      * Validate subjects data
      * @param {Array} subjects - Subjects data to validate
@@ -1,10 +1,22 @@
 const { dbConnection } = require('../../model/db');
+const StudentModel = require('../../model/student');
+const MarkStatusModel = require('../../model/mark_status');
+const GradingScaleModel = require('../../model/grading_scale');
+const MaxMarksModel = require('../../model/max_marks');
+const SubjectComponentModel = require('../../model/subject_components');
+const AggregationModel = require('../../model/aggregation');
+const RankingModel = require('../../model/ranking');
+const ProgressModel = require('../../model/progress');
+const DescriptiveStatisticsModel = require('../../model/descriptive_statistics');
+const EnrollmentModel = require('../../model/enrollment');
 const xlsx = require('xlsx');
 const path = require('path');
 
 class ExportController {
     constructor() {
         this.db = null;
+        this.studentModel = new StudentModel();
+        this.gradingScaleModel = new GradingScaleModel();
         this.initializeDatabase();
     }
 
@@ -63,6 +75,28 @@ class ExportController {
         }
     }
 
+    /**
+     * Get student progress page
+     */
+    async getProgressPage(req, res) {
+        try {
+            if (!req.query.summaryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Summary ID is required'
+                });
+            }
+
+            res.sendFile(path.join(__dirname, '../../view/progress.html'));
+        } catch (error) {
+            console.error('Error serving progress page:', error.message);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load progress page'
+            });
+        }
+    }
+
     /**
      * Get summary data by ID
      */
@@ -158,6 +192,26 @@ class ExportController {
                 });
             }
 
+            const tiePolicy = req.query.tiePolicy || RankingModel.DEFAULT_TIE_POLICY;
+            const tiePolicyValidation = RankingModel.validateTiePolicy(tiePolicy);
+            if (!tiePolicyValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: tiePolicyValidation.error
+                });
+            }
+
+            const passMarkValidation = DescriptiveStatisticsModel.validatePassMark(
+                req.query.passMark !== undefined ? req.query.passMark : DescriptiveStatisticsModel.DEFAULT_PASS_MARK
+            );
+            if (!passMarkValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: passMarkValidation.error
+                });
+            }
+            const passMark = passMarkValidation.passMark;
+
             // Get summary data
             const summaryResult = await this.getSummaryById(summaryId);
             if (!summaryResult.success) {
@@ -170,13 +224,27 @@ class ExportController {
                 return res.status(500).json(marksResult);
             }
 
+            // Get student roster
+            const studentsResult = await this.studentModel.getStudentsBySummaryId(summaryId);
+
+            // Resolve the grading scale of each subject
+            const gradingScales = await this.resolveGradingScales(summaryResult.summary, marksResult.marks);
+
             // Organize marks by test number
-            const organizedData = this.organizeMarksByTest(marksResult.marks, summaryResult.summary);
+            const organizedData = this.organizeMarksByTest(marksResult.marks, summaryResult.summary, studentsResult.students, gradingScales, tiePolicy, passMark);
+
+            // Weighted aggregate of all tests (the term/final result)
+            const finalResults = AggregationModel.buildFinalResults(summaryResult.summary, marksResult.marks, studentsResult.students, gradingScales);
 
             return res.json({
                 success: true,
                 summary: summaryResult.summary,
+                students: studentsResult.students,
+                gradingScales: gradingScales,
                 testData: organizedData,
+                finalResults: finalResults,
+                tiePolicy: tiePolicy,
+                passMark: passMark,
                 totalTests: summaryResult.summary.test_count,
                 totalStudents: summaryResult.summary.student_count
             });
@@ -191,10 +259,156 @@ class ExportController {
     }
 
     /**
-     * Organize marks data by test number
+     * Get class positions of each test (or one test): by total, by average and within each subject
+     */
+    async getRankings(req, res) {
+        try {
+            const summaryId = req.params.summaryId;
+            const tiePolicy = req.query.tiePolicy || RankingModel.DEFAULT_TIE_POLICY;
+
+            const tiePolicyValidation = RankingModel.validateTiePolicy(tiePolicy);
+            if (!tiePolicyValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: tiePolicyValidation.error
+                });
+            }
+
+            const summaryResult = await this.getSummaryById(summaryId);
+            if (!summaryResult.success) {
+                return res.status(404).json(summaryResult);
+            }
+
+            const summary = summaryResult.summary;
+            let testNumbers = Array.from({ length: summary.test_count }, (_, i) => i + 1);
+            if (req.query.testNumber !== undefined) {
+                const testNumber = parseInt(req.query.testNumber);
+                if (isNaN(testNumber) || testNumber < 1 || testNumber > summary.test_count) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Test number must be between 1 and ${summary.test_count}`
+                    });
+                }
+                testNumbers = [testNumber];
+            }
+
+            const marksResult = await this.getMarksBySummaryId(summaryId);
+            if (!marksResult.success) {
+                return res.status(500).json(marksResult);
+            }
+
+            const studentsResult = await this.studentModel.getStudentsBySummaryId(summaryId);
+            const organizedData = this.organizeMarksByTest(marksResult.marks, summary, studentsResult.students, {}, tiePolicy);
+
+            const tests = {};
+            testNumbers.forEach(testNum => {
+                const test = organizedData[testNum];
+                tests[testNum] = {
+                    subjects: test.subjects,
+                    students: test.students.map(student => ({
+                        index: student.index,
+                        student_id: student.student_id,
+                        student_name: student.student_name,
+                        admission_number: student.admission_number,
+                        ...student.ranking
+                    }))
+                };
+            });
+
+            return res.json({
+                success: true,
+                summary_id: summaryId,
+                tie_policy: tiePolicy,
+                tests: tests
+            });
+        } catch (error) {
+            console.error('Error getting rankings:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to calculate rankings'
+            });
+        }
+    }
+
+    /**
+     * Get each student's progress across the tests of a summary (or one student's, with `index`):
+     * per-subject deltas, total and position movement, and whether they are improving or declining
+     */
+    async getProgress(req, res) {
+        try {
+            const summaryId = req.params.summaryId;
+            const tiePolicy = req.query.tiePolicy || RankingModel.DEFAULT_TIE_POLICY;
+
+            const tiePolicyValidation = RankingModel.validateTiePolicy(tiePolicy);
+            if (!tiePolicyValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: tiePolicyValidation.error
+                });
+            }
+
+            const summaryResult = await this.getSummaryById(summaryId);
+            if (!summaryResult.success) {
+                return res.status(404).json(summaryResult);
+            }
+
+            const marksResult = await this.getMarksBySummaryId(summaryId);
+            if (!marksResult.success) {
+                return res.status(500).json(marksResult);
+            }
+
+            const studentsResult = await this.studentModel.getStudentsBySummaryId(summaryId);
+            const progress = ProgressModel.buildProgress(summaryResult.summary, marksResult.marks, studentsResult.students, tiePolicy);
+
+            if (req.query.index !== undefined) {
+                const index = parseInt(req.query.index);
+                progress.students = progress.students.filter(student => student.index === index);
+                if (progress.students.length === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Student not found'
+                    });
+                }
+            }
+
+            return res.json({
+                success: true,
+                summary: {
+                    id: summaryResult.summary.id,
+                    name: summaryResult.summary.name,
+                    year: summaryResult.summary.year,
+                    test_count: summaryResult.summary.test_count
+                },
+                tie_policy: tiePolicy,
+                ...progress
+            });
+        } catch (error) {
+            console.error('Error getting student progress:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to calculate student progress'
+            });
+        }
+    }
+
+    /**
+     * Resolve the grading scale of every subject that appears in the marks
      */
-    organizeMarksByTest(marks, summary) {
+    async resolveGradingScales(summary, marks) {
+        const subjects = new Set();
+        marks.forEach(mark => Object.keys(mark.marks || {}).forEach(subject => subjects.add(subject)));
+
+        const resolved = await this.gradingScaleModel.resolveScalesForSummary(summary, Array.from(subjects));
+        return resolved.subjects;
+    }
+
+    /**
+     * Organize marks data by test number, with each student's class positions under the tie policy and
+     * the descriptive statistics of each subject against the pass mark
+     */
+    organizeMarksByTest(marks, summary, students = [], gradingScales = {}, tiePolicy = RankingModel.DEFAULT_TIE_POLICY, passMark = DescriptiveStatisticsModel.DEFAULT_PASS_MARK) {
         const testData = {};
+        const studentLookup = StudentModel.buildIndexLookup(students);
         
         // Initialize test data structure
         for (let testNum = 1; testNum <= summary.test_count; testNum++) {
@@ -202,7 +416,12 @@ class ExportController {
                 testNumber: testNum,
                 students: [],
                 subjects: new Set(),
-                averages: {}
+                maxMarks: {},
+                averages: {},
+                averagePercentages: {},
+                statistics: {},
+                tiePolicy: tiePolicy,
+                passMark: passMark
             };
         }
 
@@ -210,7 +429,37 @@ class ExportController {
         marks.forEach(mark => {
             const testNum = mark.test_number;
             if (testData[testNum]) {
-                testData[testNum].students.push(mark);
+                const student = studentLookup.get(mark.index);
+                const statuses = {};
+                const percentages = {};
+                const grades = {};
+                const enrolled = {};
+                Object.keys(mark.marks || {}).forEach(subject => {
+                    // Marks are stored raw; grades are calculated on the percentage of the subject's maximum
+                    const maxMark = MaxMarksModel.getMaxMark(summary, subject, testNum);
+                    statuses[subject] = MarkStatusModel.getStatus(mark, subject);
+                    enrolled[subject] = EnrollmentModel.isEnrolled(student, subject);
+                    if (!enrolled[subject]) {
+                        percentages[subject] = null;
+                        grades[subject] = '-';
+                        return;
+                    }
+                    percentages[subject] = MarkStatusModel.hasScore(statuses[subject])
+                        ? MaxMarksModel.toPercentage(mark.marks[subject], maxMark)
+                        : null;
+                    grades[subject] = GradingScaleModel.calculateGrade(percentages[subject], gradingScales[subject], statuses[subject]);
+                });
+
+                testData[testNum].students.push({
+                    ...mark,
+                    mark_status: statuses,
+                    percentages: percentages,
+                    grades: grades,
+                    enrolled: enrolled,
+                    student_id: student ? student.id : mark.student_id,
+                    student_name: StudentModel.getDisplayName(student, mark.index),
+                    admission_number: student ? student.admission_number : ''
+                });
                 
                 // Collect all subjects for this test
                 if (mark.marks && typeof mark.marks === 'object') {
@@ -221,36 +470,46 @@ class ExportController {
             }
         });
 
-        // Convert subjects Set to Array and calculate averages
+        // Convert subjects Set to Array, order students by index and calculate averages
         Object.keys(testData).forEach(testNum => {
             testData[testNum].subjects = Array.from(testData[testNum].subjects);
-            testData[testNum].averages = this.calculateTestAverages(testData[testNum].students, testData[testNum].subjects);
+            testData[testNum].students.sort((a, b) => a.index - b.index);
+            testData[testNum].maxMarks = MaxMarksModel.getMaxMarksForTest(summary, testData[testNum].subjects, testNum);
+            testData[testNum].statistics = this.calculateTestStatistics(testData[testNum], gradingScales, passMark);
+            testData[testNum].subjects.forEach(subject => {
+                testData[testNum].averages[subject] = testData[testNum].statistics[subject].mean;
+                testData[testNum].averagePercentages[subject] = testData[testNum].statistics[subject].mean_percentage;
+            });
+
+            const rankings = RankingModel.rankTest(testData[testNum].students, testData[testNum].subjects, summary, testNum, tiePolicy, studentLookup);
+            testData[testNum].students.forEach(student => {
+                student.ranking = rankings.get(student.index);
+            });
         });
 
         return testData;
     }
 
     /**
-     * Calculate average marks for each subject in a test
+     * Calculate the descriptive statistics of each subject in a test (entered marks of enrolled students only; absent,
+     * exempt, medical, pending and not enrolled students are left out rather than counted as zero)
      */
-    calculateTestAverages(students, subjects) {
-        const averages = {};
-        
-        subjects.forEach(subject => {
-            const marks = students
-                .map(student => student.marks[subject])
-                .filter(mark => mark !== null && mark !== undefined && !isNaN(mark))
-                .map(mark => parseFloat(mark));
-            
-            if (marks.length > 0) {
-                const sum = marks.reduce((total, mark) => total + mark, 0);
-                averages[subject] = Math.round((sum / marks.length) * 100) / 100; // Round to 2 decimal places
-            } else {
-                averages[subject] = 0;
-            }
+    calculateTestStatistics(testData, gradingScales = {}, passMark = DescriptiveStatisticsModel.DEFAULT_PASS_MARK) {
+        const statistics = {};
+
+        testData.subjects.forEach(subject => {
+            const marks = testData.students
+                .filter(student => student.enrolled[subject] !== false && MarkStatusModel.hasScore(student.mark_status[subject]))
+                .map(student => parseFloat(student.marks[subject]) || 0);
+
+            statistics[subject] = DescriptiveStatisticsModel.describe(marks, {
+                maxMark: testData.maxMarks[subject],
+                passMark: passMark,
+                gradingScale: gradingScales[subject]
+            });
         });
 
-        return averages;
+        return statistics;
     }
 
     /**
@@ -267,6 +526,26 @@ class ExportController {
                 });
             }
 
+            const tiePolicy = req.query.tiePolicy || RankingModel.DEFAULT_TIE_POLICY;
+            const tiePolicyValidation = RankingModel.validateTiePolicy(tiePolicy);
+            if (!tiePolicyValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: tiePolicyValidation.error
+                });
+            }
+
+            const passMarkValidation = DescriptiveStatisticsModel.validatePassMark(
+                req.query.passMark !== undefined ? req.query.passMark : DescriptiveStatisticsModel.DEFAULT_PASS_MARK
+            );
+            if (!passMarkValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: passMarkValidation.error
+                });
+            }
+            const passMark = passMarkValidation.passMark;
+
             // Get export data
             const summaryResult = await this.getSummaryById(summaryId);
             if (!summaryResult.success) {
@@ -278,20 +557,30 @@ class ExportController {
                 return res.status(500).json(marksResult);
             }
 
+            const studentsResult = await this.studentModel.getStudentsBySummaryId(summaryId);
+            const gradingScales = await this.resolveGradingScales(summaryResult.summary, marksResult.marks);
+
             // Organize data
-            const organizedData = this.organizeMarksByTest(marksResult.marks, summaryResult.summary);
+            const organizedData = this.organizeMarksByTest(marksResult.marks, summaryResult.summary, studentsResult.students, gradingScales, tiePolicy, passMark);
             
             // Create Excel workbook
             const workbook = xlsx.utils.book_new();
             
             // Add summary sheet
-            this.addSummarySheet(workbook, summaryResult.summary);
+            this.addSummarySheet(workbook, summaryResult.summary, gradingScales);
             
             // Add test sheets
             Object.keys(organizedData).forEach(testNum => {
                 this.addTestSheet(workbook, organizedData[testNum], summaryResult.summary);
             });
 
+            // Add the statistics of every subject in every test
+            this.addStatisticsSheet(workbook, organizedData, passMark);
+
+            // Add the weighted final sheet
+            const finalResults = AggregationModel.buildFinalResults(summaryResult.summary, marksResult.marks, studentsResult.students, gradingScales);
+            this.addFinalSheet(workbook, finalResults);
+
             // Generate buffer
             const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
             
@@ -314,7 +603,7 @@ class ExportController {
     /**
      * Add summary information sheet to workbook
      */
-    addSummarySheet(workbook, summary) {
+    addSummarySheet(workbook, summary, gradingScales = {}) {
         const summaryData = [
             ['Summary Report Information'],
             [''],
@@ -327,6 +616,18 @@ class ExportController {
             ['Updated At', new Date(summary.updated_at).toLocaleDateString()]
         ];
 
+        // List the grading scale used for each subject
+        const subjects = Object.keys(gradingScales);
+        if (subjects.length > 0) {
+            summaryData.push(['']);
+            summaryData.push(['Grading Scales']);
+            subjects.forEach(subject => {
+                const scale = gradingScales[subject];
+                const bands = scale.bands.map(band => `${band.grade} ${band.min_mark}+`).join(', ');
+                summaryData.push([subject, `${scale.name} (${bands})`]);
+            });
+        }
+
         const summarySheet = xlsx.utils.aoa_to_sheet(summaryData);
         
         // Set column widths
@@ -346,46 +647,204 @@ class ExportController {
             return; // Skip if no data
         }
 
-        // Create headers
-        const headers = ['Student ID'];
+        // Subjects not out of 100 get their maximum in the header and an extra percentage column
+        const hasPercentage = subject => testData.maxMarks[subject] !== MaxMarksModel.DEFAULT_MAX_MARK;
+
+        // Subjects split into weighted components get one column per component before the weighted total
+        const componentsOf = subject => SubjectComponentModel.getComponents(summary, subject) || [];
+
+        // Create headers (each subject is followed by its grade)
+        const headers = ['Index', 'Admission No', 'Student Name'];
         testData.subjects.forEach(subject => {
-            headers.push(subject);
+            componentsOf(subject).forEach(component => {
+                headers.push(`${subject} ${component.name} (${component.weight}%)`);
+            });
+            if (hasPercentage(subject)) {
+                headers.push(`${subject} (/${testData.maxMarks[subject]})`);
+                headers.push(`${subject} %`);
+            } else {
+                headers.push(subject);
+            }
+            headers.push(`${subject} Grade`);
+            headers.push(`${subject} Position`);
         });
+        headers.push('Total', 'Average %', 'Position (Total)', 'Position (Average)');
+
+        // Unranked students (no entered mark) get an empty cell
+        const position = value => value === null || value === undefined ? '' : value;
 
         // Create data rows
         const rows = [headers];
         
-        testData.students.forEach((student, index) => {
-            const row = [index + 1]; // Use index + 1 as Student ID
+        testData.students.forEach(student => {
+            const row = [student.index, student.admission_number || '', student.student_name];
             testData.subjects.forEach(subject => {
-                row.push(student.marks[subject] || '');
+                const mark = student.marks[subject];
+                const componentMarks = student.component_marks && student.component_marks[subject];
+                if (student.enrolled[subject] === false) {
+                    componentsOf(subject).forEach(() => row.push(''));
+                    row.push('-');
+                    if (hasPercentage(subject)) {
+                        row.push('');
+                    }
+                    row.push('', '');
+                    return;
+                }
+                componentsOf(subject).forEach(component => {
+                    const componentMark = componentMarks ? componentMarks[component.name] : null;
+                    row.push(componentMark === null || componentMark === undefined ? '' : componentMark);
+                });
+                row.push(MarkStatusModel.getDisplayValue(mark === null || mark === undefined ? '' : mark, student.mark_status[subject]));
+                if (hasPercentage(subject)) {
+                    row.push(student.percentages[subject] === null ? '' : student.percentages[subject]);
+                }
+                row.push(student.grades[subject] === '-' ? '' : student.grades[subject]);
+                row.push(position(student.ranking.subject_ranks[subject]));
             });
+            row.push(position(student.ranking.total), position(student.ranking.average));
+            row.push(position(student.ranking.total_rank), position(student.ranking.average_rank));
             rows.push(row);
         });
 
         // Add averages row
         if (testData.subjects.length > 0) {
-            const avgRow = ['AVERAGE'];
+            const avgRow = ['AVERAGE', '', ''];
             testData.subjects.forEach(subject => {
+                componentsOf(subject).forEach(() => avgRow.push(''));
                 avgRow.push(testData.averages[subject] || 0);
+                if (hasPercentage(subject)) {
+                    avgRow.push(testData.averagePercentages[subject] || 0);
+                }
+                avgRow.push('', '');
             });
             rows.push(['']); // Empty row
             rows.push(avgRow);
+            rows.push(['']);
+            rows.push(['AB = Absent, EX = Exempt, MC = Medical, - = Not enrolled; averages include entered marks only; grades use the percentage of the maximum mark']);
+            rows.push([`Positions use ${testData.tiePolicy} ranking for ties; Average % is the mean percentage of the entered subjects`]);
         }
 
         const testSheet = xlsx.utils.aoa_to_sheet(rows);
         
         // Set column widths
         const colWidths = [
-            { width: 15 }, // Student ID
+            { width: 8 },  // Index
+            { width: 15 }, // Admission No
+            { width: 30 }  // Student Name
         ];
-        testData.subjects.forEach(() => {
+        testData.subjects.forEach(subject => {
+            componentsOf(subject).forEach(() => colWidths.push({ width: 12 })); // Component columns
             colWidths.push({ width: 12 }); // Subject columns
+            if (hasPercentage(subject)) {
+                colWidths.push({ width: 8 }); // Percentage columns
+            }
+            colWidths.push({ width: 8 });  // Grade columns
+            colWidths.push({ width: 8 });  // Position columns
         });
+        colWidths.push({ width: 10 }, { width: 10 }, { width: 14 }, { width: 16 }); // Totals and positions
         testSheet['!cols'] = colWidths;
 
         xlsx.utils.book_append_sheet(workbook, testSheet, `Test ${testData.testNumber}`);
     }
+
+    /**
+     * Add the statistics sheet: the descriptive statistics of each subject in each test, one row per subject
+     */
+    addStatisticsSheet(workbook, organizedData, passMark) {
+        const headers = [
+            'Test', 'Subject', 'Max Mark', 'Entered', 'Mean', 'Median', 'Mode', 'Std Dev', 'Lowest',
+            'Q1', 'Q3', 'Highest', 'P10', 'P90', 'Passed', 'Pass Rate %', 'Grades'
+        ];
+        const rows = [[`Statistics of entered marks; pass mark ${passMark}% of the maximum mark`], [''], headers];
+
+        Object.keys(organizedData).forEach(testNum => {
+            const testData = organizedData[testNum];
+            if (testData.students.length === 0) return;
+
+            testData.subjects.forEach(subject => {
+                const statistics = testData.statistics[subject];
+                const grades = Object.keys(statistics.grade_counts)
+                    .map(grade => `${grade}: ${statistics.grade_counts[grade]}`)
+                    .join(', ');
+                rows.push([
+                    `Test ${testNum}`, subject, statistics.max_mark, statistics.count,
+                    statistics.mean, statistics.median, statistics.mode.join(', '), statistics.standard_deviation,
+                    statistics.lowest, statistics.quartiles.q1, statistics.quartiles.q3, statistics.highest,
+                    statistics.percentiles[10], statistics.percentiles[90],
+                    statistics.pass_count, statistics.pass_rate, grades
+                ]);
+            });
+        });
+
+        if (rows.length === 3) {
+            return; // Skip if no data
+        }
+
+        const statisticsSheet = xlsx.utils.aoa_to_sheet(rows);
+        statisticsSheet['!cols'] = headers.map((header, index) => ({ width: index === 1 ? 20 : index === headers.length - 1 ? 40 : 10 }));
+
+        xlsx.utils.book_append_sheet(workbook, statisticsSheet, 'Statistics');
+    }
+
+    /**
+     * Add the final sheet: each subject's weighted percentage across all tests and its grade
+     */
+    addFinalSheet(workbook, finalResults) {
+        if (finalResults.students.length === 0) {
+            return; // Skip if no data
+        }
+
+        const weightsText = Object.keys(finalResults.weights)
+            .map(testNum => `Test ${testNum} = ${finalResults.weights[testNum]}%`)
+            .join(', ');
+
+        const headers = ['Index', 'Admission No', 'Student Name'];
+        finalResults.subjects.forEach(subject => {
+            headers.push(`${subject} %`);
+            headers.push(`${subject} Grade`);
+        });
+        headers.push('Overall %');
+
+        const rows = [[`Weights: ${weightsText}`], [''], headers];
+
+        finalResults.students.forEach(student => {
+            const row = [student.index, student.admission_number || '', student.student_name];
+            finalResults.subjects.forEach(subject => {
+                const result = student.subjects[subject];
+                row.push(result.percentage === null ? '' : result.percentage);
+                row.push(result.grade === '-' ? '' : result.grade);
+            });
+            row.push(student.overall === null ? '' : student.overall);
+            rows.push(row);
+        });
+
+        const avgRow = ['AVERAGE', '', ''];
+        finalResults.subjects.forEach(subject => {
+            avgRow.push(finalResults.averages[subject] === null ? '' : finalResults.averages[subject]);
+            avgRow.push('');
+        });
+        avgRow.push(finalResults.overall_average === null ? '' : finalResults.overall_average);
+        rows.push(['']);
+        rows.push(avgRow);
+        rows.push(['']);
+        rows.push(['Tests without an entered mark (absent, exempt, medical, pending) are left out and the remaining weights rescaled']);
+
+        const finalSheet = xlsx.utils.aoa_to_sheet(rows);
+
+        const colWidths = [
+            { width: 8 },  // Index
+            { width: 15 }, // Admission No
+            { width: 30 }  // Student Name
+        ];
+        finalResults.subjects.forEach(() => {
+            colWidths.push({ width: 12 }); // Percentage columns
+            colWidths.push({ width: 8 });  // Grade columns
+        });
+        colWidths.push({ width: 10 }); // Overall
+        finalSheet['!cols'] = colWidths;
+
+        xlsx.utils.book_append_sheet(workbook, finalSheet, 'Final');
+    }
 }
 
 module.exports = new ExportController();
@@ -0,0 +1,147 @@
+const MarkReviewModel = require('../../model/mark_review');
+const path = require('path');
+
+class MarkReviewController {
+    constructor() {
+        this.markReviewModel = new MarkReviewModel();
+    }
+
+    /**
+     * Serve the review queue page
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async renderReviewQueuePage(req, res) {
+        try {
+            res.sendFile(path.join(__dirname, '../../view/review_queue.html'));
+        } catch (error) {
+            console.error('Error serving review queue page:', error.message);
+            res.status(500).send('Internal server error');
+        }
+    }
+
+    /**
+     * Get the review queue (submissions awaiting review by default)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getReviewQueue(req, res) {
+        try {
+            const { state, year, className } = req.query;
+
+            const result = await this.markReviewModel.getReviewQueue({ state, year, className });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error.startsWith('State must be')) {
+                return res.status(400).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching review queue:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Get the review state of one subject in one test
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getReview(req, res) {
+        try {
+            const { year, className, testNumber, subject } = req.query;
+
+            if (!year || !className || !testNumber || !subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject'
+                });
+            }
+
+            const result = await this.markReviewModel.getReview({ year, className, testNumber, subject });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error fetching review:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Submit the marks of one subject in one test for review
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async submitForReview(req, res) {
+        try {
+            const { filters, changed_by, note } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            const result = await this.markReviewModel.submitForReview(filters, { changed_by, note });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error submitting for review:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Approve or reject a submission
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async reviewSubmission(req, res) {
+        try {
+            const { reviewId } = req.params;
+            const { action, comment, changed_by } = req.body;
+
+            const result = await this.markReviewModel.reviewSubmission(reviewId, action, { comment, changed_by });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Review not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error reviewing submission:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = MarkReviewController;
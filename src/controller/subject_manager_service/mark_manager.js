@@ -1,12 +1,31 @@
 const path = require('path');
 const { dbConnection } = require('../../model/db');
 const MarkManagerModel = require('../../model/mark_manager');
+const DoubleEntryModel = require('../../model/double_entry');
+const MarksImportModel = require('../../model/marks_import');
+const MarksGridModel = require('../../model/marks_grid');
+const MarkDraftModel = require('../../model/mark_draft');
+const MarkSyncModel = require('../../model/mark_sync');
+const MarkOutlierModel = require('../../model/mark_outliers');
+const MarkTransformModel = require('../../model/mark_transform');
+const MarkVersionModel = require('../../model/mark_version');
+const LifecycleModel = require('../../model/lifecycle');
+const { liveUpdates } = require('../../model/live_updates');
+const GradingScaleModel = require('../../model/grading_scale');
+const DescriptiveStatisticsModel = require('../../model/descriptive_statistics');
 const { DLinkedList } = require('../../data_structures/d_linked_list');
 
 class MarkManagerController {
     constructor() {
         this.db = null;
         this.markManagerModel = new MarkManagerModel();
+        this.doubleEntryModel = new DoubleEntryModel();
+        this.marksImportModel = new MarksImportModel();
+        this.marksGridModel = new MarksGridModel();
+        this.markDraftModel = new MarkDraftModel();
+        this.markSyncModel = new MarkSyncModel();
+        this.markOutlierModel = new MarkOutlierModel();
+        this.markTransformModel = new MarkTransformModel();
         this.initializeDatabase();
     }
 
@@ -53,6 +72,20 @@ class MarkManagerController {
         }
     }
 
+    /**
+     * Serve the whole-class marks grid page
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async renderMarksGrid(req, res) {
+        try {
+            res.sendFile(path.join(__dirname, '../../view/marks_grid.html'));
+        } catch (error) {
+            console.error('Error serving marks grid page:', error.message);
+            res.status(500).send('Internal server error');
+        }
+    }
+
     /**
      * Get students data for LinkedList initialization
      * @param {Object} req - Request object
@@ -88,6 +121,11 @@ class MarkManagerController {
             return res.status(200).json({
                 success: true,
                 students: result.students,
+                grading_scale: result.grading_scale,
+                max_mark: result.max_mark,
+                components: result.components,
+                lifecycle_state: result.lifecycle_state,
+                locked: result.locked,
                 summary: result.summary,
                 filters: result.filters,
                 note: result.note || null
@@ -112,74 +150,152 @@ class MarkManagerController {
             console.log('Saving marks from LinkedList - received', req.body.marksData?.length || 0, 'records');
 
             const { marksData, filters } = req.body;
+            const { status, result } = await this.performBulkSave(marksData, filters, this.getChangeContext(req));
 
-            // Validation
-            if (!marksData || !Array.isArray(marksData) || !filters) {
-                console.log('Validation failed: Invalid request data');
-                return res.status(400).json({
+            return res.status(status).json(result);
+        } catch (error) {
+            console.error('Controller error saving marks from LinkedList:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Validate and save a subject's marks in bulk (shared by save-bulk and the offline sync)
+     * @param {Array} marksData - Array of student marks
+     * @param {Object} filters - Filter criteria
+     * @param {Object} context - { changed_by, endpoint }
+     * @returns {Promise<Object>} { status, result } with the HTTP status of the result
+     */
+    async performBulkSave(marksData, filters, context) {
+        // Validation
+        if (!marksData || !Array.isArray(marksData) || !filters) {
+            console.log('Validation failed: Invalid request data');
+            return {
+                status: 400,
+                result: {
                     success: false,
                     error: 'Invalid request data - missing marksData or filters'
-                });
-            }
+                }
+            };
+        }
 
-            const { year, className, testNumber, subject } = filters;
+        const { year, className, testNumber, subject } = filters;
 
-            if (!year || !className || !testNumber || !subject) {
-                console.log('Validation failed: Missing filter parameters');
-                return res.status(400).json({
+        if (!year || !className || !testNumber || !subject) {
+            console.log('Validation failed: Missing filter parameters');
+            return {
+                status: 400,
+                result: {
                     success: false,
                     error: 'Missing required filter parameters'
-                });
-            }
-
-            console.log('Processing marks for:', { year, className, testNumber, subject });
-
-            // Validate marks data
-            const validationErrors = [];
-            marksData.forEach((student, index) => {
-                if (!student.hasOwnProperty('index') || !student.hasOwnProperty('mark')) {
-                    validationErrors.push(`Student at position ${index}: missing index or mark`);
-                    return;
                 }
+            };
+        }
 
-                const markValidation = MarkManagerModel.validateMark(student.mark);
-                if (!markValidation.valid) {
-                    validationErrors.push(`Student ${student.index}: ${markValidation.error}`);
-                }
-            });
+        console.log('Processing marks for:', { year, className, testNumber, subject });
 
-            if (validationErrors.length > 0) {
-                console.log('Validation errors:', validationErrors);
-                return res.status(400).json({
+        const validationErrors = await this.validateMarksData(marksData, filters);
+
+        if (validationErrors.length > 0) {
+            console.log('Validation errors:', validationErrors);
+            return {
+                status: 400,
+                result: {
                     success: false,
                     error: 'Validation errors',
                     details: validationErrors
-                });
-            }
+                }
+            };
+        }
 
-            // Save marks using model
-            const result = await this.markManagerModel.saveMarksInBulk(marksData, filters);
+        const outlierCheck = await this.checkOutliersAcknowledged(marksData, filters);
+        if (outlierCheck) {
+            return outlierCheck;
+        }
 
-            if (!result.success) {
-                return res.status(500).json(result);
-            }
+        // Save marks using model
+        const result = await this.markManagerModel.saveMarksInBulk(marksData, filters, context);
 
-            console.log('Marks saved successfully:', result.updated_count + result.inserted_count, 'records');
-            return res.status(200).json({
+        if (!result.success) {
+            // Marks changed by someone else since they were loaded, or a locked test
+            return { status: result.conflicts ? 409 : result.locked ? 423 : 500, result: result };
+        }
+
+        console.log('Marks saved successfully:', result.updated_count + result.inserted_count, 'records');
+
+        // The saved marks supersede the editor's autosaved draft
+        if (context.changed_by) {
+            await this.markDraftModel.discardDraft(filters, context.changed_by);
+        }
+
+        return {
+            status: 200,
+            result: {
                 success: true,
                 message: 'Marks saved successfully',
                 saved_count: marksData.length,
                 updated_count: result.updated_count,
-                inserted_count: result.inserted_count
-            });
+                inserted_count: result.inserted_count,
+                save_id: result.save_id,
+                versions: result.versions
+            }
+        };
+    }
 
-        } catch (error) {
-            console.error('Controller error saving marks from LinkedList:', error);
-            return res.status(500).json({
-                success: false,
-                error: 'Internal server error: ' + error.message
-            });
+    /**
+     * Refuse a save while any of its new marks has an outlier warning that was not acknowledged
+     * (each entry lists the warning types it acknowledges in acknowledged_warnings)
+     * @param {Array} marksData - Mark entries
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<Object|null>} { status, result } to answer with, or null when the save may go on
+     */
+    async checkOutliersAcknowledged(marksData, filters) {
+        const result = await this.markOutlierModel.checkAcknowledged(filters, { [filters.subject]: marksData });
+        if (!result) {
+            return null;
+        }
+
+        return {
+            status: result.warnings ? 422 : result.error === 'Summary not found' ? 404 : 500,
+            result: result
+        };
+    }
+
+    /**
+     * Validate marks data against the subject's maximum mark, components and enrollment
+     * @param {Array} marksData - Array of student marks
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<Array>} Validation errors (empty when valid)
+     */
+    async validateMarksData(marksData, filters) {
+        const markingConfig = await this.markManagerModel.getSubjectMarkingConfig(filters);
+        const validationErrors = [];
+        marksData.forEach((student, index) => {
+            if (!student.hasOwnProperty('index') || (!student.hasOwnProperty('mark') && !student.status)) {
+                validationErrors.push(`Student at position ${index}: missing index or mark`);
+                return;
+            }
+
+            const markValidation = MarkManagerModel.validateMarkEntry(student, markingConfig.max_mark, markingConfig.components);
+            const versionValidation = MarkVersionModel.validateVersion(student);
+            if (!markValidation.valid) {
+                validationErrors.push(`Student ${student.index}: ${markValidation.error}`);
+            } else if (!versionValidation.valid) {
+                validationErrors.push(`Student ${student.index}: ${versionValidation.error}`);
+            }
+        });
+
+        if (validationErrors.length === 0) {
+            const enrollmentCheck = await this.markManagerModel.checkSubjectEnrollment(filters, marksData.map(student => student.index));
+            if (!enrollmentCheck.valid) {
+                validationErrors.push(enrollmentCheck.error);
+            }
         }
+
+        return validationErrors;
     }
 
     /**
@@ -192,45 +308,93 @@ class MarkManagerController {
             console.log('Updating single mark with data:', req.body);
 
             const { studentData, filters } = req.body;
+            const { status, result } = await this.performSingleMarkUpdate(studentData, filters, this.getChangeContext(req));
 
-            // Validation
-            if (!studentData || !filters) {
-                return res.status(400).json({
+            return res.status(status).json(result);
+        } catch (error) {
+            console.error('Controller error updating single mark:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Validate and update one student's mark (shared by the single mark endpoint and the offline sync)
+     * @param {Object} studentData - Student mark data
+     * @param {Object} filters - Filter criteria
+     * @param {Object} context - { changed_by, endpoint }
+     * @returns {Promise<Object>} { status, result } with the HTTP status of the result
+     */
+    async performSingleMarkUpdate(studentData, filters, context) {
+        // Validation
+        if (!studentData || !filters) {
+            return {
+                status: 400,
+                result: {
                     success: false,
                     error: 'Missing student data or filters'
-                });
-            }
+                }
+            };
+        }
 
-            const { year, className, testNumber, subject } = filters;
+        const { year, className, testNumber, subject } = filters;
 
-            if (!year || !className || !testNumber || !subject) {
-                return res.status(400).json({
+        if (!year || !className || !testNumber || !subject) {
+            return {
+                status: 400,
+                result: {
                     success: false,
                     error: 'Missing required filter parameters'
-                });
-            }
+                }
+            };
+        }
 
-            // Validate mark
-            const markValidation = MarkManagerModel.validateMark(studentData.mark);
-            if (!markValidation.valid) {
-                return res.status(400).json({
+        // Validate mark and status against the subject's maximum mark and components
+        const markingConfig = await this.markManagerModel.getSubjectMarkingConfig(filters);
+        const markValidation = MarkManagerModel.validateMarkEntry(studentData, markingConfig.max_mark, markingConfig.components);
+        if (!markValidation.valid) {
+            return {
+                status: 400,
+                result: {
                     success: false,
                     error: markValidation.error
-                });
-            }
+                }
+            };
+        }
 
-            // Update mark using model
-            const result = await this.markManagerModel.updateSingleMark(studentData, filters);
+        const versionValidation = MarkVersionModel.validateVersion(studentData);
+        if (!versionValidation.valid) {
+            return {
+                status: 400,
+                result: {
+                    success: false,
+                    error: versionValidation.error
+                }
+            };
+        }
 
-            return res.status(200).json(result);
+        const enrollmentCheck = await this.markManagerModel.checkSubjectEnrollment(filters, [studentData.index]);
+        if (!enrollmentCheck.valid) {
+            return {
+                status: 400,
+                result: {
+                    success: false,
+                    error: enrollmentCheck.error
+                }
+            };
+        }
 
-        } catch (error) {
-            console.error('Controller error updating single mark:', error.message);
-            return res.status(500).json({
-                success: false,
-                error: 'Internal server error: ' + error.message
-            });
+        const outlierCheck = await this.checkOutliersAcknowledged([studentData], filters);
+        if (outlierCheck) {
+            return outlierCheck;
         }
+
+        // Update mark using model
+        const result = await this.markManagerModel.updateSingleMark(studentData, filters, context);
+
+        return { status: result.conflicts ? 409 : result.locked ? 423 : 200, result: result };
     }
 
     /**
@@ -250,10 +414,20 @@ class MarkManagerController {
                 });
             }
 
+            const passMarkValidation = DescriptiveStatisticsModel.validatePassMark(
+                req.query.passMark !== undefined ? req.query.passMark : DescriptiveStatisticsModel.DEFAULT_PASS_MARK
+            );
+            if (!passMarkValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: passMarkValidation.error
+                });
+            }
+
             // Get statistics from model
             const result = await this.markManagerModel.getMarksStatistics({
                 year, className, testNumber, subject
-            });
+            }, passMarkValidation.passMark);
 
             return res.status(200).json(result);
 
@@ -266,6 +440,40 @@ class MarkManagerController {
         }
     }
 
+    /**
+     * Get the grade counts and score-band histogram of a subject (or every subject) in a test
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getGradeDistribution(req, res) {
+        try {
+            const { year, className, testNumber, subject } = req.query;
+
+            if (!year || !className || !testNumber) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber'
+                });
+            }
+
+            const result = await this.markManagerModel.getGradeDistribution({ year, className, testNumber, subject });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error getting grade distribution:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
     /**
      * Return mock marks data when database is not available
      * @param {Object} req - Request object
@@ -315,7 +523,8 @@ class MarkManagerController {
     }
 
     /**
-     * Update marks for students
+     * Update marks for students (keyed by student_index), saved like the bulk save. Each mark carries
+     * the version it was loaded at; marks changed elsewhere since then are returned as conflicts (409).
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
@@ -365,38 +574,66 @@ class MarkManagerController {
                 });
             }
 
-            // Update marks in batch
-            const bulkOps = marks.map(markData => {
-                const updateQuery = {
-                    summary_id: summary.id,
-                    test_number: parseInt(testNumber),
-                    index: markData.student_index
-                };
+            const lockCheck = LifecycleModel.checkTestEditable(summary, testNumber);
+            if (!lockCheck.valid) {
+                return res.status(423).json({
+                    success: false,
+                    locked: true,
+                    error: lockCheck.error
+                });
+            }
+
+            // Validate marks against the subject's maximum mark and components
+            const markingConfig = this.markManagerModel.getMarkingConfig(summary, subject, testNumber);
+            for (const markData of marks) {
+                const markValidation = MarkManagerModel.validateMarkEntry(markData, markingConfig.max_mark, markingConfig.components);
+                if (!markValidation.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Student ${markData.student_index}: ${markValidation.error}`
+                    });
+                }
 
-                const updateData = {
-                    $set: {
-                        [`marks.${subject}`]: parseFloat(markData.mark),
-                        updated_at: new Date().toISOString()
-                    }
-                };
+                const versionValidation = MarkVersionModel.validateVersion(markData);
+                if (!versionValidation.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Student ${markData.student_index}: ${versionValidation.error}`
+                    });
+                }
+            }
 
-                return {
-                    updateOne: {
-                        filter: updateQuery,
-                        update: updateData
-                    }
-                };
-            });
+            const enrollmentCheck = await this.markManagerModel.checkEnrollment(summary.id, subject, marks.map(markData => markData.student_index));
+            if (!enrollmentCheck.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: enrollmentCheck.error
+                });
+            }
+
+            const outlierCheck = await this.checkOutliersAcknowledged(
+                marks.map(markData => ({ ...markData, index: markData.student_index })),
+                filters
+            );
+            if (outlierCheck) {
+                return res.status(outlierCheck.status).json(outlierCheck.result);
+            }
 
-            const result = await db.collection('marks').bulkWrite(bulkOps);
+            // Save like the bulk save (versions, history, review and live updates), keyed by index
+            const result = await this.markManagerModel.saveMarksInBulk(
+                marks.map(markData => ({ ...markData, index: markData.student_index })),
+                filters,
+                this.getChangeContext(req)
+            );
 
-            console.log('Bulk update result:', result);
+            if (!result.success) {
+                // Marks changed by someone else since they were loaded, or a locked test
+                return res.status(result.conflicts ? 409 : result.locked ? 423 : 500).json(result);
+            }
 
             return res.status(200).json({
-                success: true,
-                message: 'Marks updated successfully',
-                updated_count: result.modifiedCount,
-                matched_count: result.matchedCount
+                ...result,
+                message: 'Marks updated successfully'
             });
 
         } catch (error) {
@@ -409,35 +646,32 @@ class MarkManagerController {
     }
 
     /**
-     * Export marks data to CSV format
+     * Get the change history of one student's mark
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
-    async exportMarks(req, res) {
+    async getMarkHistory(req, res) {
         try {
-            const { year, className, testNumber, subject } = req.query;
+            const { year, className, testNumber, subject, index } = req.query;
 
-            // Get marks data
-            const marksResponse = await this.getMarksDataInternal(year, className, testNumber, subject);
-            
-            if (!marksResponse.success) {
-                return res.status(400).json(marksResponse);
+            if (!year || !className || !testNumber || !subject || !index) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject, index'
+                });
             }
 
-            // Generate CSV content
-            const csvContent = this.generateCSV(marksResponse.marks, {
-                year, className, testNumber, subject
-            });
-
-            // Set headers for file download
-            const filename = `marks_${className}_${subject}_Test${testNumber}_${year}.csv`;
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-            return res.status(200).send(csvContent);
+            const result = await this.markManagerModel.getMarkHistory({ year, className, testNumber, subject }, index);
 
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
         } catch (error) {
-            console.error('Controller error exporting marks:', error.message);
+            console.error('Controller error getting mark history:', error.message);
             return res.status(500).json({
                 success: false,
                 error: 'Internal server error: ' + error.message
@@ -446,88 +680,840 @@ class MarkManagerController {
     }
 
     /**
-     * Internal method to get marks data
-     * @param {string} year - Year
-     * @param {string} className - Class name
-     * @param {string} testNumber - Test number
-     * @param {string} subject - Subject
-     * @returns {Object} Marks data response
+     * Get the saves recorded for a test and subject
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
      */
-    async getMarksDataInternal(year, className, testNumber, subject) {
-        // Create mock request/response for internal use
-        const mockReq = { query: { year, className, testNumber, subject } };
-        let responseData = null;
-        
-        const mockRes = {
-            status: () => mockRes,
-            json: (data) => { responseData = data; return mockRes; }
-        };
+    async getMarkSaves(req, res) {
+        try {
+            const { year, className, testNumber, subject } = req.query;
 
-        await this.getMarksData(mockReq, mockRes);
-        return responseData;
+            if (!year || !className || !testNumber || !subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject'
+                });
+            }
+
+            const result = await this.markManagerModel.getMarkSaves({ year, className, testNumber, subject });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error getting mark saves:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
     }
 
     /**
-     * Generate CSV content from marks data
-     * @param {Array} marks - Marks data
-     * @param {Object} filters - Filter information
-     * @returns {string} CSV content
+     * Revert one mark change or a whole save to the state before it (with the versions the marks
+     * were loaded at; marks changed since then are returned as conflicts)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
      */
-    generateCSV(marks, filters) {
-        const headers = [
-            'Student Index',
-            'Student Name',
-            'Subject',
-            'Mark',
-            'Grade',
-            'Test Number',
-            'Class',
-            'Year'
-        ];
+    async revertMarks(req, res) {
+        try {
+            const { filters, history_id, save_id, versions } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            if (!history_id === !save_id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Either history_id or save_id is required'
+                });
+            }
+
+            if (!versions || typeof versions !== 'object') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The versions the marks were loaded at are required'
+                });
+            }
+
+            const result = await this.markManagerModel.revertMarks(
+                filters,
+                history_id ? { history_id } : { save_id },
+                versions,
+                this.getChangeContext(req)
+            );
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found' || result.error === 'History entry not found') {
+                return res.status(404).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.conflicts) {
+                return res.status(409).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error reverting marks:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Get which double-entry passes of a subject and test have been entered, and by whom
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getDoubleEntry(req, res) {
+        try {
+            const { year, className, testNumber, subject } = req.query;
+
+            if (!year || !className || !testNumber || !subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject'
+                });
+            }
+
+            const result = await this.doubleEntryModel.getSession({ year, className, testNumber, subject });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error getting double entry:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Stage one double-entry pass of marks
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async saveDoubleEntryPass(req, res) {
+        try {
+            const { marksData, filters, pass } = req.body;
+
+            if (!marksData || !Array.isArray(marksData) || !filters) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid request data - missing marksData or filters'
+                });
+            }
+
+            if (!filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            const validationErrors = await this.validateMarksData(marksData, filters);
+            if (validationErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation errors',
+                    details: validationErrors
+                });
+            }
+
+            const result = await this.doubleEntryModel.savePass(filters, pass, marksData, this.getChangeContext(req));
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error saving double entry pass:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Compare the two double-entry passes of a subject and test
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async compareDoubleEntry(req, res) {
+        try {
+            const { year, className, testNumber, subject } = req.query;
+
+            if (!year || !className || !testNumber || !subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject'
+                });
+            }
+
+            const result = await this.doubleEntryModel.compare({ year, className, testNumber, subject });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error comparing double entry:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Commit verified double-entry marks, with a choice of pass for each mismatch
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async commitDoubleEntry(req, res) {
+        try {
+            const { filters, resolutions, acknowledged_warnings } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            const result = await this.doubleEntryModel.commit(
+                filters,
+                resolutions || {},
+                acknowledged_warnings || {},
+                this.getChangeContext(req)
+            );
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.conflicts) {
+                return res.status(409).json(result);
+            } else if (result.warnings) {
+                return res.status(422).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error committing double entry:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Discard the double-entry passes of a subject and test
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async discardDoubleEntry(req, res) {
+        try {
+            const { year, className, testNumber, subject } = req.query;
+
+            if (!year || !className || !testNumber || !subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject'
+                });
+            }
+
+            const result = await this.doubleEntryModel.discard({ year, className, testNumber, subject });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error discarding double entry:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Parse an uploaded marks spreadsheet for one test and return a column mapping and a dry-run
+     * diff against the saved marks. Nothing is saved; the client re-posts with an adjusted mapping.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async previewMarksImport(req, res) {
+        try {
+            const { filters, file_name, file_content, mapping } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters: year, className, testNumber'
+                });
+            }
+
+            const result = await this.marksImportModel.previewImport(filters, { file_name, file_content }, mapping);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error previewing marks import:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Apply a previewed marks import through the bulk save of each subject
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async applyMarksImport(req, res) {
+        try {
+            const { filters, file_name, file_content, mapping, versions, acknowledged_warnings } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters: year, className, testNumber'
+                });
+            }
+
+            if (!mapping || typeof mapping !== 'object') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The column mapping of the preview is required'
+                });
+            }
+
+            const result = await this.marksImportModel.applyImport(
+                filters,
+                { file_name, file_content },
+                mapping,
+                versions || {},
+                acknowledged_warnings || {},
+                this.getChangeContext(req)
+            );
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.conflicts) {
+                return res.status(409).json(result);
+            } else if (result.warnings) {
+                return res.status(422).json(result);
+            } else if (result.subjects) {
+                return res.status(500).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error applying marks import:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Preview a transformation of one subject's marks in one test
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async previewMarkTransform(req, res) {
+        try {
+            const { filters, transform } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            const result = await this.markTransformModel.previewTransform(filters, transform);
+
+            return res.status(this.getTransformStatus(result)).json(result);
+        } catch (error) {
+            console.error('Controller error previewing mark transformation:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Apply a previewed transformation as one save
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async applyMarkTransform(req, res) {
+        try {
+            const { filters, transform, versions } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            if (!versions || typeof versions !== 'object') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The versions of the preview are required; preview the transformation first'
+                });
+            }
+
+            const result = await this.markTransformModel.applyTransform(filters, transform, versions, this.getChangeContext(req));
+
+            return res.status(this.getTransformStatus(result)).json(result);
+        } catch (error) {
+            console.error('Controller error applying mark transformation:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * HTTP status of a transformation result
+     * @param {Object} result - Preview or apply result
+     * @returns {number} Status code
+     */
+    getTransformStatus(result) {
+        if (result.success) return 200;
+        if (result.error === 'Summary not found') return 404;
+        if (result.conflicts) return 409;
+        if (result.locked) return 423;
+        if (result.error === 'Database not available' || result.error.startsWith('Failed to')) return 500;
+        return 400;
+    }
+
+    /**
+     * Check newly entered marks against each student's earlier tests and the class distribution
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async checkMarkOutliers(req, res) {
+        try {
+            const { marksData, filters } = req.body;
+
+            if (!Array.isArray(marksData) || !filters) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid request data - missing marksData or filters'
+                });
+            }
+
+            const { year, className, testNumber, subject } = filters;
+
+            if (!year || !className || !testNumber || !subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            const result = await this.markOutlierModel.checkMarks(filters, marksData);
+
+            if (!result.success) {
+                return res.status(result.error === 'Summary not found' ? 404 : 500).json(result);
+            }
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('Controller error checking mark outliers:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Apply a batch of marks operations queued offline, in order, and report the result of each.
+     * An operation whose key was already processed is not applied again; its kept result is
+     * returned with replayed set.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async syncMarks(req, res) {
+        try {
+            const { operations } = req.body;
+
+            if (!Array.isArray(operations) || operations.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No operations to sync'
+                });
+            }
+
+            if (operations.length > MarkSyncModel.MAX_BATCH_SIZE) {
+                return res.status(400).json({
+                    success: false,
+                    error: `At most ${MarkSyncModel.MAX_BATCH_SIZE} operations can be synced at once`
+                });
+            }
+
+            const processed = await this.markSyncModel.getProcessed(
+                operations.filter(operation => operation && typeof operation.key === 'string').map(operation => operation.key)
+            );
+
+            const results = [];
+            for (const operation of operations) {
+                const validation = MarkSyncModel.validateOperation(operation);
+                if (!validation.valid) {
+                    results.push({
+                        key: operation && operation.key,
+                        status: 'invalid',
+                        success: false,
+                        error: validation.error
+                    });
+                    continue;
+                }
+
+                const previous = processed.get(operation.key);
+                if (previous) {
+                    results.push({ ...previous.result, key: operation.key, status: previous.status, replayed: true });
+                    continue;
+                }
+
+                // Each operation is attributed to whoever queued it, not whoever synced the batch
+                const context = { ...this.getChangeContext(req), changed_by: operation.changed_by };
+                const { status, result } = operation.type === 'save-bulk'
+                    ? await this.performBulkSave(operation.marksData, operation.filters, context)
+                    : await this.performSingleMarkUpdate(operation.studentData, operation.filters, context);
+
+                const operationStatus = MarkSyncModel.getStatus(status);
+                await this.markSyncModel.recordResult(operation, operationStatus, result);
+                // A key repeated within the batch is only applied once
+                processed.set(operation.key, { status: operationStatus, result: result });
+                results.push({ ...result, key: operation.key, status: operationStatus, replayed: false });
+            }
+
+            const countStatus = status => results.filter(result => result.status === status).length;
+            return res.status(200).json({
+                success: true,
+                message: `Synced ${countStatus('applied')} of ${results.length} operation(s)`,
+                applied_count: countStatus('applied'),
+                conflict_count: countStatus('conflict'),
+                flagged_count: countStatus('flagged'),
+                failed_count: results.length - countStatus('applied') - countStatus('conflict') - countStatus('flagged'),
+                results: results
+            });
+        } catch (error) {
+            console.error('Controller error syncing marks:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
 
-        const rows = marks.map(mark => [
-            mark.student_index,
-            mark.student_name,
-            mark.subject,
-            mark.mark,
-            mark.grade,
-            filters.testNumber,
-            filters.className,
-            filters.year
-        ]);
+    /**
+     * Stream live mark, completion, lock and presence updates of a summary as server-sent events.
+     * Pages that pass a test, subject and user are listed as editing that subject.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async streamLiveUpdates(req, res) {
+        try {
+            const { year, className, testNumber, subject, user } = req.query;
 
-        const csvContent = [
-            headers.join(','),
-            ...rows.map(row => row.join(','))
-        ].join('\n');
+            if (!year || !className) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className'
+                });
+            }
 
-        return csvContent;
+            const db = await this.getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Database not available'
+                });
+            }
+
+            const summary = await this.markManagerModel.findSummary(db, { year, className });
+            if (!summary) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Summary not found'
+                });
+            }
+
+            liveUpdates.subscribe(req, res, {
+                summary_id: summary.id,
+                user: user,
+                test_number: testNumber,
+                subject: subject
+            });
+        } catch (error) {
+            console.error('Controller error streaming live updates:', error.message);
+            if (!res.headersSent) {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Internal server error: ' + error.message
+                });
+            }
+        }
     }
 
     /**
-     * Calculate grade based on mark
-     * @param {number} mark - The mark value
-     * @returns {string} Grade letter
+     * Get the autosaved draft of one person's unsaved marks entry
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async getMarkDraft(req, res) {
+        try {
+            const { year, className, testNumber, subject, user } = req.query;
+
+            if (!year || !className || !testNumber || !subject || !user) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject, user'
+                });
+            }
+
+            const result = await this.markDraftModel.getDraft({ year, className, testNumber, subject }, user);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error getting mark draft:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Autosave one person's unsaved marks entry as a draft
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async saveMarkDraft(req, res) {
+        try {
+            const { filters, user, entries, current_index } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters'
+                });
+            }
+
+            const result = await this.markDraftModel.saveDraft(filters, user, { entries, current_index });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error saving mark draft:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Discard one person's autosaved draft
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
      */
-    calculateGrade(mark) {
-        if (mark >= 90) return 'A+';
-        if (mark >= 85) return 'A';
-        if (mark >= 80) return 'A-';
-        if (mark >= 75) return 'B+';
-        if (mark >= 70) return 'B';
-        if (mark >= 65) return 'B-';
-        if (mark >= 60) return 'C+';
-        if (mark >= 55) return 'C';
-        if (mark >= 50) return 'C-';
-        return 'F';
+    async discardMarkDraft(req, res) {
+        try {
+            const { year, className, testNumber, subject, user } = req.query;
+
+            if (!year || !className || !testNumber || !subject || !user) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber, subject, user'
+                });
+            }
+
+            const result = await this.markDraftModel.discardDraft({ year, className, testNumber, subject }, user);
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error discarding mark draft:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
     }
 
     /**
-     * Get statistics for marks
+     * Get every student's mark in every subject of one test
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
-    async getMarksStatistics(req, res) {
+    async getMarksGrid(req, res) {
+        try {
+            const { year, className, testNumber } = req.query;
+
+            if (!year || !className || !testNumber) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required parameters: year, className, testNumber'
+                });
+            }
+
+            const result = await this.marksGridModel.getGrid({ year, className, testNumber });
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error getting marks grid:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Save the changed cells of the marks grid in one batch
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async saveMarksGrid(req, res) {
+        try {
+            const { filters, changes } = req.body;
+
+            if (!filters || !filters.year || !filters.className || !filters.testNumber) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required filter parameters: year, className, testNumber'
+                });
+            }
+
+            if (!Array.isArray(changes) || changes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No changed cells to save'
+                });
+            }
+
+            const result = await this.marksGridModel.saveGrid(filters, changes, this.getChangeContext(req));
+
+            if (result.success) {
+                return res.status(200).json(result);
+            } else if (result.error === 'Summary not found') {
+                return res.status(404).json(result);
+            } else if (result.conflicts) {
+                return res.status(409).json(result);
+            } else if (result.locked) {
+                return res.status(423).json(result);
+            } else if (result.warnings) {
+                return res.status(422).json(result);
+            } else if (result.subjects) {
+                return res.status(500).json(result);
+            } else {
+                return res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('Controller error saving marks grid:', error.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * Who is making a mark change and through which endpoint, for the mark history
+     * @param {Object} req - Request object
+     * @returns {Object} { changed_by, endpoint }
+     */
+    getChangeContext(req) {
+        return {
+            changed_by: req.body && req.body.changed_by,
+            endpoint: `${req.method} ${req.path}`
+        };
+    }
+
+    /**
+     * Export marks data to CSV format
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async exportMarks(req, res) {
         try {
             const { year, className, testNumber, subject } = req.query;
 
@@ -538,26 +1524,20 @@ class MarkManagerController {
                 return res.status(400).json(marksResponse);
             }
 
-            const marks = marksResponse.marks.map(m => m.mark);
-            
-            // Calculate statistics
-            const stats = {
-                total_students: marks.length,
-                average: marks.length > 0 ? (marks.reduce((a, b) => a + b, 0) / marks.length).toFixed(2) : 0,
-                highest: marks.length > 0 ? Math.max(...marks) : 0,
-                lowest: marks.length > 0 ? Math.min(...marks) : 0,
-                grade_distribution: this.calculateGradeDistribution(marks),
-                pass_rate: this.calculatePassRate(marks)
-            };
-
-            return res.status(200).json({
-                success: true,
-                statistics: stats,
-                filters: { year, className, testNumber, subject }
+            // Generate CSV content
+            const csvContent = this.generateCSV(marksResponse.marks, {
+                year, className, testNumber, subject
             });
 
+            // Set headers for file download
+            const filename = `marks_${className}_${subject}_Test${testNumber}_${year}.csv`;
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+            return res.status(200).send(csvContent);
+
         } catch (error) {
-            console.error('Controller error getting statistics:', error.message);
+            console.error('Controller error exporting marks:', error.message);
             return res.status(500).json({
                 success: false,
                 error: 'Internal server error: ' + error.message
@@ -566,31 +1546,73 @@ class MarkManagerController {
     }
 
     /**
-     * Calculate grade distribution
-     * @param {Array} marks - Array of marks
-     * @returns {Object} Grade distribution
+     * Internal method to get marks data
+     * @param {string} year - Year
+     * @param {string} className - Class name
+     * @param {string} testNumber - Test number
+     * @param {string} subject - Subject
+     * @returns {Object} Marks data response
      */
-    calculateGradeDistribution(marks) {
-        const distribution = {};
+    async getMarksDataInternal(year, className, testNumber, subject) {
+        // Create mock request/response for internal use
+        const mockReq = { query: { year, className, testNumber, subject } };
+        let responseData = null;
         
-        marks.forEach(mark => {
-            const grade = this.calculateGrade(mark);
-            distribution[grade] = (distribution[grade] || 0) + 1;
-        });
+        const mockRes = {
+            status: () => mockRes,
+            json: (data) => { responseData = data; return mockRes; }
+        };
 
-        return distribution;
+        await this.getMarksData(mockReq, mockRes);
+        return responseData;
     }
 
     /**
-     * Calculate pass rate (assuming 50 is passing grade)
-     * @param {Array} marks - Array of marks
-     * @returns {number} Pass rate percentage
+     * Generate CSV content from marks data
+     * @param {Array} marks - Marks data
+     * @param {Object} filters - Filter information
+     * @returns {string} CSV content
      */
-    calculatePassRate(marks) {
-        if (marks.length === 0) return 0;
-        
-        const passCount = marks.filter(mark => mark >= 50).length;
-        return ((passCount / marks.length) * 100).toFixed(2);
+    generateCSV(marks, filters) {
+        const headers = [
+            'Student Index',
+            'Student Name',
+            'Subject',
+            'Mark',
+            'Grade',
+            'Test Number',
+            'Class',
+            'Year'
+        ];
+
+        const rows = marks.map(mark => [
+            mark.student_index,
+            mark.student_name,
+            mark.subject,
+            mark.mark,
+            mark.grade,
+            filters.testNumber,
+            filters.className,
+            filters.year
+        ]);
+
+        const csvContent = [
+            headers.join(','),
+            ...rows.map(row => row.join(','))
+        ].join('\n');
+
+        return csvContent;
+    }
+
+    /**
+     * Calculate grade based on mark
+     * @param {number} mark - The mark value
+     * @param {string} status - Mark status (non-entered statuses return their code, e.g. 'AB')
+     * @param {Object} scale - Grading scale (defaults to the built-in scale)
+     * @returns {string} Grade letter
+     */
+    calculateGrade(mark, status = 'entered', scale = GradingScaleModel.DEFAULT_SCALE) {
+        return GradingScaleModel.calculateGrade(mark, scale, status);
     }
 }
 
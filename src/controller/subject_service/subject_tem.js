@@ -1,4 +1,6 @@
 const SubjectTemplateModel = require('../../model/subject_tem');
+const MaxMarksModel = require('../../model/max_marks');
+const SubjectComponentModel = require('../../model/subject_components');
 const path = require('path');
 
 class SubjectTemplateController {
@@ -13,7 +15,7 @@ class SubjectTemplateController {
      */
     async createTemplate(req, res) {
         try {
-            const { name, subjects } = req.body;
+            const { name, subjects, max_marks, components } = req.body;
 
             // Validation
             if (!name || !name.trim()) {
@@ -30,6 +32,22 @@ class SubjectTemplateController {
                 });
             }
 
+            const maxMarksValidation = MaxMarksModel.validateSubjectMaxMarks(max_marks);
+            if (!maxMarksValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: maxMarksValidation.error
+                });
+            }
+
+            const componentsValidation = SubjectComponentModel.validateSubjectComponents(components, subjects || null);
+            if (!componentsValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: componentsValidation.error
+                });
+            }
+
             // Check if template name already exists
             const nameExists = await this.templateModel.templateNameExists(name);
             if (nameExists) {
@@ -42,7 +60,9 @@ class SubjectTemplateController {
             // Create template
             const result = await this.templateModel.createTemplate({
                 name: name.trim(),
-                subjects: subjects.filter(subject => subject && subject.trim()) // Remove empty subjects
+                subjects: subjects.filter(subject => subject && subject.trim()), // Remove empty subjects
+                max_marks,
+                components
             });
 
             if (result.success) {
@@ -123,7 +143,7 @@ class SubjectTemplateController {
     async updateTemplate(req, res) {
         try {
             const { id } = req.params;
-            const { name, subjects } = req.body;
+            const { name, subjects, max_marks, components } = req.body;
 
             if (!id) {
                 return res.status(400).json({
@@ -147,6 +167,22 @@ class SubjectTemplateController {
                 });
             }
 
+            const maxMarksValidation = MaxMarksModel.validateSubjectMaxMarks(max_marks);
+            if (!maxMarksValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: maxMarksValidation.error
+                });
+            }
+
+            const componentsValidation = SubjectComponentModel.validateSubjectComponents(components, subjects || null);
+            if (!componentsValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: componentsValidation.error
+                });
+            }
+
             // Check if new name already exists (excluding current template)
             if (name) {
                 const nameExists = await this.templateModel.templateNameExists(name, id);
@@ -161,6 +197,8 @@ class SubjectTemplateController {
             const updateData = {};
             if (name) updateData.name = name.trim();
             if (subjects) updateData.subjects = subjects.filter(subject => subject && subject.trim());
+            if (max_marks) updateData.max_marks = max_marks;
+            if (components) updateData.components = components;
 
             const result = await this.templateModel.updateTemplate(id, updateData);
             
@@ -202,13 +202,14 @@ class SelectionSort {
      * Sort students with grade calculation and maintain original indexes
      * @param {Array} students - Array of student objects
      * @param {boolean} ascending - Sort order
+     * @param {Object} scale - Grading scale resolved by the server
      * @returns {Array} - Sorted students with calculated grades
      */
-    static sortStudentsWithGrades(students, ascending = true) {
+    static sortStudentsWithGrades(students, ascending = true, scale = null) {
         // Add grade calculation to each student
         const studentsWithGrades = students.map(student => {
             const mark = student.mark || 0;
-            const grade = this.calculateGrade(mark);
+            const grade = this.calculateGrade(mark, student.status, scale);
             
             return {
                 ...student,
@@ -224,19 +225,17 @@ class SelectionSort {
     /**
      * Calculate grade based on mark
      * @param {number} mark - Student's mark
-     * @returns {string} - Grade letter
+     * @param {string} status - Mark status; absent/exempt/medical return their code and pending returns '-'
+     * @param {Object} scale - Grading scale resolved by the server ({ bands: [{ grade, min_mark }] }, highest first)
+     * @returns {string} - Grade letter ('-' until a scale is given)
      */
-    static calculateGrade(mark) {
-        if (mark >= 90) return 'A+';
-        if (mark >= 85) return 'A';
-        if (mark >= 80) return 'A-';
-        if (mark >= 75) return 'B+';
-        if (mark >= 70) return 'B';
-        if (mark >= 65) return 'B-';
-        if (mark >= 60) return 'C+';
-        if (mark >= 55) return 'C';
-        if (mark >= 50) return 'C-';
-        return 'F';
+    static calculateGrade(mark, status = 'entered', scale = null) {
+        const statusCodes = { absent: 'AB', exempt: 'EX', medical: 'MC', pending: '-' };
+        if (statusCodes[status]) return statusCodes[status];
+        if (!scale || !Array.isArray(scale.bands) || scale.bands.length === 0) return '-';
+
+        const band = scale.bands.find(b => mark >= b.min_mark);
+        return band ? band.grade : scale.bands[scale.bands.length - 1].grade;
     }
     
     /**
@@ -0,0 +1,197 @@
+const StudentModel = require('./student');
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+const GradingScaleModel = require('./grading_scale');
+const EnrollmentModel = require('./enrollment');
+
+class AggregationModel {
+    /**
+     * Get the weight of each test in the final result.
+     * Summaries store test_weights as { testNumber: weight }; without them every test weighs the same.
+     * @param {Object} summary - Summary record
+     * @returns {Object} Map of test number -> weight (adding up to 100)
+     */
+    static getTestWeights(summary) {
+        const testCount = parseInt(summary.test_count) || 0;
+        const weights = {};
+
+        if (summary.test_weights && AggregationModel.validateTestWeights(summary.test_weights, testCount).valid) {
+            for (let testNumber = 1; testNumber <= testCount; testNumber++) {
+                weights[testNumber] = parseFloat(summary.test_weights[testNumber]) || 0;
+            }
+            return weights;
+        }
+
+        for (let testNumber = 1; testNumber <= testCount; testNumber++) {
+            weights[testNumber] = Math.round((100 / testCount) * 100) / 100;
+        }
+        return weights;
+    }
+
+    /**
+     * Validate test weights: a weight from 0 to 100 for known tests, adding up to 100
+     * @param {Object} weights - Map of test number -> weight
+     * @param {number} testCount - Number of tests in the summary
+     * @returns {Object} Validation result
+     */
+    static validateTestWeights(weights, testCount) {
+        if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+            return { valid: false, error: 'Test weights must be an object of test number -> weight' };
+        }
+
+        let total = 0;
+        for (const testNumber of Object.keys(weights)) {
+            const testNum = parseInt(testNumber);
+            if (isNaN(testNum) || testNum < 1 || testNum > testCount) {
+                return { valid: false, error: `Invalid test number ${testNumber} in test weights` };
+            }
+
+            const weight = parseFloat(weights[testNumber]);
+            if (isNaN(weight) || weight < 0 || weight > 100) {
+                return { valid: false, error: `Weight of test ${testNumber} must be between 0 and 100` };
+            }
+            total += weight;
+        }
+
+        if (Math.abs(total - 100) > 0.01) {
+            return { valid: false, error: `Test weights must add up to 100 (currently ${Math.round(total * 100) / 100})` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Normalize test weights to { "1": number, ... }, filling missing tests with 0
+     * @param {Object} weights - Map of test number -> weight
+     * @param {number} testCount - Number of tests in the summary
+     * @returns {Object} Normalized test weights
+     */
+    static normalizeTestWeights(weights, testCount) {
+        const normalized = {};
+        for (let testNumber = 1; testNumber <= testCount; testNumber++) {
+            normalized[String(testNumber)] = parseFloat(weights[testNumber]) || 0;
+        }
+        return normalized;
+    }
+
+    /**
+     * Calculate a student's weighted result in one subject.
+     * Each test contributes its percentage of the maximum mark times its weight. Tests without an
+     * entered mark (absent, exempt, medical, pending) are left out and the remaining weights are rescaled.
+     * @param {Object} recordsByTest - Map of test number -> marks record of the student
+     * @param {string} subject - Subject name
+     * @param {Object} summary - Summary record
+     * @param {Object} weights - Map of test number -> weight
+     * @returns {Object} { percentage, weight_counted, complete }
+     */
+    static calculateSubjectResult(recordsByTest, subject, summary, weights) {
+        let weightedTotal = 0;
+        let weightCounted = 0;
+        let weightExpected = 0;
+
+        Object.keys(weights).forEach(testNumber => {
+            const weight = weights[testNumber];
+            if (!(weight > 0)) return;
+            weightExpected += weight;
+
+            const record = recordsByTest[testNumber];
+            if (!record || !record.marks || !(subject in record.marks)) return;
+            if (!MarkStatusModel.hasScore(MarkStatusModel.getStatus(record, subject))) return;
+
+            const maxMark = MaxMarksModel.getMaxMark(summary, subject, testNumber);
+            weightedTotal += MaxMarksModel.toPercentage(record.marks[subject], maxMark) * weight;
+            weightCounted += weight;
+        });
+
+        return {
+            percentage: weightCounted > 0 ? Math.round((weightedTotal / weightCounted) * 100) / 100 : null,
+            weight_counted: Math.round(weightCounted * 100) / 100,
+            complete: weightExpected > 0 && Math.abs(weightCounted - weightExpected) < 0.01
+        };
+    }
+
+    /**
+     * Build the final (weighted aggregate) results of a summary
+     * @param {Object} summary - Summary record
+     * @param {Array} marks - All marks records of the summary
+     * @param {Array} students - Student roster
+     * @param {Object} gradingScales - Map of subject -> grading scale
+     * @returns {Object} { weights, subjects, students, averages, overall_average }
+     */
+    static buildFinalResults(summary, marks, students = [], gradingScales = {}) {
+        const weights = AggregationModel.getTestWeights(summary);
+        const studentLookup = StudentModel.buildIndexLookup(students);
+        const subjects = new Set();
+        const recordsByStudent = new Map();
+
+        marks.forEach(record => {
+            Object.keys(record.marks || {}).forEach(subject => subjects.add(subject));
+            if (!recordsByStudent.has(record.index)) {
+                recordsByStudent.set(record.index, {});
+            }
+            recordsByStudent.get(record.index)[record.test_number] = record;
+        });
+
+        const subjectList = Array.from(subjects);
+        const results = [];
+
+        recordsByStudent.forEach((recordsByTest, index) => {
+            const student = studentLookup.get(index);
+            const subjectResults = {};
+            const percentages = [];
+
+            subjectList.forEach(subject => {
+                // Subjects the student does not take have no result and stay out of the averages
+                if (!EnrollmentModel.isEnrolled(student, subject)) {
+                    subjectResults[subject] = { percentage: null, weight_counted: 0, complete: true, grade: '-', enrolled: false };
+                    return;
+                }
+
+                const result = AggregationModel.calculateSubjectResult(recordsByTest, subject, summary, weights);
+                result.enrolled = true;
+                result.grade = result.percentage === null
+                    ? '-'
+                    : GradingScaleModel.calculateGrade(result.percentage, gradingScales[subject]);
+                subjectResults[subject] = result;
+
+                if (result.percentage !== null) {
+                    percentages.push(result.percentage);
+                }
+            });
+
+            results.push({
+                index: index,
+                student_id: student ? student.id : null,
+                student_name: StudentModel.getDisplayName(student, index),
+                admission_number: student ? student.admission_number : '',
+                subjects: subjectResults,
+                overall: percentages.length > 0
+                    ? Math.round((percentages.reduce((sum, value) => sum + value, 0) / percentages.length) * 100) / 100
+                    : null
+            });
+        });
+
+        results.sort((a, b) => a.index - b.index);
+
+        const average = values => values.length > 0
+            ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+            : null;
+
+        const averages = {};
+        subjectList.forEach(subject => {
+            averages[subject] = average(results
+                .map(result => result.subjects[subject].percentage)
+                .filter(value => value !== null));
+        });
+
+        return {
+            weights: weights,
+            subjects: subjectList,
+            students: results,
+            averages: averages,
+            overall_average: average(results.map(result => result.overall).filter(value => value !== null))
+        };
+    }
+}
+
+module.exports = AggregationModel;
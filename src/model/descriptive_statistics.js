@@ -0,0 +1,149 @@
+const MaxMarksModel = require('./max_marks');
+const GradingScaleModel = require('./grading_scale');
+
+// Descriptive statistics of the entered marks of a subject in a test, shared by the marks manager, the
+// export page and the Excel export so they always report the same numbers. Statistics are calculated on
+// raw marks; the pass rate and grade counts use the percentage of the maximum mark, like grades do.
+// Quartiles and percentiles interpolate between the two nearest marks (the same as Excel's PERCENTILE.INC).
+const DEFAULT_PASS_MARK = 50; // Percentage of the maximum mark
+const PERCENTILES = [10, 25, 50, 75, 90];
+const BAND_WIDTH = 10; // Percentage points per band of the score histogram
+
+const round = value => Math.round(value * 100) / 100;
+
+class DescriptiveStatisticsModel {
+    /**
+     * Validate a pass mark (a percentage of the maximum mark)
+     * @param {*} value - Pass mark
+     * @returns {Object} Validation result
+     */
+    static validatePassMark(value) {
+        const passMark = parseFloat(value);
+        if (isNaN(passMark) || passMark < 0 || passMark > 100) {
+            return { valid: false, error: 'Pass mark must be a percentage between 0 and 100' };
+        }
+        return { valid: true, passMark: passMark };
+    }
+
+    /**
+     * Percentile of sorted values, interpolating between the two nearest values
+     * @param {Array} sorted - Values sorted from lowest to highest
+     * @param {number} percentile - Percentile (0-100)
+     * @returns {number} Percentile value (0 when there are no values)
+     */
+    static percentile(sorted, percentile) {
+        if (sorted.length === 0) return 0;
+
+        const position = (sorted.length - 1) * percentile / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+    }
+
+    /**
+     * Most frequent values. Marks that all appear once have no mode.
+     * @param {Array} values - Values
+     * @returns {Array} Modes, lowest first
+     */
+    static modes(values) {
+        const frequencies = new Map();
+        values.forEach(value => {
+            const key = round(value);
+            frequencies.set(key, (frequencies.get(key) || 0) + 1);
+        });
+
+        const highest = Math.max(0, ...frequencies.values());
+        if (highest < 2) return [];
+        return [...frequencies.keys()].filter(value => frequencies.get(value) === highest).sort((a, b) => a - b);
+    }
+
+    /**
+     * Histogram of marks in bands of 10 percentage points of the maximum mark (0-9%, 10-19%, ... 90-100%)
+     * @param {Array} scores - Raw marks
+     * @param {number} maxMark - Maximum mark
+     * @returns {Array} Bands ({ label, min, max, count }), lowest first
+     */
+    static scoreBands(scores, maxMark = MaxMarksModel.DEFAULT_MAX_MARK) {
+        const bands = [];
+        for (let start = 0; start < 100; start += BAND_WIDTH) {
+            const end = start + BAND_WIDTH >= 100 ? 100 : start + BAND_WIDTH - 1;
+            bands.push({ label: `${start}-${end}%`, min: start, max: end, count: 0 });
+        }
+        scores.forEach(mark => {
+            const band = Math.min(Math.floor(MaxMarksModel.toPercentage(mark, maxMark) / BAND_WIDTH), bands.length - 1);
+            bands[Math.max(band, 0)].count++;
+        });
+        return bands;
+    }
+
+    /**
+     * Describe a set of entered marks
+     * @param {Array} scores - Raw marks (entered marks of enrolled students only)
+     * @param {Object} options - { maxMark, passMark (percentage), gradingScale }
+     * @returns {Object} { count, mean, median, mode, standard_deviation, lowest, highest, range, quartiles,
+     * interquartile_range, percentiles, max_mark, *_percentage, pass_mark, pass_count, fail_count, pass_rate, grade_counts, bands }
+     */
+    static describe(scores, options = {}) {
+        const maxMark = options.maxMark || MaxMarksModel.DEFAULT_MAX_MARK;
+        const passMark = options.passMark !== undefined && options.passMark !== null ? options.passMark : DEFAULT_PASS_MARK;
+        const bands = (options.gradingScale && options.gradingScale.bands) || GradingScaleModel.DEFAULT_SCALE.bands;
+
+        const sorted = scores.map(score => parseFloat(score)).filter(score => !isNaN(score)).sort((a, b) => a - b);
+        const count = sorted.length;
+        const mean = count > 0 ? sorted.reduce((sum, mark) => sum + mark, 0) / count : 0;
+        const standardDeviation = count > 0
+            ? Math.sqrt(sorted.reduce((sum, mark) => sum + Math.pow(mark - mean, 2), 0) / count)
+            : 0;
+        const lowest = count > 0 ? sorted[0] : 0;
+        const highest = count > 0 ? sorted[count - 1] : 0;
+
+        const percentiles = {};
+        PERCENTILES.forEach(percentile => {
+            percentiles[percentile] = DescriptiveStatisticsModel.percentile(sorted, percentile);
+        });
+        const quartiles = { q1: percentiles[25], q2: percentiles[50], q3: percentiles[75] };
+
+        // Every grade of the scale is listed, highest first, so empty grades show as 0
+        const gradeCounts = {};
+        bands.forEach(band => {
+            gradeCounts[band.grade] = 0;
+        });
+        let passCount = 0;
+        sorted.forEach(mark => {
+            const percentage = MaxMarksModel.toPercentage(mark, maxMark);
+            gradeCounts[GradingScaleModel.calculateGrade(percentage, { bands: bands })]++;
+            if (percentage >= passMark) passCount++;
+        });
+
+        return {
+            count: count,
+            mean: round(mean),
+            median: quartiles.q2,
+            mode: DescriptiveStatisticsModel.modes(sorted),
+            standard_deviation: round(standardDeviation),
+            lowest: lowest,
+            highest: highest,
+            range: round(highest - lowest),
+            quartiles: quartiles,
+            interquartile_range: round(quartiles.q3 - quartiles.q1),
+            percentiles: percentiles,
+            max_mark: maxMark,
+            mean_percentage: MaxMarksModel.toPercentage(mean, maxMark),
+            median_percentage: MaxMarksModel.toPercentage(quartiles.q2, maxMark),
+            standard_deviation_percentage: MaxMarksModel.toPercentage(standardDeviation, maxMark),
+            lowest_percentage: MaxMarksModel.toPercentage(lowest, maxMark),
+            highest_percentage: MaxMarksModel.toPercentage(highest, maxMark),
+            pass_mark: passMark,
+            pass_count: passCount,
+            fail_count: count - passCount,
+            pass_rate: count > 0 ? round(passCount / count * 100) : 0,
+            grade_counts: gradeCounts,
+            bands: DescriptiveStatisticsModel.scoreBands(sorted, maxMark)
+        };
+    }
+}
+
+DescriptiveStatisticsModel.DEFAULT_PASS_MARK = DEFAULT_PASS_MARK;
+DescriptiveStatisticsModel.PERCENTILES = PERCENTILES;
+
+module.exports = DescriptiveStatisticsModel;
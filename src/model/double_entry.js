@@ -0,0 +1,505 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+const MarkStatusModel = require('./mark_status');
+const MarkHistoryModel = require('./mark_history');
+const MarkOutlierModel = require('./mark_outliers');
+const MarkVersionModel = require('./mark_version');
+
+// Double-entry verification: two people enter the same subject marks independently into a staging
+// collection, and the marks only reach the marks collection once both passes agree or every mismatch is resolved.
+// Each staged entry keeps the version of the saved mark it was entered against; committing sends the
+// earliest of the two, so a mark changed elsewhere since the first pass is a conflict.
+const PASSES = [1, 2];
+const RESOLUTIONS = ['first', 'second'];
+
+class DoubleEntryModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.markOutlierModel = new MarkOutlierModel();
+        this.markHistoryModel = new MarkHistoryModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('DoubleEntryModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('DoubleEntryModel: Database connection ready');
+        } catch (error) {
+            console.error('DoubleEntryModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * State of one entered mark, in the shape the mark history records it
+     * @param {Object} entry - Entered mark ({ mark, status, component_marks })
+     * @returns {Object} { mark, status, component_marks }
+     */
+    static getEntryState(entry) {
+        const status = entry.status || 'entered';
+        const hasScore = MarkStatusModel.hasScore(status);
+        const componentMarks = entry.component_marks && Object.keys(entry.component_marks).length > 0
+            ? entry.component_marks
+            : null;
+        return {
+            mark: hasScore ? parseFloat(entry.mark) : null,
+            status: status,
+            component_marks: hasScore ? componentMarks : null
+        };
+    }
+
+    /**
+     * Version of the saved mark both passes were entered against: the earliest one staged
+     * @param {Object|undefined} a - Entry of the first pass
+     * @param {Object|undefined} b - Entry of the second pass
+     * @returns {number|null} Version (null when neither entry recorded one)
+     */
+    static getBaseVersion(a, b) {
+        const versions = [a, b].filter(entry => entry && Number.isInteger(entry.version)).map(entry => entry.version);
+        return versions.length > 0 ? Math.min(...versions) : null;
+    }
+
+    /**
+     * Compare the two passes student by student. A student missing from one pass is a mismatch.
+     * @param {Array} firstEntries - Entries of the first pass ({ index, student_id, version, state })
+     * @param {Array} secondEntries - Entries of the second pass
+     * @returns {Object} { matches, mismatches } with mismatches as { index, student_id, version, first, second }
+     */
+    static compareEntries(firstEntries, secondEntries) {
+        const first = new Map(firstEntries.map(entry => [entry.index, entry]));
+        const second = new Map(secondEntries.map(entry => [entry.index, entry]));
+        const indexes = [...new Set([...first.keys(), ...second.keys()])].sort((a, b) => a - b);
+
+        const matches = [];
+        const mismatches = [];
+        indexes.forEach(index => {
+            const a = first.get(index);
+            const b = second.get(index);
+            const studentId = (a && a.student_id) || (b && b.student_id) || null;
+            const version = DoubleEntryModel.getBaseVersion(a, b);
+
+            if (a && b && MarkHistoryModel.isSameState(a.state, b.state)) {
+                matches.push({ index, student_id: studentId, version, state: a.state });
+            } else {
+                mismatches.push({
+                    index,
+                    student_id: studentId,
+                    version,
+                    first: a ? a.state : null,
+                    second: b ? b.state : null
+                });
+            }
+        });
+
+        return { matches, mismatches };
+    }
+
+    /**
+     * Describe a staged session without revealing its marks, so the second person enters blind
+     * @param {Object|null} session - Staged session
+     * @returns {Object} { passes: { 1: { entered_by, saved_at, count } | null, 2: ... } }
+     */
+    static describeSession(session) {
+        const passes = {};
+        PASSES.forEach(pass => {
+            const saved = session && session.passes ? session.passes[pass] : null;
+            passes[pass] = saved
+                ? { entered_by: saved.entered_by, saved_at: saved.saved_at, count: saved.entries.length }
+                : null;
+        });
+        return {
+            id: session ? session.id : null,
+            passes: passes,
+            ready: PASSES.every(pass => passes[pass] !== null)
+        };
+    }
+
+    /**
+     * Find the summary selected by the filters and the query of its staged session
+     * @param {Object} db - Database instance
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @returns {Promise<Object>} { summary, query } (summary is null when not found)
+     */
+    async findTarget(db, filters) {
+        const summary = await this.markManagerModel.findSummary(db, filters);
+        return {
+            summary: summary,
+            query: summary ? {
+                summary_id: summary.id,
+                test_number: parseInt(filters.testNumber),
+                subject: filters.subject
+            } : null
+        };
+    }
+
+    /**
+     * Get which passes of the subject and test have been entered, and by whom
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @returns {Promise<Object>} Result with session
+     */
+    async getSession(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const { summary, query } = await this.findTarget(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const session = await db.collection('double_entries').findOne(query);
+
+            return {
+                success: true,
+                session: DoubleEntryModel.describeSession(session)
+            };
+        } catch (error) {
+            console.error('Model error fetching double entry session:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch double entry session: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Stage one pass of marks. Every student of the pass needs a recorded mark or status, and the
+     * two passes must be entered by different people. Entering a pass again replaces it. Each entry
+     * keeps the version of the saved mark it was loaded at (the current one when not given).
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {number} pass - 1 or 2
+     * @param {Array} marksData - Entered marks ({ index, student_id, mark, status, component_marks, version })
+     * @param {Object} context - { changed_by }
+     * @returns {Promise<Object>} Result with session
+     */
+    async savePass(filters, pass, marksData, context = {}) {
+        try {
+            pass = parseInt(pass);
+            if (!PASSES.includes(pass)) {
+                return {
+                    success: false,
+                    error: 'Pass must be 1 or 2'
+                };
+            }
+
+            const enteredBy = (context.changed_by || '').toString().trim();
+            if (!enteredBy) {
+                return {
+                    success: false,
+                    error: 'Enter your name: double entry needs to know who entered each pass'
+                };
+            }
+
+            const pending = marksData.filter(studentData => !MarkStatusModel.isRecorded(DoubleEntryModel.getEntryState(studentData).status));
+            if (pending.length > 0) {
+                return {
+                    success: false,
+                    error: `${pending.length} student(s) have no mark; a pass must record every student`
+                };
+            }
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const { summary, query } = await this.findTarget(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const lockCheck = this.markManagerModel.checkTestEditable(summary, filters.testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
+            const session = await db.collection('double_entries').findOne(query);
+            const otherPass = session && session.passes ? session.passes[pass === 1 ? 2 : 1] : null;
+            if (otherPass && otherPass.entered_by.toLowerCase() === enteredBy.toLowerCase()) {
+                return {
+                    success: false,
+                    error: `The other pass was entered by ${otherPass.entered_by}; the second pass must be entered by someone else`
+                };
+            }
+
+            // A pass loaded before versions were sent keeps the version current when it is saved
+            const records = await this.markHistoryModel.getRecordsByIndex(
+                summary.id,
+                parseInt(filters.testNumber),
+                marksData.map(studentData => studentData.index)
+            );
+
+            const currentTime = new Date().toISOString();
+            await db.collection('double_entries').updateOne(
+                query,
+                {
+                    $set: {
+                        [`passes.${pass}`]: {
+                            entered_by: enteredBy,
+                            saved_at: currentTime,
+                            entries: marksData.map(studentData => ({
+                                index: parseInt(studentData.index),
+                                student_id: studentData.student_id || null,
+                                version: MarkVersionModel.validateVersion(studentData).valid
+                                    ? Number(studentData.version)
+                                    : MarkVersionModel.getVersion(records.get(parseInt(studentData.index)), filters.subject),
+                                state: DoubleEntryModel.getEntryState(studentData)
+                            }))
+                        },
+                        updated_at: currentTime
+                    },
+                    $setOnInsert: {
+                        id: this.generateSessionId(),
+                        ...query,
+                        created_at: currentTime
+                    }
+                },
+                { upsert: true }
+            );
+
+            return {
+                success: true,
+                message: `Pass ${pass} saved for verification`,
+                session: DoubleEntryModel.describeSession(await db.collection('double_entries').findOne(query))
+            };
+        } catch (error) {
+            console.error('Model error saving double entry pass:', error.message);
+            return {
+                success: false,
+                error: 'Failed to save double entry pass: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Load a staged session with both passes entered
+     * @param {Object} db - Database instance
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<Object>} Result with summary and session
+     */
+    async getReadySession(db, filters) {
+        const { summary, query } = await this.findTarget(db, filters);
+        if (!summary) {
+            return {
+                success: false,
+                error: 'Summary not found'
+            };
+        }
+
+        const session = await db.collection('double_entries').findOne(query);
+        if (!DoubleEntryModel.describeSession(session).ready) {
+            return {
+                success: false,
+                error: 'Both passes must be entered before they can be compared'
+            };
+        }
+
+        return {
+            success: true,
+            summary: summary,
+            session: session
+        };
+    }
+
+    /**
+     * Compare the two passes of the subject and test
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @returns {Promise<Object>} Result with match count and mismatches
+     */
+    async compare(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const sessionResult = await this.getReadySession(db, filters);
+            if (!sessionResult.success) {
+                return sessionResult;
+            }
+
+            const { passes } = sessionResult.session;
+            const { matches, mismatches } = DoubleEntryModel.compareEntries(passes[1].entries, passes[2].entries);
+
+            return {
+                success: true,
+                session: DoubleEntryModel.describeSession(sessionResult.session),
+                match_count: matches.length,
+                mismatches: mismatches
+            };
+        } catch (error) {
+            console.error('Model error comparing double entry passes:', error.message);
+            return {
+                success: false,
+                error: 'Failed to compare double entry passes: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Commit the verified marks: matching entries as entered, each mismatch with the pass chosen
+     * for it. The marks are saved like any other save (history, versions, locks) and the staged
+     * session is removed. A mark changed elsewhere since the passes were entered is a conflict, and
+     * the session is kept so it can be discarded or entered again.
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {Object} resolutions - Map of student index -> 'first' or 'second'
+     * @param {Object} acknowledgedWarnings - Map of student index -> outlier warning types acknowledged for the mark
+     * @param {Object} context - { changed_by, endpoint }
+     * @returns {Promise<Object>} Result of the save
+     */
+    async commit(filters, resolutions = {}, acknowledgedWarnings = {}, context = {}) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const sessionResult = await this.getReadySession(db, filters);
+            if (!sessionResult.success) {
+                return sessionResult;
+            }
+
+            const { passes } = sessionResult.session;
+            const { matches, mismatches } = DoubleEntryModel.compareEntries(passes[1].entries, passes[2].entries);
+
+            const unresolved = mismatches.filter(mismatch => {
+                const choice = resolutions[mismatch.index];
+                return !RESOLUTIONS.includes(choice) || mismatch[choice] === null;
+            });
+            if (unresolved.length > 0) {
+                return {
+                    success: false,
+                    error: `${unresolved.length} mismatch(es) need to be resolved before committing`,
+                    unresolved: unresolved.map(mismatch => mismatch.index)
+                };
+            }
+
+            const marksData = [
+                ...matches,
+                ...mismatches.map(mismatch => ({ ...mismatch, state: mismatch[resolutions[mismatch.index]] }))
+            ].map(entry => ({
+                index: entry.index,
+                student_id: entry.student_id,
+                mark: entry.state.mark,
+                status: entry.state.status,
+                component_marks: entry.state.component_marks || {},
+                version: entry.version,
+                acknowledged_warnings: acknowledgedWarnings[entry.index] || []
+            }));
+
+            const outlierCheck = await this.markOutlierModel.checkAcknowledged(filters, { [filters.subject]: marksData });
+            if (outlierCheck) {
+                return outlierCheck;
+            }
+
+            const result = await this.markManagerModel.saveMarksInBulk(marksData, filters, context);
+            if (!result.success) {
+                return result;
+            }
+
+            await db.collection('double_entries').deleteOne({ id: sessionResult.session.id });
+
+            return {
+                ...result,
+                message: `Verified marks committed (${matches.length} matched, ${mismatches.length} resolved)`,
+                saved_count: marksData.length,
+                match_count: matches.length,
+                resolved_count: mismatches.length
+            };
+        } catch (error) {
+            console.error('Model error committing double entry:', error.message);
+            return {
+                success: false,
+                error: 'Failed to commit double entry: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Discard the staged passes of the subject and test
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @returns {Promise<Object>} Result
+     */
+    async discard(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const { summary, query } = await this.findTarget(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const result = await db.collection('double_entries').deleteOne(query);
+
+            return {
+                success: true,
+                message: result.deletedCount > 0 ? 'Double entry passes discarded' : 'No double entry passes to discard'
+            };
+        } catch (error) {
+            console.error('Model error discarding double entry:', error.message);
+            return {
+                success: false,
+                error: 'Failed to discard double entry: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Generate unique double entry session ID
+     * @returns {string} Unique session ID
+     */
+    generateSessionId() {
+        return 'DBL_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9).toUpperCase();
+    }
+}
+
+DoubleEntryModel.PASSES = PASSES;
+DoubleEntryModel.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = DoubleEntryModel;
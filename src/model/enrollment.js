@@ -0,0 +1,89 @@
+class EnrollmentModel {
+    /**
+     * Whether a student takes a subject.
+     * Roster records store enrolled_subjects as an array of subject names; students without one
+     * (or without a roster record) take every subject of the summary.
+     * @param {Object|undefined} student - Roster record
+     * @param {string} subject - Subject name
+     * @returns {boolean}
+     */
+    static isEnrolled(student, subject) {
+        if (!student || !Array.isArray(student.enrolled_subjects)) {
+            return true;
+        }
+        return student.enrolled_subjects.includes(subject);
+    }
+
+    /**
+     * Resolve the subjects a student takes
+     * @param {Object|undefined} student - Roster record
+     * @param {Array} subjects - Subjects of the summary
+     * @returns {Array} Enrolled subjects, in summary order
+     */
+    static getEnrolledSubjects(student, subjects) {
+        return subjects.filter(subject => EnrollmentModel.isEnrolled(student, subject));
+    }
+
+    /**
+     * Count the students of a class enrolled in a subject (indexes without a roster record count as enrolled)
+     * @param {Map} studentLookup - Map of index -> roster record
+     * @param {number} studentCount - Number of students in the class
+     * @param {string} subject - Subject name
+     * @returns {number} Enrolled students
+     */
+    static countEnrolled(studentLookup, studentCount, subject) {
+        let count = 0;
+        for (let index = 1; index <= studentCount; index++) {
+            if (EnrollmentModel.isEnrolled(studentLookup.get(index), subject)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Validate an enrollment update ({ index: [subjects] }): known students, known subjects and at least one subject each
+     * @param {Object} enrollment - Map of student index -> enrolled subjects
+     * @param {Array} subjects - Subjects of the summary
+     * @param {number} studentCount - Number of students in the class
+     * @returns {Object} Validation result
+     */
+    static validateEnrollment(enrollment, subjects, studentCount) {
+        if (!enrollment || typeof enrollment !== 'object' || Array.isArray(enrollment)) {
+            return { valid: false, error: 'Enrollment must be an object of student index -> subjects' };
+        }
+
+        for (const key of Object.keys(enrollment)) {
+            const index = parseInt(key);
+            if (isNaN(index) || index < 1 || index > studentCount) {
+                return { valid: false, error: `Invalid student index ${key} in enrollment` };
+            }
+
+            const enrolled = enrollment[key];
+            if (!Array.isArray(enrolled) || enrolled.length === 0) {
+                return { valid: false, error: `Student ${index} must take at least one subject` };
+            }
+
+            const unknown = enrolled.find(subject => !subjects.includes(subject));
+            if (unknown !== undefined) {
+                return { valid: false, error: `Unknown subject for student ${index}: ${unknown}` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Normalize the subjects of one student: summary order without duplicates,
+     * or null when the student takes every subject
+     * @param {Array} enrolled - Enrolled subjects
+     * @param {Array} subjects - Subjects of the summary
+     * @returns {Array|null} Subjects to store
+     */
+    static normalizeSubjects(enrolled, subjects) {
+        const normalized = subjects.filter(subject => enrolled.includes(subject));
+        return normalized.length === subjects.length ? null : normalized;
+    }
+}
+
+module.exports = EnrollmentModel;
@@ -1,4 +1,8 @@
 const { dbConnection } = require('./db');
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+const DescriptiveStatisticsModel = require('./descriptive_statistics');
+const SubjectComponentModel = require('./subject_components');
 
 class ExportModel {
     constructor() {
@@ -123,36 +127,41 @@ class ExportModel {
     }
 
     /**
-     * Calculate statistics for marks data
+     * Calculate statistics for marks data (see DescriptiveStatisticsModel.describe, plus the average, min and max
+     * keys used before). Subjects with components use their weighted total, and also get the average of each component.
      */
-    calculateMarkStatistics(marks, subjects) {
+    calculateMarkStatistics(marks, subjects, maxMarks = {}, summary = null, options = {}) {
         const statistics = {};
+        const gradingScales = options.gradingScales || {};
 
         subjects.forEach(subject => {
-            const subjectMarks = marks
-                .map(mark => mark.marks[subject])
-                .filter(mark => mark !== null && mark !== undefined && !isNaN(mark))
-                .map(mark => parseFloat(mark));
-
-            if (subjectMarks.length > 0) {
-                const sum = subjectMarks.reduce((total, mark) => total + mark, 0);
-                const average = sum / subjectMarks.length;
-                const min = Math.min(...subjectMarks);
-                const max = Math.max(...subjectMarks);
-
-                statistics[subject] = {
-                    average: Math.round(average * 100) / 100,
-                    min: min,
-                    max: max,
-                    count: subjectMarks.length
-                };
-            } else {
-                statistics[subject] = {
-                    average: 0,
-                    min: 0,
-                    max: 0,
-                    count: 0
-                };
+            const enteredMarks = marks.filter(mark => MarkStatusModel.hasScore(MarkStatusModel.getStatus(mark, subject)));
+            const subjectMarks = enteredMarks.map(mark => parseFloat(mark.marks[subject]) || 0);
+            const description = DescriptiveStatisticsModel.describe(subjectMarks, {
+                maxMark: maxMarks[subject],
+                passMark: options.passMark,
+                gradingScale: gradingScales[subject]
+            });
+
+            statistics[subject] = {
+                ...description,
+                average: description.mean,
+                average_percentage: description.mean_percentage,
+                min: description.lowest,
+                max: description.highest
+            };
+
+            const components = SubjectComponentModel.getComponents(summary, subject);
+            if (components && subjectMarks.length > 0) {
+                statistics[subject].components = {};
+                components.forEach(component => {
+                    const componentMarks = enteredMarks
+                        .map(mark => mark.component_marks && mark.component_marks[subject] ? parseFloat(mark.component_marks[subject][component.name]) : NaN)
+                        .filter(value => !isNaN(value));
+                    statistics[subject].components[component.name] = componentMarks.length > 0
+                        ? Math.round((componentMarks.reduce((total, value) => total + value, 0) / componentMarks.length) * 100) / 100
+                        : 0;
+                });
             }
         });
 
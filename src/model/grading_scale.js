@@ -0,0 +1,609 @@
+const { dbConnection } = require('./db');
+const { ObjectId } = require('mongodb');
+const LifecycleModel = require('./lifecycle');
+
+// Scale used when neither the summary nor the subject has one assigned
+const DEFAULT_SCALE = {
+    scale_id: null,
+    name: 'Default (A+ to F)',
+    description: 'Built-in letter grade scale',
+    bands: [
+        { grade: 'A+', min_mark: 90 },
+        { grade: 'A', min_mark: 85 },
+        { grade: 'A-', min_mark: 80 },
+        { grade: 'B+', min_mark: 75 },
+        { grade: 'B', min_mark: 70 },
+        { grade: 'B-', min_mark: 65 },
+        { grade: 'C+', min_mark: 60 },
+        { grade: 'C', min_mark: 55 },
+        { grade: 'C-', min_mark: 50 },
+        { grade: 'F', min_mark: 0 }
+    ]
+};
+
+// Common scales offered as starting points when creating a new scale
+const PRESET_SCALES = [
+    {
+        name: 'Sri Lankan O/L (A/B/C/S/W)',
+        description: 'A 75+, B 65+, C 55+, S 35+, W below 35',
+        bands: [
+            { grade: 'A', min_mark: 75 },
+            { grade: 'B', min_mark: 65 },
+            { grade: 'C', min_mark: 55 },
+            { grade: 'S', min_mark: 35 },
+            { grade: 'W', min_mark: 0 }
+        ]
+    },
+    {
+        name: 'GPA 4.0',
+        description: 'Letter grades with grade points on a 4.0 scale',
+        bands: [
+            { grade: 'A', min_mark: 85, gpa: 4.0 },
+            { grade: 'A-', min_mark: 80, gpa: 3.7 },
+            { grade: 'B+', min_mark: 75, gpa: 3.3 },
+            { grade: 'B', min_mark: 70, gpa: 3.0 },
+            { grade: 'B-', min_mark: 65, gpa: 2.7 },
+            { grade: 'C+', min_mark: 60, gpa: 2.3 },
+            { grade: 'C', min_mark: 55, gpa: 2.0 },
+            { grade: 'C-', min_mark: 50, gpa: 1.7 },
+            { grade: 'D', min_mark: 40, gpa: 1.0 },
+            { grade: 'F', min_mark: 0, gpa: 0.0 }
+        ]
+    },
+    {
+        name: DEFAULT_SCALE.name,
+        description: DEFAULT_SCALE.description,
+        bands: DEFAULT_SCALE.bands
+    }
+];
+
+// Codes returned instead of a grade for marks without a score
+const STATUS_GRADES = { absent: 'AB', exempt: 'EX', medical: 'MC', pending: '-' };
+
+class GradingScaleModel {
+    constructor() {
+        this.collectionName = 'grading_scales';
+    }
+
+    /**
+     * Get the collection instance
+     * @returns {Object} MongoDB collection
+     */
+    getCollection() {
+        return dbConnection.getCollection(this.collectionName);
+    }
+
+    /**
+     * Create a new grading scale
+     * @param {Object} scaleData - Scale data {name, description, bands}
+     * @returns {Promise<Object>} Created scale
+     */
+    async createScale(scaleData) {
+        try {
+            const scale = {
+                name: scaleData.name.trim(),
+                description: (scaleData.description || '').trim(),
+                bands: GradingScaleModel.normalizeBands(scaleData.bands),
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+
+            const collection = this.getCollection();
+            const result = await collection.insertOne(scale);
+
+            if (result.insertedId) {
+                return {
+                    success: true,
+                    scale: GradingScaleModel.formatScale({ ...scale, _id: result.insertedId }),
+                    message: 'Grading scale created successfully'
+                };
+            } else {
+                throw new Error('Failed to create grading scale');
+            }
+        } catch (error) {
+            console.error('Error creating grading scale:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get all grading scales
+     * @returns {Promise<Object>} Result with scales
+     */
+    async getAllScales() {
+        try {
+            const collection = this.getCollection();
+            const scales = await collection.find({}).sort({ name: 1 }).toArray();
+
+            return {
+                success: true,
+                scales: scales.map(scale => GradingScaleModel.formatScale(scale))
+            };
+        } catch (error) {
+            console.error('Error fetching grading scales:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                scales: []
+            };
+        }
+    }
+
+    /**
+     * Get a grading scale by ID
+     * @param {string} scaleId - Scale ID
+     * @returns {Promise<Object>} Result with scale
+     */
+    async getScaleById(scaleId) {
+        try {
+            if (!ObjectId.isValid(scaleId)) {
+                throw new Error('Invalid grading scale ID');
+            }
+
+            const collection = this.getCollection();
+            const scale = await collection.findOne({ _id: new ObjectId(scaleId) });
+
+            if (scale) {
+                return {
+                    success: true,
+                    scale: GradingScaleModel.formatScale(scale)
+                };
+            } else {
+                return {
+                    success: false,
+                    error: 'Grading scale not found'
+                };
+            }
+        } catch (error) {
+            console.error('Error fetching grading scale by ID:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update a grading scale. Bands cannot change while a summary using the scale has locked tests.
+     * @param {string} scaleId - Scale ID
+     * @param {Object} updateData - Data to update {name, description, bands}
+     * @returns {Promise<Object>} Update result
+     */
+    async updateScale(scaleId, updateData) {
+        try {
+            if (!ObjectId.isValid(scaleId)) {
+                throw new Error('Invalid grading scale ID');
+            }
+
+            const { name, description, bands } = updateData;
+            const updateFields = { updatedAt: new Date() };
+
+            if (name) updateFields.name = name.trim();
+            if (description !== undefined) updateFields.description = (description || '').trim();
+            if (Array.isArray(bands)) updateFields.bands = GradingScaleModel.normalizeBands(bands);
+
+            const collection = this.getCollection();
+
+            if (updateFields.bands) {
+                const scale = await collection.findOne({ _id: new ObjectId(scaleId) });
+                const bandsChanged = scale && JSON.stringify(scale.bands) !== JSON.stringify(updateFields.bands);
+                const lockedSummaries = bandsChanged
+                    ? (await this.findScaleUsers(scaleId)).filter(summary => LifecycleModel.hasLock(summary))
+                    : [];
+
+                if (lockedSummaries.length > 0) {
+                    return {
+                        success: false,
+                        locked: true,
+                        error: `Grading scale is used by locked summar${lockedSummaries.length === 1 ? 'y' : 'ies'} `
+                            + `${lockedSummaries.map(summary => `${summary.name} (${summary.year})`).join(', ')}; unlock ${lockedSummaries.length === 1 ? 'it' : 'them'} before changing its bands`
+                    };
+                }
+            }
+
+            const result = await collection.updateOne(
+                { _id: new ObjectId(scaleId) },
+                { $set: updateFields }
+            );
+
+            if (result.matchedCount > 0) {
+                return {
+                    success: true,
+                    message: 'Grading scale updated successfully',
+                    modifiedCount: result.modifiedCount
+                };
+            } else {
+                return {
+                    success: false,
+                    error: 'Grading scale not found'
+                };
+            }
+        } catch (error) {
+            console.error('Error updating grading scale:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Delete a grading scale. Scales still assigned to a summary or subject are kept.
+     * @param {string} scaleId - Scale ID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteScale(scaleId) {
+        try {
+            if (!ObjectId.isValid(scaleId)) {
+                throw new Error('Invalid grading scale ID');
+            }
+
+            const usage = await this.countScaleUsage(scaleId);
+            if (usage > 0) {
+                return {
+                    success: false,
+                    error: `Grading scale is assigned to ${usage} summar${usage === 1 ? 'y' : 'ies'}. Reassign them before deleting.`
+                };
+            }
+
+            const collection = this.getCollection();
+            const result = await collection.deleteOne({ _id: new ObjectId(scaleId) });
+
+            if (result.deletedCount > 0) {
+                return {
+                    success: true,
+                    message: 'Grading scale deleted successfully'
+                };
+            } else {
+                return {
+                    success: false,
+                    error: 'Grading scale not found'
+                };
+            }
+        } catch (error) {
+            console.error('Error deleting grading scale:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Count summaries that use a scale as their default or for a subject
+     * @param {string} scaleId - Scale ID
+     * @returns {Promise<number>} Number of summaries
+     */
+    async countScaleUsage(scaleId) {
+        return (await this.findScaleUsers(scaleId)).length;
+    }
+
+    /**
+     * Find summaries that use a scale as their default or for a subject
+     * @param {string} scaleId - Scale ID
+     * @returns {Promise<Array>} Summaries (name, year, lifecycle and scale assignment only)
+     */
+    async findScaleUsers(scaleId) {
+        const summaries = await dbConnection.getCollection('summaries')
+            .find({}, {
+                projection: {
+                    name: 1, year: 1, lifecycle_state: 1, test_states: 1, grading_scale_id: 1, subject_grading_scales: 1
+                }
+            })
+            .toArray();
+
+        return summaries.filter(summary =>
+            summary.grading_scale_id === scaleId ||
+            Object.values(summary.subject_grading_scales || {}).includes(scaleId)
+        );
+    }
+
+    /**
+     * Check if a scale name already exists
+     * @param {string} name - Scale name
+     * @param {string} excludeId - ID to exclude from check (for updates)
+     * @returns {Promise<boolean>} True if name exists
+     */
+    async scaleNameExists(name, excludeId = null) {
+        try {
+            const collection = this.getCollection();
+            const query = { name: name.trim() };
+
+            if (excludeId && ObjectId.isValid(excludeId)) {
+                query._id = { $ne: new ObjectId(excludeId) };
+            }
+
+            const existingScale = await collection.findOne(query);
+            return !!existingScale;
+        } catch (error) {
+            console.error('Error checking grading scale name:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get the scale assignment of a summary with every subject's resolved scale
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Object>} Result with assignment and resolved scales
+     */
+    async getSummaryAssignment(summaryId) {
+        try {
+            const summary = await dbConnection.getCollection('summaries').findOne({ id: summaryId });
+
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const subjects = await this.getSummarySubjects(summaryId);
+            const resolved = await this.resolveScalesForSummary(summary, subjects);
+
+            return {
+                success: true,
+                summary_id: summaryId,
+                subjects: subjects,
+                grading_scale_id: summary.grading_scale_id || null,
+                subject_grading_scales: summary.subject_grading_scales || {},
+                resolved: resolved
+            };
+        } catch (error) {
+            console.error('Error fetching grading scale assignment:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Assign grading scales to a summary and its subjects.
+     * A null/empty ID clears the assignment so the next level (summary, then built-in default) applies.
+     * @param {string} summaryId - Summary ID
+     * @param {Object} assignment - {grading_scale_id, subject_grading_scales: {subject: scaleId}}
+     * @returns {Promise<Object>} Update result
+     */
+    async assignScalesToSummary(summaryId, assignment) {
+        try {
+            const gradingScaleId = assignment.grading_scale_id || null;
+            const subjectScales = {};
+            Object.keys(assignment.subject_grading_scales || {}).forEach(subject => {
+                const scaleId = assignment.subject_grading_scales[subject];
+                if (scaleId) {
+                    subjectScales[subject] = scaleId;
+                }
+            });
+
+            // Every referenced scale must exist
+            const scaleIds = [...new Set([gradingScaleId, ...Object.values(subjectScales)].filter(Boolean))];
+            const invalidId = scaleIds.find(id => !ObjectId.isValid(id));
+            if (invalidId) {
+                return {
+                    success: false,
+                    error: `Invalid grading scale ID: ${invalidId}`
+                };
+            }
+
+            const existing = await this.getCollection()
+                .find({ _id: { $in: scaleIds.map(id => new ObjectId(id)) } }, { projection: { _id: 1 } })
+                .toArray();
+            if (existing.length !== scaleIds.length) {
+                return {
+                    success: false,
+                    error: 'One or more grading scales were not found'
+                };
+            }
+
+            // Grades are printed on issued report cards
+            const summary = await dbConnection.getCollection('summaries').findOne({ id: summaryId });
+            if (summary && LifecycleModel.hasLock(summary)) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: 'Summary has locked tests; unlock them before changing its grading scales'
+                };
+            }
+
+            const result = await dbConnection.getCollection('summaries').updateOne(
+                { id: summaryId },
+                {
+                    $set: {
+                        grading_scale_id: gradingScaleId,
+                        subject_grading_scales: subjectScales,
+                        updated_at: new Date().toISOString()
+                    }
+                }
+            );
+
+            if (result.matchedCount === 0) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            return {
+                success: true,
+                message: 'Grading scales assigned successfully'
+            };
+        } catch (error) {
+            console.error('Error assigning grading scales:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get the subject names of a summary from its marks records
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Array>} Subject names
+     */
+    async getSummarySubjects(summaryId) {
+        const mark = await dbConnection.getCollection('marks').findOne({ summary_id: summaryId });
+        return mark ? Object.keys(mark.marks || {}) : [];
+    }
+
+    /**
+     * Resolve the grading scale of every subject in a summary.
+     * A subject's own scale wins over the summary scale, which wins over the built-in default.
+     * @param {Object} summary - Summary record
+     * @param {Array} subjects - Subject names
+     * @returns {Promise<Object>} Map of subject -> scale, plus the summary-level default
+     */
+    async resolveScalesForSummary(summary, subjects = []) {
+        const subjectScaleIds = (summary && summary.subject_grading_scales) || {};
+        const scaleIds = [summary && summary.grading_scale_id, ...Object.values(subjectScaleIds)]
+            .filter(id => id && ObjectId.isValid(id));
+
+        const scalesById = new Map();
+        if (scaleIds.length > 0) {
+            try {
+                const scales = await this.getCollection()
+                    .find({ _id: { $in: scaleIds.map(id => new ObjectId(id)) } })
+                    .toArray();
+                scales.forEach(scale => scalesById.set(scale._id.toString(), GradingScaleModel.formatScale(scale)));
+            } catch (error) {
+                console.error('Error resolving grading scales:', error.message);
+            }
+        }
+
+        const defaultScale = scalesById.get(summary && summary.grading_scale_id) || DEFAULT_SCALE;
+        const bySubject = {};
+        subjects.forEach(subject => {
+            bySubject[subject] = scalesById.get(subjectScaleIds[subject]) || defaultScale;
+        });
+
+        return {
+            default: defaultScale,
+            subjects: bySubject
+        };
+    }
+
+    /**
+     * Resolve the grading scale of one subject in a summary
+     * @param {Object} summary - Summary record
+     * @param {string} subject - Subject name
+     * @returns {Promise<Object>} Grading scale
+     */
+    async getScaleForSubject(summary, subject) {
+        const resolved = await this.resolveScalesForSummary(summary, [subject]);
+        return resolved.subjects[subject];
+    }
+
+    /**
+     * Calculate the grade of a mark on a scale
+     * @param {number} mark - Mark value
+     * @param {Object} scale - Grading scale (defaults to the built-in scale)
+     * @param {string} status - Mark status; absent/exempt/medical return their code and pending returns '-'
+     * @returns {string} Grade
+     */
+    static calculateGrade(mark, scale = DEFAULT_SCALE, status = 'entered') {
+        if (STATUS_GRADES[status]) return STATUS_GRADES[status];
+
+        const bands = (scale && scale.bands) || DEFAULT_SCALE.bands;
+        const band = bands.find(b => mark >= b.min_mark);
+        return band ? band.grade : bands[bands.length - 1].grade;
+    }
+
+    /**
+     * Validate grading scale data
+     * @param {Object} scaleData - Scale data {name, bands}
+     * @returns {Object} Validation result
+     */
+    static validateScale(scaleData) {
+        const { name, bands } = scaleData || {};
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return { valid: false, error: 'Grading scale name is required' };
+        }
+
+        if (!Array.isArray(bands) || bands.length === 0) {
+            return { valid: false, error: 'At least one grade band is required' };
+        }
+
+        const grades = new Set();
+        const minMarks = new Set();
+
+        for (let i = 0; i < bands.length; i++) {
+            const band = bands[i] || {};
+            const grade = typeof band.grade === 'string' ? band.grade.trim() : '';
+            const minMark = parseFloat(band.min_mark);
+
+            if (!grade) {
+                return { valid: false, error: `Grade is required for band ${i + 1}` };
+            }
+
+            if (isNaN(minMark) || minMark < 0 || minMark > 100) {
+                return { valid: false, error: `Minimum mark for grade ${grade} must be between 0 and 100` };
+            }
+
+            if (band.gpa !== undefined && band.gpa !== null && band.gpa !== '' && isNaN(parseFloat(band.gpa))) {
+                return { valid: false, error: `Grade points for grade ${grade} must be a number` };
+            }
+
+            if (grades.has(grade)) {
+                return { valid: false, error: `Duplicate grade ${grade}` };
+            }
+
+            if (minMarks.has(minMark)) {
+                return { valid: false, error: `Two grades share the minimum mark ${minMark}` };
+            }
+
+            grades.add(grade);
+            minMarks.add(minMark);
+        }
+
+        if (!minMarks.has(0)) {
+            return { valid: false, error: 'The lowest grade must start at 0 so every mark receives a grade' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Normalize bands: trim grades, parse numbers and order from highest to lowest minimum mark
+     * @param {Array} bands - Grade bands
+     * @returns {Array} Normalized bands
+     */
+    static normalizeBands(bands) {
+        return bands
+            .map(band => {
+                const normalized = {
+                    grade: band.grade.trim(),
+                    min_mark: parseFloat(band.min_mark)
+                };
+                if (band.gpa !== undefined && band.gpa !== null && band.gpa !== '') {
+                    normalized.gpa = parseFloat(band.gpa);
+                }
+                return normalized;
+            })
+            .sort((a, b) => b.min_mark - a.min_mark);
+    }
+
+    /**
+     * Format a stored scale for API responses
+     * @param {Object} scale - Stored scale document
+     * @returns {Object} Formatted scale
+     */
+    static formatScale(scale) {
+        return {
+            scale_id: scale._id,
+            name: scale.name,
+            description: scale.description || '',
+            bands: scale.bands,
+            createdAt: scale.createdAt,
+            updatedAt: scale.updatedAt
+        };
+    }
+}
+
+GradingScaleModel.DEFAULT_SCALE = DEFAULT_SCALE;
+GradingScaleModel.PRESET_SCALES = PRESET_SCALES;
+
+module.exports = GradingScaleModel;
@@ -0,0 +1,153 @@
+// Lifecycle of a summary and of each of its tests: draft -> submitted -> approved -> locked.
+// A locked summary locks every test. Leaving 'locked' is only possible through an unlock with a reason.
+const LIFECYCLE_STATES = ['draft', 'submitted', 'approved', 'locked'];
+const DEFAULT_STATE = 'draft';
+const UNLOCKED_STATE = 'approved';
+
+const TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['draft', 'approved'],
+    approved: ['submitted', 'locked'],
+    locked: []
+};
+
+const STATE_LABELS = {
+    draft: 'Draft',
+    submitted: 'Submitted',
+    approved: 'Approved',
+    locked: 'Locked'
+};
+
+class LifecycleModel {
+    /**
+     * Get the lifecycle state of a summary
+     * @param {Object} summary - Summary record
+     * @returns {string} Lifecycle state
+     */
+    static getSummaryState(summary) {
+        return summary && LIFECYCLE_STATES.includes(summary.lifecycle_state) ? summary.lifecycle_state : DEFAULT_STATE;
+    }
+
+    /**
+     * Get the lifecycle state of a test, as set on the test itself
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @returns {string} Lifecycle state
+     */
+    static getTestState(summary, testNumber) {
+        const state = summary && summary.test_states ? summary.test_states[parseInt(testNumber)] : undefined;
+        return LIFECYCLE_STATES.includes(state) ? state : DEFAULT_STATE;
+    }
+
+    /**
+     * Get the lifecycle state of every test of a summary
+     * @param {Object} summary - Summary record
+     * @returns {Object} Map of test number -> lifecycle state
+     */
+    static getTestStates(summary) {
+        const states = {};
+        for (let testNumber = 1; testNumber <= (summary.test_count || 0); testNumber++) {
+            states[testNumber] = LifecycleModel.getTestState(summary, testNumber);
+        }
+        return states;
+    }
+
+    /**
+     * Whether the marks of a test are locked, by the test itself or by its summary
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @returns {boolean}
+     */
+    static isTestLocked(summary, testNumber) {
+        return LifecycleModel.getSummaryState(summary) === 'locked'
+            || LifecycleModel.getTestState(summary, testNumber) === 'locked';
+    }
+
+    /**
+     * Whether a summary or any of its tests is locked
+     * @param {Object} summary - Summary record
+     * @returns {boolean}
+     */
+    static hasLock(summary) {
+        return LifecycleModel.getSummaryState(summary) === 'locked'
+            || Object.values(LifecycleModel.getTestStates(summary)).includes('locked');
+    }
+
+    /**
+     * Check that the marks of a test can be changed
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @returns {Object} Validation result
+     */
+    static checkTestEditable(summary, testNumber) {
+        if (LifecycleModel.getSummaryState(summary) === 'locked') {
+            return { valid: false, error: `Summary ${summary.name} (${summary.year}) is locked; unlock it before changing marks` };
+        }
+        if (LifecycleModel.getTestState(summary, testNumber) === 'locked') {
+            return { valid: false, error: `Test ${parseInt(testNumber)} is locked; unlock it before changing marks` };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate a lifecycle transition (unlocking goes through LifecycleModel.validateUnlock)
+     * @param {string} from - Current state
+     * @param {string} to - Requested state
+     * @returns {Object} Validation result
+     */
+    static validateTransition(from, to) {
+        if (!LIFECYCLE_STATES.includes(to)) {
+            return { valid: false, error: `State must be one of: ${LIFECYCLE_STATES.join(', ')}` };
+        }
+        if (from === 'locked') {
+            return { valid: false, error: 'Locked items can only be unlocked, with a reason' };
+        }
+        if (!TRANSITIONS[from].includes(to)) {
+            return { valid: false, error: `Cannot move from ${from} to ${to}` };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate an unlock request
+     * @param {string} from - Current state
+     * @param {string} reason - Why the item is unlocked
+     * @returns {Object} Validation result
+     */
+    static validateUnlock(from, reason) {
+        if (from !== 'locked') {
+            return { valid: false, error: 'Only locked items can be unlocked' };
+        }
+        if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+            return { valid: false, error: 'A reason is required to unlock' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Build a lifecycle log entry
+     * @param {number|null} testNumber - Test number (null for the summary)
+     * @param {string} from - Previous state
+     * @param {string} to - New state
+     * @param {Object} context - { changed_by, reason }
+     * @returns {Object} Log entry
+     */
+    static buildLogEntry(testNumber, from, to, context = {}) {
+        return {
+            test_number: testNumber === null ? null : parseInt(testNumber),
+            from: from,
+            to: to,
+            changed_by: (context.changed_by || '').toString().trim() || 'Unknown',
+            reason: context.reason ? context.reason.trim() : null,
+            changed_at: new Date().toISOString()
+        };
+    }
+}
+
+LifecycleModel.LIFECYCLE_STATES = LIFECYCLE_STATES;
+LifecycleModel.DEFAULT_STATE = DEFAULT_STATE;
+LifecycleModel.UNLOCKED_STATE = UNLOCKED_STATE;
+LifecycleModel.TRANSITIONS = TRANSITIONS;
+LifecycleModel.STATE_LABELS = STATE_LABELS;
+
+module.exports = LifecycleModel;
@@ -0,0 +1,116 @@
+// Live updates pushed to open pages over server-sent events. Pages subscribe to one summary; the write
+// paths of marks and lifecycle publish to it, and every subscriber that names a test and subject is
+// listed as editing it, so other teachers can see who else is at work on the class.
+const HEARTBEAT_MS = 25000;
+
+class LiveUpdates {
+    constructor() {
+        this.clients = new Map();
+        this.nextClientId = 1;
+    }
+
+    /**
+     * Open an event stream on the response and keep it subscribed to a summary until the request closes
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     * @param {Object} channel - { summary_id, user, test_number, subject } (user, test and subject only for editors)
+     * @returns {number} Client ID
+     */
+    subscribe(req, res, channel) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 5000\n\n');
+
+        const clientId = this.nextClientId++;
+        const client = {
+            id: clientId,
+            res: res,
+            summary_id: channel.summary_id,
+            user: (channel.user || '').toString().trim(),
+            test_number: channel.test_number ? parseInt(channel.test_number) : null,
+            subject: channel.subject || null,
+            since: new Date().toISOString(),
+            // Comment lines keep proxies from closing an idle stream
+            heartbeat: setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS)
+        };
+        this.clients.set(clientId, client);
+
+        req.on('close', () => {
+            clearInterval(client.heartbeat);
+            this.clients.delete(clientId);
+            this.publishPresence(client.summary_id);
+        });
+
+        this.publishPresence(client.summary_id);
+        return clientId;
+    }
+
+    /**
+     * Whether any page is subscribed to a summary (publishers skip building events otherwise)
+     * @param {string} summaryId - Summary ID
+     * @returns {boolean}
+     */
+    hasSubscribers(summaryId) {
+        for (const client of this.clients.values()) {
+            if (client.summary_id === summaryId) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Send an event to every page subscribed to a summary
+     * @param {string} summaryId - Summary ID
+     * @param {string} event - Event name ('marks', 'lifecycle' or 'presence')
+     * @param {Object} data - Event payload
+     */
+    publish(summaryId, event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify({ summary_id: summaryId, ...data })}\n\n`;
+        this.clients.forEach(client => {
+            if (client.summary_id === summaryId) {
+                client.res.write(message);
+            }
+        });
+    }
+
+    /**
+     * Who is editing which test and subject of a summary (one entry per person, test and subject)
+     * @param {string} summaryId - Summary ID
+     * @returns {Array} Editors ({ user, test_number, subject, since })
+     */
+    getEditors(summaryId) {
+        const editors = new Map();
+        this.clients.forEach(client => {
+            if (client.summary_id !== summaryId || !client.user || !client.subject) return;
+
+            const key = `${client.user.toLowerCase()}|${client.test_number}|${client.subject}`;
+            if (!editors.has(key)) {
+                editors.set(key, {
+                    user: client.user,
+                    test_number: client.test_number,
+                    subject: client.subject,
+                    since: client.since
+                });
+            }
+        });
+        return [...editors.values()];
+    }
+
+    /**
+     * Send the current editors of a summary to its subscribers
+     * @param {string} summaryId - Summary ID
+     */
+    publishPresence(summaryId) {
+        this.publish(summaryId, 'presence', { editors: this.getEditors(summaryId) });
+    }
+}
+
+// Shared by every model and controller, like the database connection
+const liveUpdates = new LiveUpdates();
+
+module.exports = {
+    liveUpdates,
+    LiveUpdates
+};
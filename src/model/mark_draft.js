@@ -0,0 +1,285 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+const MarkStatusModel = require('./mark_status');
+
+// Server-side drafts of an unsaved marks entry session, one per person, summary, test and subject.
+// A draft only holds what differs from the saved marks, so resuming it replays the person's edits on
+// top of the marks as they are now; it is discarded once the marks are saved.
+class MarkDraftModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarkDraftModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarkDraftModel: Database connection ready');
+        } catch (error) {
+            console.error('MarkDraftModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Key a draft by the person's name, ignoring case and surrounding spaces
+     * @param {string} user - Name entered in "Entered by"
+     * @returns {string} User key ('' when no name was given)
+     */
+    static getUserKey(user) {
+        return (user || '').toString().trim().toLowerCase();
+    }
+
+    /**
+     * Validate the entries of a draft. Marks are only checked for shape here: a draft may hold a
+     * half-finished session, and the marks are fully validated when they are saved.
+     * @param {Array} entries - Draft entries ({ index, mark, status, component_marks, version })
+     * @param {number} studentCount - Number of students in the summary
+     * @returns {Object} Validation result
+     */
+    static validateEntries(entries, studentCount) {
+        if (!Array.isArray(entries)) {
+            return {
+                valid: false,
+                error: 'Draft entries must be an array'
+            };
+        }
+
+        for (const entry of entries) {
+            const index = parseInt(entry && entry.index);
+            if (isNaN(index) || index < 1 || index > studentCount) {
+                return {
+                    valid: false,
+                    error: `Draft entry for unknown student ${entry && entry.index}`
+                };
+            }
+
+            const statusValidation = MarkStatusModel.validateStatus(entry.status || 'pending');
+            if (!statusValidation.valid) {
+                return statusValidation;
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Find the summary selected by the filters and the query of the person's draft
+     * @param {Object} db - Database instance
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {string} user - Name entered in "Entered by"
+     * @returns {Promise<Object>} { summary, query } (summary is null when not found)
+     */
+    async findTarget(db, filters, user) {
+        const summary = await this.markManagerModel.findSummary(db, filters);
+        return {
+            summary: summary,
+            query: summary ? {
+                summary_id: summary.id,
+                test_number: parseInt(filters.testNumber),
+                subject: filters.subject,
+                user_key: MarkDraftModel.getUserKey(user)
+            } : null
+        };
+    }
+
+    /**
+     * Get the person's draft of a subject and test
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {string} user - Name entered in "Entered by"
+     * @returns {Promise<Object>} Result with draft (null when there is none)
+     */
+    async getDraft(filters, user) {
+        try {
+            if (!MarkDraftModel.getUserKey(user)) {
+                return {
+                    success: false,
+                    error: 'A name is needed to look up a draft'
+                };
+            }
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const { summary, query } = await this.findTarget(db, filters, user);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const draft = await db.collection('mark_drafts').findOne(query);
+
+            return {
+                success: true,
+                draft: draft ? {
+                    user: draft.user,
+                    entries: draft.entries,
+                    current_index: draft.current_index,
+                    updated_at: draft.updated_at
+                } : null
+            };
+        } catch (error) {
+            console.error('Model error fetching mark draft:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch mark draft: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Save (replace) the person's draft of a subject and test
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {string} user - Name entered in "Entered by"
+     * @param {Object} draft - { entries, current_index }
+     * @returns {Promise<Object>} Result with the time the draft was saved
+     */
+    async saveDraft(filters, user, draft) {
+        try {
+            if (!MarkDraftModel.getUserKey(user)) {
+                return {
+                    success: false,
+                    error: 'Enter your name to keep a draft'
+                };
+            }
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const { summary, query } = await this.findTarget(db, filters, user);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const lockCheck = this.markManagerModel.checkTestEditable(summary, filters.testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
+            const validation = MarkDraftModel.validateEntries(draft.entries, summary.student_count);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error
+                };
+            }
+
+            const currentTime = new Date().toISOString();
+            await db.collection('mark_drafts').updateOne(
+                query,
+                {
+                    $set: {
+                        user: user.toString().trim(),
+                        entries: draft.entries.map(entry => ({
+                            index: parseInt(entry.index),
+                            mark: entry.mark === undefined ? null : entry.mark,
+                            status: entry.status || 'pending',
+                            component_marks: entry.component_marks || {},
+                            version: parseInt(entry.version) || 0
+                        })),
+                        current_index: parseInt(draft.current_index) || null,
+                        updated_at: currentTime
+                    },
+                    $setOnInsert: {
+                        id: this.generateDraftId(),
+                        ...query,
+                        created_at: currentTime
+                    }
+                },
+                { upsert: true }
+            );
+
+            return {
+                success: true,
+                saved_at: currentTime
+            };
+        } catch (error) {
+            console.error('Model error saving mark draft:', error.message);
+            return {
+                success: false,
+                error: 'Failed to save mark draft: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Discard the person's draft of a subject and test
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {string} user - Name entered in "Entered by"
+     * @returns {Promise<Object>} Result with whether a draft was discarded
+     */
+    async discardDraft(filters, user) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const { summary, query } = await this.findTarget(db, filters, user);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const result = await db.collection('mark_drafts').deleteOne(query);
+
+            return {
+                success: true,
+                discarded: result.deletedCount > 0
+            };
+        } catch (error) {
+            console.error('Model error discarding mark draft:', error.message);
+            return {
+                success: false,
+                error: 'Failed to discard mark draft: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Generate unique draft ID
+     * @returns {string} Unique draft ID
+     */
+    generateDraftId() {
+        return 'DRF_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9).toUpperCase();
+    }
+}
+
+module.exports = MarkDraftModel;
@@ -0,0 +1,366 @@
+const { dbConnection } = require('./db');
+const MarkStatusModel = require('./mark_status');
+
+// Name recorded when a change does not say who made it
+const UNKNOWN_USER = 'Unknown';
+
+class MarkHistoryModel {
+    constructor() {
+        this.db = null;
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarkHistoryModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarkHistoryModel: Database connection ready');
+        } catch (error) {
+            console.error('MarkHistoryModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * State of one subject mark on a marks record (a missing record is a pending mark)
+     * @param {Object|null} record - Marks record
+     * @param {string} subject - Subject name
+     * @returns {Object} { mark, status, component_marks }
+     */
+    static getState(record, subject) {
+        const mark = record && record.marks ? record.marks[subject] : undefined;
+        const componentMarks = record && record.component_marks ? record.component_marks[subject] : undefined;
+        return {
+            mark: mark === undefined ? null : mark,
+            status: record ? MarkStatusModel.getStatus(record, subject) : 'pending',
+            component_marks: componentMarks === undefined ? null : componentMarks
+        };
+    }
+
+    /**
+     * State of one subject mark after applying $set fields built by MarkManagerModel.buildMarkFields
+     * @param {Object} fields - Fields to set
+     * @param {string} subject - Subject name
+     * @param {Object} previous - State before the change
+     * @returns {Object} { mark, status, component_marks }
+     */
+    static getStateFromFields(fields, subject, previous) {
+        const componentKey = `component_marks.${subject}`;
+        return {
+            mark: fields[`marks.${subject}`],
+            status: fields[`mark_status.${subject}`],
+            component_marks: componentKey in fields ? fields[componentKey] : previous.component_marks
+        };
+    }
+
+    /**
+     * Build the $set fields that restore a recorded state
+     * @param {string} subject - Subject name
+     * @param {Object} state - State to restore ({ mark, status, component_marks })
+     * @param {Object} current - Current state
+     * @returns {Object} Fields to set
+     */
+    static buildRestoreFields(subject, state, current) {
+        const fields = {
+            [`marks.${subject}`]: state.mark,
+            [`mark_status.${subject}`]: state.status
+        };
+        if (state.component_marks !== null || current.component_marks !== null) {
+            fields[`component_marks.${subject}`] = state.component_marks;
+        }
+        return fields;
+    }
+
+    /**
+     * Whether two mark states are the same
+     * @param {Object} a - State
+     * @param {Object} b - State
+     * @returns {boolean}
+     */
+    static isSameState(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Load the current marks records of some students in a test, keyed by index
+     * @param {string} summaryId - Summary ID
+     * @param {number} testNumber - Test number
+     * @param {Array} indexes - Student indexes
+     * @returns {Promise<Map>} Map of index -> marks record
+     */
+    async getRecordsByIndex(summaryId, testNumber, indexes) {
+        const db = await this.getDb();
+        if (!db) {
+            return new Map();
+        }
+
+        const records = await db.collection('marks').find({
+            summary_id: summaryId,
+            test_number: parseInt(testNumber),
+            index: { $in: indexes.map(index => parseInt(index)) }
+        }).toArray();
+
+        return new Map(records.map(record => [record.index, record]));
+    }
+
+    /**
+     * Record the changes of one save. Entries whose state did not change are skipped.
+     * Every entry of a save shares a save_id so the whole save can be reverted.
+     * @param {Object} target - { summary_id, test_number, subject }
+     * @param {Array} changes - Changes ({ index, student_id, old, new })
+     * @param {Object} context - { changed_by, endpoint, reverted_from, transformation }
+     * @returns {Promise<Object>} Result with save_id and recorded count
+     */
+    async recordChanges(target, changes, context = {}) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const saveId = this.generateId('SAV');
+            const changedAt = new Date().toISOString();
+            const entries = changes
+                .filter(change => !MarkHistoryModel.isSameState(change.old, change.new))
+                .map(change => ({
+                    id: this.generateId('HIS'),
+                    save_id: saveId,
+                    summary_id: target.summary_id,
+                    test_number: parseInt(target.test_number),
+                    subject: target.subject,
+                    index: parseInt(change.index),
+                    student_id: change.student_id || null,
+                    old: change.old,
+                    new: change.new,
+                    changed_by: (context.changed_by || '').toString().trim() || UNKNOWN_USER,
+                    endpoint: context.endpoint || null,
+                    reverted_from: context.reverted_from || null,
+                    transformation: context.transformation || null,
+                    changed_at: changedAt
+                }));
+
+            if (entries.length > 0) {
+                await db.collection('mark_history').insertMany(entries);
+            }
+
+            return {
+                success: true,
+                save_id: entries.length > 0 ? saveId : null,
+                recorded: entries.length
+            };
+        } catch (error) {
+            console.error('Model error recording mark history:', error.message);
+            return {
+                success: false,
+                error: 'Failed to record mark history: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the history of one student's mark, newest first
+     * @param {Object} target - { summary_id, test_number, subject }
+     * @param {number} index - Student index
+     * @returns {Promise<Object>} Result with history entries
+     */
+    async getMarkHistory(target, index) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const history = await db.collection('mark_history')
+                .find({
+                    summary_id: target.summary_id,
+                    test_number: parseInt(target.test_number),
+                    subject: target.subject,
+                    index: parseInt(index)
+                })
+                .sort({ changed_at: -1 })
+                .toArray();
+
+            return {
+                success: true,
+                history: history
+            };
+        } catch (error) {
+            console.error('Model error fetching mark history:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch mark history: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the latest recorded change of some students' marks
+     * @param {Object} target - { summary_id, test_number, subject }
+     * @param {Array} indexes - Student indexes
+     * @returns {Promise<Map>} Map of index -> latest history entry
+     */
+    async getLatestChanges(target, indexes) {
+        const db = await this.getDb();
+        if (!db || indexes.length === 0) {
+            return new Map();
+        }
+
+        const entries = await db.collection('mark_history')
+            .find({
+                summary_id: target.summary_id,
+                test_number: parseInt(target.test_number),
+                subject: target.subject,
+                index: { $in: indexes.map(index => parseInt(index)) }
+            })
+            .sort({ changed_at: -1 })
+            .toArray();
+
+        const latest = new Map();
+        entries.forEach(entry => {
+            if (!latest.has(entry.index)) {
+                latest.set(entry.index, entry);
+            }
+        });
+        return latest;
+    }
+
+    /**
+     * Get the saves of a test and subject, newest first
+     * @param {Object} target - { summary_id, test_number, subject }
+     * @returns {Promise<Object>} Result with saves ({ save_id, changed_by, endpoint, transformation, changed_at, change_count })
+     */
+    async getSaves(target) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const saves = await db.collection('mark_history').aggregate([
+                {
+                    $match: {
+                        summary_id: target.summary_id,
+                        test_number: parseInt(target.test_number),
+                        subject: target.subject
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$save_id',
+                        changed_by: { $first: '$changed_by' },
+                        endpoint: { $first: '$endpoint' },
+                        reverted_from: { $first: '$reverted_from' },
+                        transformation: { $first: '$transformation' },
+                        changed_at: { $first: '$changed_at' },
+                        change_count: { $sum: 1 }
+                    }
+                },
+                { $sort: { changed_at: -1 } }
+            ]).toArray();
+
+            return {
+                success: true,
+                saves: saves.map(save => ({
+                    save_id: save._id,
+                    changed_by: save.changed_by,
+                    endpoint: save.endpoint,
+                    reverted_from: save.reverted_from,
+                    transformation: save.transformation || null,
+                    changed_at: save.changed_at,
+                    change_count: save.change_count
+                }))
+            };
+        } catch (error) {
+            console.error('Model error fetching saves:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch saves: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the history entries to revert: one entry by ID, or every entry of a save
+     * @param {Object} target - { summary_id, test_number, subject }
+     * @param {Object} selection - { history_id } or { save_id }
+     * @returns {Promise<Object>} Result with entries
+     */
+    async getEntriesToRevert(target, selection) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const query = {
+                summary_id: target.summary_id,
+                test_number: parseInt(target.test_number),
+                subject: target.subject
+            };
+            if (selection.history_id) {
+                query.id = selection.history_id;
+            } else {
+                query.save_id = selection.save_id;
+            }
+
+            const entries = await db.collection('mark_history').find(query).toArray();
+            if (entries.length === 0) {
+                return {
+                    success: false,
+                    error: 'History entry not found'
+                };
+            }
+
+            return {
+                success: true,
+                entries: entries
+            };
+        } catch (error) {
+            console.error('Model error fetching history entries:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch history entries: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Generate unique history ID
+     * @param {string} prefix - ID prefix
+     * @returns {string} Unique ID
+     */
+    generateId(prefix) {
+        return `${prefix}_` + Date.now() + '_' + Math.random().toString(36).substr(2, 9).toUpperCase();
+    }
+}
+
+MarkHistoryModel.UNKNOWN_USER = UNKNOWN_USER;
+
+module.exports = MarkHistoryModel;
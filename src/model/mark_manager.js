@@ -1,8 +1,22 @@
 const { dbConnection } = require('./db');
+const StudentModel = require('./student');
+const MarkStatusModel = require('./mark_status');
+const GradingScaleModel = require('./grading_scale');
+const MaxMarksModel = require('./max_marks');
+const DescriptiveStatisticsModel = require('./descriptive_statistics');
+const SubjectComponentModel = require('./subject_components');
+const EnrollmentModel = require('./enrollment');
+const MarkHistoryModel = require('./mark_history');
+const MarkVersionModel = require('./mark_version');
+const LifecycleModel = require('./lifecycle');
+const { liveUpdates } = require('./live_updates');
 
 class MarkManagerModel {
     constructor() {
         this.db = null;
+        this.studentModel = new StudentModel();
+        this.gradingScaleModel = new GradingScaleModel();
+        this.markHistoryModel = new MarkHistoryModel();
         this.initializeDatabase();
     }
 
@@ -72,6 +86,10 @@ class MarkManagerModel {
                 test_number: parseInt(testNumber)
             }).toArray();
 
+            // Load the roster so each entry carries the student's name
+            const rosterResult = await this.studentModel.getStudentsBySummaryId(summary.id);
+            const studentLookup = StudentModel.buildIndexLookup(rosterResult.students);
+
             const studentsData = [];
 
             if (existingMarks.length > 0) {
@@ -79,11 +97,16 @@ class MarkManagerModel {
                 console.log(`Found ${existingMarks.length} existing marks records`);
                 
                 existingMarks.forEach(mark => {
-                    const subjectMark = mark.marks[subject] || 0;
+                    if (!EnrollmentModel.isEnrolled(studentLookup.get(mark.index), subject)) return;
+
+                    const status = MarkStatusModel.getStatus(mark, subject);
                     studentsData.push({
-                        index: mark.index,
-                        mark: subjectMark,
-                        isInitialized: subjectMark > 0 // Consider 0 as not initialized
+                        ...this.buildStudentInfo(studentLookup.get(mark.index), mark.index, mark.student_id),
+                        mark: MarkStatusModel.hasScore(status) ? mark.marks[subject] : null,
+                        component_marks: mark.component_marks && mark.component_marks[subject] ? mark.component_marks[subject] : {},
+                        status: status,
+                        version: MarkVersionModel.getVersion(mark, subject),
+                        isInitialized: MarkStatusModel.isRecorded(status)
                     });
                 });
             } else {
@@ -91,20 +114,34 @@ class MarkManagerModel {
                 console.log(`Generating new student data for ${summary.student_count} students`);
                 
                 for (let i = 1; i <= summary.student_count; i++) {
+                    if (!EnrollmentModel.isEnrolled(studentLookup.get(i), subject)) continue;
+
                     studentsData.push({
-                        index: i,
-                        mark: 0, // Initialize with 0
+                        ...this.buildStudentInfo(studentLookup.get(i), i),
+                        mark: null,
+                        component_marks: {},
+                        status: 'pending',
+                        version: MarkVersionModel.INITIAL_VERSION,
                         isInitialized: false
                     });
                 }
             }
 
-            // Sort by index
+            // Sort by index (students who do not take the subject are left out)
             studentsData.sort((a, b) => a.index - b.index);
 
+            // Grades for this subject are calculated on its assigned scale
+            const gradingScale = await this.gradingScaleModel.getScaleForSubject(summary, subject);
+            const markingConfig = this.getMarkingConfig(summary, subject, testNumber);
+
             return {
                 success: true,
                 students: studentsData,
+                grading_scale: gradingScale,
+                max_mark: markingConfig.max_mark,
+                components: markingConfig.components,
+                lifecycle_state: LifecycleModel.getTestState(summary, testNumber),
+                locked: LifecycleModel.isTestLocked(summary, testNumber),
                 summary: {
                     id: summary.id,
                     name: summary.name,
@@ -124,6 +161,22 @@ class MarkManagerModel {
         }
     }
 
+    /**
+     * Build the student identity fields of a marking entry
+     * @param {Object|undefined} student - Roster record
+     * @param {number} index - Student index
+     * @param {string|null} fallbackStudentId - Student ID stored on the marks record
+     * @returns {Object} Student identity fields
+     */
+    buildStudentInfo(student, index, fallbackStudentId = null) {
+        return {
+            index: index,
+            student_id: student ? student.id : fallbackStudentId,
+            name: StudentModel.getDisplayName(student, index),
+            admission_number: student ? student.admission_number : ''
+        };
+    }
+
     /**
      * Return mock students data when database is not available
      * @param {Object} filters - Filter criteria
@@ -139,8 +192,10 @@ class MarkManagerModel {
 
         for (let i = 1; i <= studentCount; i++) {
             studentsData.push({
-                index: i,
-                mark: 0, // Initialize with 0
+                ...this.buildStudentInfo(null, i),
+                mark: null,
+                component_marks: {},
+                status: 'pending',
                 isInitialized: false
             });
         }
@@ -148,6 +203,9 @@ class MarkManagerModel {
         return {
             success: true,
             students: studentsData,
+            grading_scale: GradingScaleModel.DEFAULT_SCALE,
+            max_mark: MaxMarksModel.DEFAULT_MAX_MARK,
+            components: null,
             summary: {
                 id: 'mock_summary',
                 name: className,
@@ -161,17 +219,28 @@ class MarkManagerModel {
     }
 
     /**
-     * Save marks data in bulk to database
+     * Save marks data in bulk to database, recording every change in the mark history.
+     * Entries carrying the version they were loaded at are rejected as conflicts when the mark
+     * was changed elsewhere since; nothing is saved when the check finds a conflict.
      * @param {Array} marksData - Array of student marks
      * @param {Object} filters - Filter criteria
+     * @param {Object} context - Who made the change and through which endpoint ({ changed_by, endpoint })
      * @returns {Promise<Object>} Result of save operation
      */
-    async saveMarksInBulk(marksData, filters) {
+    async saveMarksInBulk(marksData, filters, context = {}) {
         try {
             console.log('Saving marks in bulk:', { marksCount: marksData.length, filters });
 
             const { year, className, testNumber, subject } = filters;
 
+            const versionCheck = MarkVersionModel.validateVersions(marksData);
+            if (!versionCheck.valid) {
+                return {
+                    success: false,
+                    error: versionCheck.error
+                };
+            }
+
             const db = await this.getDb();
             
             if (!db) {
@@ -198,27 +267,59 @@ class MarkManagerModel {
 
             console.log('Found summary:', summary.id);
 
+            const lockCheck = this.checkTestEditable(summary, testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
             // Prepare bulk operations
             const bulkOps = [];
+            const changes = [];
             const currentTime = new Date().toISOString();
+            const markingConfig = this.getMarkingConfig(summary, subject, testNumber);
+            const indexes = marksData.map(studentData => studentData.index);
+            const existingRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+            const target = { summary_id: summary.id, test_number: testNumber, subject: subject };
+
+            const conflicts = MarkVersionModel.findConflicts(marksData, existingRecords, subject);
+            if (conflicts.length > 0) {
+                return await this.buildConflictResult(target, conflicts);
+            }
 
             marksData.forEach((studentData, index) => {
+                const existingRecord = existingRecords.get(parseInt(studentData.index));
                 const updateQuery = {
                     summary_id: summary.id,
                     test_number: parseInt(testNumber),
                     index: studentData.index
                 };
 
+                // Guard against a write that lands between the check above and this save
+                if (existingRecord) {
+                    Object.assign(updateQuery, MarkVersionModel.buildVersionFilter(subject, studentData.version));
+                }
+
+                const markFields = this.buildMarkFields(subject, studentData, markingConfig);
+                const oldState = MarkHistoryModel.getState(existingRecord, subject);
+                changes.push({
+                    index: studentData.index,
+                    student_id: studentData.student_id,
+                    old: oldState,
+                    new: MarkHistoryModel.getStateFromFields(markFields, subject, oldState)
+                });
+
                 const updateData = {
                     $set: {
-                        [`marks.${subject}`]: parseFloat(studentData.mark),
+                        ...markFields,
                         updated_at: currentTime
                     },
+                    $inc: MarkVersionModel.buildIncrement(subject),
                     $setOnInsert: {
                         id: this.generateMarkId(),
                         summary_id: summary.id,
                         test_number: parseInt(testNumber),
                         index: studentData.index,
+                        student_id: studentData.student_id || null,
                         created_at: currentTime
                     }
                 };
@@ -230,7 +331,7 @@ class MarkManagerModel {
                     updateOne: {
                         filter: updateQuery,
                         update: updateData,
-                        upsert: true
+                        upsert: !existingRecord
                     }
                 });
             });
@@ -246,12 +347,47 @@ class MarkManagerModel {
                 upserted: result.upsertedCount
             });
 
+            // Entries whose guarded write matched nothing lost a race with another save
+            const savedRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+            const lostEntries = marksData.filter(studentData =>
+                MarkVersionModel.getVersion(savedRecords.get(parseInt(studentData.index)), subject) !== parseInt(studentData.version) + 1);
+            const lostIndexes = new Set(lostEntries.map(studentData => parseInt(studentData.index)));
+
+            const historyResult = await this.markHistoryModel.recordChanges(
+                target,
+                changes.filter(change => !lostIndexes.has(parseInt(change.index))),
+                context
+            );
+            const reviewReopened = await this.reopenReview(summary, testNumber, subject, historyResult.recorded, context);
+            await this.publishMarkChanges(
+                summary, testNumber, subject,
+                indexes.map(index => parseInt(index)).filter(index => !lostIndexes.has(index)),
+                context,
+                reviewReopened
+            );
+
+            if (lostEntries.length > 0) {
+                return await this.buildConflictResult(
+                    target,
+                    MarkVersionModel.findConflicts(lostEntries, savedRecords, subject),
+                    {
+                        saved_count: marksData.length - lostEntries.length,
+                        save_id: historyResult.save_id || null,
+                        versions: MarkVersionModel.getVersions(savedRecords, subject),
+                        review_reopened: reviewReopened
+                    }
+                );
+            }
+
             return {
                 success: true,
                 message: 'Marks saved successfully',
                 updated_count: result.modifiedCount,
                 inserted_count: result.upsertedCount,
-                matched_count: result.matchedCount
+                matched_count: result.matchedCount,
+                save_id: historyResult.save_id || null,
+                versions: MarkVersionModel.getVersions(savedRecords, subject),
+                review_reopened: reviewReopened
             };
 
         } catch (error) {
@@ -264,15 +400,154 @@ class MarkManagerModel {
     }
 
     /**
-     * Update a single student's mark
+     * Save the marks of several subjects of one test. Versions are checked for every subject before
+     * any is written, so a stale batch saves nothing; each subject is then saved with saveMarksInBulk.
+     * Subjects are written one at a time, so the first one that fails (e.g. a write that lands after
+     * the check) stops the rest, and the result names the subjects that were written and those that
+     * were not, so only the unsaved ones need saving again.
+     * @param {Object} marksBySubject - Map of subject -> marks data (entries as for saveMarksInBulk)
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber })
+     * @param {Object} context - Who made the change and through which endpoint ({ changed_by, endpoint })
+     * @returns {Promise<Object>} Result with the save of each subject, saved_subjects, unsaved_subjects
+     * and the new versions by subject (conflicts tagged with their subject when a write lost a race)
+     */
+    async saveSubjectsInBulk(marksBySubject, filters, context = {}) {
+        try {
+            const { testNumber } = filters;
+
+            for (const subject of Object.keys(marksBySubject)) {
+                const versionCheck = MarkVersionModel.validateVersions(marksBySubject[subject]);
+                if (!versionCheck.valid) {
+                    return {
+                        success: false,
+                        error: `${subject}: ${versionCheck.error}`
+                    };
+                }
+            }
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const lockCheck = this.checkTestEditable(summary, testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
+            const subjects = Object.keys(marksBySubject);
+            const indexes = [...new Set(subjects.flatMap(subject => marksBySubject[subject].map(studentData => parseInt(studentData.index))))];
+            const existingRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+
+            const conflicts = [];
+            for (const subject of subjects) {
+                const subjectConflicts = MarkVersionModel.findConflicts(marksBySubject[subject], existingRecords, subject);
+                if (subjectConflicts.length > 0) {
+                    const target = { summary_id: summary.id, test_number: testNumber, subject: subject };
+                    const conflictResult = await this.buildConflictResult(target, subjectConflicts);
+                    conflicts.push(...conflictResult.conflicts.map(conflict => ({ ...conflict, subject: subject })));
+                }
+            }
+            if (conflicts.length > 0) {
+                return {
+                    success: false,
+                    error: `${conflicts.length} mark(s) were changed by someone else since you loaded them`,
+                    conflicts: conflicts
+                };
+            }
+
+            const subjectResults = [];
+            const versions = {};
+            let failure = null;
+            for (const subject of subjects) {
+                const saveResult = await this.saveMarksInBulk(marksBySubject[subject], { ...filters, subject: subject }, context);
+                subjectResults.push({
+                    subject: subject,
+                    success: saveResult.success,
+                    saved_count: saveResult.success ? marksBySubject[subject].length : (saveResult.saved_count || 0),
+                    save_id: saveResult.save_id || null,
+                    review_reopened: saveResult.review_reopened || null,
+                    error: saveResult.success ? null : saveResult.error
+                });
+                if (saveResult.versions) {
+                    versions[subject] = saveResult.versions;
+                }
+                if (!saveResult.success) {
+                    failure = { subject: subject, result: saveResult };
+                    break;
+                }
+            }
+
+            const savedSubjects = subjectResults.filter(subjectResult => subjectResult.success).map(subjectResult => subjectResult.subject);
+            const savedCount = subjectResults.reduce((sum, subjectResult) => sum + subjectResult.saved_count, 0);
+            if (failure) {
+                const result = {
+                    success: false,
+                    error: `Saved ${savedSubjects.length} of ${subjects.length} subject(s)`
+                        + (savedSubjects.length > 0 ? ` (${savedSubjects.join(', ')})` : '')
+                        + `; ${failure.subject} failed: ${failure.result.error}`,
+                    saved_count: savedCount,
+                    subjects: subjectResults,
+                    saved_subjects: savedSubjects,
+                    unsaved_subjects: subjects.filter(subject => !savedSubjects.includes(subject)),
+                    versions: versions
+                };
+                if (failure.result.conflicts) {
+                    result.conflicts = failure.result.conflicts.map(conflict => ({ ...conflict, subject: failure.subject }));
+                }
+                if (failure.result.locked) {
+                    result.locked = true;
+                }
+                return result;
+            }
+
+            return {
+                success: true,
+                saved_count: savedCount,
+                subjects: subjectResults,
+                saved_subjects: savedSubjects,
+                unsaved_subjects: [],
+                versions: versions
+            };
+        } catch (error) {
+            console.error('Model error saving subjects in bulk:', error.message);
+            return {
+                success: false,
+                error: 'Internal server error: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Update a single student's mark, recording the change in the mark history
      * @param {Object} studentData - Student mark data
      * @param {Object} filters - Filter criteria
+     * @param {Object} context - Who made the change and through which endpoint ({ changed_by, endpoint })
      * @returns {Promise<Object>} Result of update operation
      */
-    async updateSingleMark(studentData, filters) {
+    async updateSingleMark(studentData, filters, context = {}) {
         try {
             const { year, className, testNumber, subject } = filters;
 
+            const versionCheck = MarkVersionModel.validateVersion(studentData);
+            if (!versionCheck.valid) {
+                return {
+                    success: false,
+                    error: versionCheck.error
+                };
+            }
+
             const db = await this.getDb();
             
             if (!db) {
@@ -295,6 +570,11 @@ class MarkManagerModel {
                 };
             }
 
+            const lockCheck = this.checkTestEditable(summary, testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
             // Update single mark
             const updateQuery = {
                 summary_id: summary.id,
@@ -302,19 +582,58 @@ class MarkManagerModel {
                 index: studentData.index
             };
 
+            const target = { summary_id: summary.id, test_number: testNumber, subject: subject };
+            const existingRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, [studentData.index]);
+            const existingRecord = existingRecords.get(parseInt(studentData.index));
+            const markFields = this.buildMarkFields(subject, studentData, this.getMarkingConfig(summary, subject, testNumber));
+
+            const previousVersion = MarkVersionModel.getVersion(existingRecord, subject);
+            const conflicts = existingRecord ? MarkVersionModel.findConflicts([studentData], existingRecords, subject) : [];
+            if (conflicts.length > 0) {
+                return await this.buildConflictResult(target, conflicts);
+            }
+            Object.assign(updateQuery, MarkVersionModel.buildVersionFilter(subject, studentData.version));
+
             const updateData = {
                 $set: {
-                    [`marks.${subject}`]: parseFloat(studentData.mark),
+                    ...markFields,
                     updated_at: new Date().toISOString()
-                }
+                },
+                $inc: MarkVersionModel.buildIncrement(subject)
             };
 
             const result = await db.collection('marks').updateOne(updateQuery, updateData);
 
+            if (existingRecord && result.matchedCount === 0) {
+                const currentRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, [studentData.index]);
+                return await this.buildConflictResult(target, MarkVersionModel.findConflicts([studentData], currentRecords, subject));
+            }
+
+            let reviewReopened = null;
+            if (existingRecord) {
+                const oldState = MarkHistoryModel.getState(existingRecord, subject);
+                const historyResult = await this.markHistoryModel.recordChanges(
+                    target,
+                    [{
+                        index: studentData.index,
+                        student_id: existingRecord.student_id,
+                        old: oldState,
+                        new: MarkHistoryModel.getStateFromFields(markFields, subject, oldState)
+                    }],
+                    context
+                );
+                reviewReopened = await this.reopenReview(summary, testNumber, subject, historyResult.recorded, context);
+            }
+            if (result.matchedCount > 0) {
+                await this.publishMarkChanges(summary, testNumber, subject, [parseInt(studentData.index)], context, reviewReopened);
+            }
+
             return {
                 success: result.matchedCount > 0,
                 message: result.matchedCount > 0 ? 'Mark updated successfully' : 'No record found to update',
-                modified_count: result.modifiedCount
+                modified_count: result.modifiedCount,
+                version: existingRecord ? previousVersion + 1 : null,
+                review_reopened: reviewReopened
             };
 
         } catch (error) {
@@ -326,6 +645,389 @@ class MarkManagerModel {
         }
     }
 
+    /**
+     * Check that the marks of a test can still be changed (the test and its summary are not locked)
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @returns {Object} { success: true } or a failed result flagged as locked
+     */
+    checkTestEditable(summary, testNumber) {
+        const lockCheck = LifecycleModel.checkTestEditable(summary, testNumber);
+        if (!lockCheck.valid) {
+            return {
+                success: false,
+                locked: true,
+                error: lockCheck.error
+            };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Send the review of a subject back to draft when its marks change while submitted or approved,
+     * so an approval always covers the marks the reviewer saw. The reset is kept in the review log.
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @param {string} subject - Subject name
+     * @param {number} changedCount - Number of marks that changed
+     * @param {Object} context - Who made the change ({ changed_by })
+     * @returns {Promise<string|null>} State the review was reset from (null when it was not reset)
+     */
+    async reopenReview(summary, testNumber, subject, changedCount, context = {}) {
+        if (!changedCount) {
+            return null;
+        }
+
+        const db = await this.getDb();
+        const review = await db.collection('mark_reviews').findOne({
+            summary_id: summary.id,
+            test_number: parseInt(testNumber),
+            subject: subject,
+            state: { $in: ['submitted', 'approved'] }
+        });
+        if (!review) {
+            return null;
+        }
+
+        const previousState = review.state;
+        const currentTime = new Date().toISOString();
+        await db.collection('mark_reviews').updateOne(
+            { id: review.id, state: previousState },
+            {
+                $set: { state: 'draft', updated_at: currentTime },
+                $push: {
+                    log: {
+                        action: 'reopened',
+                        by: (context.changed_by || '').toString().trim() || 'Unknown',
+                        comment: `${changedCount} mark(s) changed while ${previousState}`,
+                        at: currentTime
+                    }
+                }
+            }
+        );
+
+        return previousState;
+    }
+
+    /**
+     * Build the result of a save rejected because marks were changed elsewhere.
+     * Each conflict says who made the latest change and when, when it was recorded.
+     * @param {Object} target - { summary_id, test_number, subject }
+     * @param {Array} conflicts - Conflicts from MarkVersionModel.findConflicts
+     * @param {Object} extra - Extra result fields (e.g. what was saved before a race was lost)
+     * @returns {Promise<Object>} Conflict result
+     */
+    async buildConflictResult(target, conflicts, extra = {}) {
+        const latestChanges = await this.markHistoryModel.getLatestChanges(target, conflicts.map(conflict => conflict.index));
+
+        return {
+            success: false,
+            error: `${conflicts.length} mark(s) were changed by someone else since you loaded them`,
+            conflicts: conflicts.map(conflict => {
+                const latest = latestChanges.get(conflict.index);
+                return {
+                    ...conflict,
+                    changed_by: latest ? latest.changed_by : null,
+                    changed_at: latest ? latest.changed_at : null
+                };
+            }),
+            ...extra
+        };
+    }
+
+    /**
+     * Find the summary selected by the filters
+     * @param {Object} db - Database instance
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<Object|null>} Summary record
+     */
+    async findSummary(db, filters) {
+        return db.collection('summaries').findOne({
+            year: parseInt(filters.year),
+            name: filters.className
+        });
+    }
+
+    /**
+     * Get the change history of one student's mark in the subject and test selected by the filters
+     * @param {Object} filters - Filter criteria
+     * @param {number} index - Student index
+     * @returns {Promise<Object>} Result with history entries, newest first
+     */
+    async getMarkHistory(filters, index) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            return await this.markHistoryModel.getMarkHistory(
+                { summary_id: summary.id, test_number: filters.testNumber, subject: filters.subject },
+                index
+            );
+        } catch (error) {
+            console.error('Model error getting mark history:', error.message);
+            return {
+                success: false,
+                error: 'Internal server error: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the saves recorded for the subject and test selected by the filters
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<Object>} Result with saves, newest first
+     */
+    async getMarkSaves(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            return await this.markHistoryModel.getSaves(
+                { summary_id: summary.id, test_number: filters.testNumber, subject: filters.subject }
+            );
+        } catch (error) {
+            console.error('Model error getting mark saves:', error.message);
+            return {
+                success: false,
+                error: 'Internal server error: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Revert one mark change (history_id) or a whole save (save_id) to the state before it.
+     * The revert is recorded as a change of its own, so it can be reverted too. Like any save it
+     * carries the version of each mark it was loaded at; a mark changed since then, or whose current
+     * state is no longer the one the change left (a later save of the same mark), is a conflict and
+     * nothing is reverted. So is a change of a student no longer enrolled in the subject.
+     * @param {Object} filters - Filter criteria
+     * @param {Object} selection - { history_id } or { save_id }
+     * @param {Object} versions - Map of student index -> version the mark was loaded at
+     * @param {Object} context - Who made the change and through which endpoint ({ changed_by, endpoint })
+     * @returns {Promise<Object>} Result of the revert
+     */
+    async revertMarks(filters, selection, versions = {}, context = {}) {
+        try {
+            const { testNumber, subject } = filters;
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const lockCheck = this.checkTestEditable(summary, testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
+            const target = { summary_id: summary.id, test_number: testNumber, subject: subject };
+            const entriesResult = await this.markHistoryModel.getEntriesToRevert(target, selection);
+            if (!entriesResult.success) {
+                return entriesResult;
+            }
+
+            const entries = entriesResult.entries.map(entry => ({ ...entry, version: versions[entry.index] }));
+            const versionCheck = MarkVersionModel.validateVersions(entries);
+            if (!versionCheck.valid) {
+                return {
+                    success: false,
+                    error: versionCheck.error
+                };
+            }
+
+            // A student who has since dropped the subject cannot get a mark back in it
+            const indexes = entries.map(entry => entry.index);
+            const enrollmentCheck = await this.checkEnrollment(summary.id, subject, indexes);
+            if (!enrollmentCheck.valid) {
+                return {
+                    success: false,
+                    error: `${enrollmentCheck.error}; the change cannot be reverted`
+                };
+            }
+
+            const existingRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+
+            // Marks changed since they were loaded, and marks saved again after the change being reverted
+            const conflicts = MarkVersionModel.findConflicts(entries, existingRecords, subject);
+            const conflictIndexes = new Set(conflicts.map(conflict => conflict.index));
+            entries.forEach(entry => {
+                const record = existingRecords.get(entry.index);
+                const currentState = MarkHistoryModel.getState(record, subject);
+                if (!conflictIndexes.has(entry.index) && !MarkHistoryModel.isSameState(currentState, entry.new)) {
+                    conflicts.push({
+                        index: entry.index,
+                        student_id: (record && record.student_id) || entry.student_id || null,
+                        your_version: parseInt(entry.version),
+                        current_version: MarkVersionModel.getVersion(record, subject),
+                        current: currentState
+                    });
+                }
+            });
+            if (conflicts.length > 0) {
+                return await this.buildConflictResult(target, conflicts);
+            }
+
+            const currentTime = new Date().toISOString();
+            const changes = [];
+            const bulkOps = entries.map(entry => {
+                const currentState = MarkHistoryModel.getState(existingRecords.get(entry.index), subject);
+                changes.push({
+                    index: entry.index,
+                    student_id: entry.student_id,
+                    old: currentState,
+                    new: entry.old
+                });
+
+                return {
+                    updateOne: {
+                        // Guard against a write that lands between the check above and this revert
+                        filter: {
+                            summary_id: summary.id,
+                            test_number: parseInt(testNumber),
+                            index: entry.index,
+                            ...MarkVersionModel.buildVersionFilter(subject, entry.version)
+                        },
+                        update: {
+                            $set: {
+                                ...MarkHistoryModel.buildRestoreFields(subject, entry.old, currentState),
+                                updated_at: currentTime
+                            },
+                            $inc: MarkVersionModel.buildIncrement(subject)
+                        }
+                    }
+                };
+            });
+
+            const result = await db.collection('marks').bulkWrite(bulkOps);
+
+            // Entries whose guarded write matched nothing lost a race with another save
+            const savedRecords = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+            const lostEntries = entries.filter(entry =>
+                MarkVersionModel.getVersion(savedRecords.get(entry.index), subject) !== parseInt(entry.version) + 1);
+            const lostIndexes = new Set(lostEntries.map(entry => entry.index));
+
+            const historyResult = await this.markHistoryModel.recordChanges(
+                target,
+                changes.filter(change => !lostIndexes.has(change.index)),
+                { ...context, reverted_from: selection.history_id || selection.save_id }
+            );
+            const reviewReopened = await this.reopenReview(summary, testNumber, subject, historyResult.recorded, context);
+            await this.publishMarkChanges(
+                summary, testNumber, subject,
+                indexes.filter(index => !lostIndexes.has(index)),
+                context,
+                reviewReopened
+            );
+
+            if (lostEntries.length > 0) {
+                return await this.buildConflictResult(
+                    target,
+                    MarkVersionModel.findConflicts(lostEntries, savedRecords, subject),
+                    {
+                        reverted_count: entries.length - lostEntries.length,
+                        save_id: historyResult.save_id || null,
+                        versions: MarkVersionModel.getVersions(savedRecords, subject),
+                        review_reopened: reviewReopened
+                    }
+                );
+            }
+
+            return {
+                success: true,
+                message: `Reverted ${entries.length} mark(s)`,
+                reverted_count: entries.length,
+                modified_count: result.modifiedCount,
+                save_id: historyResult.save_id || null,
+                versions: MarkVersionModel.getVersions(savedRecords, subject),
+                review_reopened: reviewReopened
+            };
+        } catch (error) {
+            console.error('Model error reverting marks:', error.message);
+            return {
+                success: false,
+                error: 'Internal server error: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Check that every student of a marks submission takes the subject
+     * @param {string} summaryId - Summary ID
+     * @param {string} subject - Subject name
+     * @param {Array} indexes - Student indexes
+     * @returns {Promise<Object>} Validation result
+     */
+    async checkEnrollment(summaryId, subject, indexes) {
+        const rosterResult = await this.studentModel.getStudentsBySummaryId(summaryId);
+        const studentLookup = StudentModel.buildIndexLookup(rosterResult.students);
+
+        const notEnrolled = indexes.find(index => !EnrollmentModel.isEnrolled(studentLookup.get(parseInt(index)), subject));
+        if (notEnrolled !== undefined) {
+            return { valid: false, error: `Student ${notEnrolled} is not enrolled in ${subject}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Check that every student of a marks submission takes the subject selected by the filters
+     * @param {Object} filters - Filter criteria
+     * @param {Array} indexes - Student indexes
+     * @returns {Promise<Object>} Validation result (valid when the summary cannot be found)
+     */
+    async checkSubjectEnrollment(filters, indexes) {
+        const { year, className, subject } = filters;
+
+        const db = await this.getDb();
+        if (!db) {
+            return { valid: true };
+        }
+
+        const summary = await db.collection('summaries').findOne({
+            year: parseInt(year),
+            name: className
+        });
+
+        return summary ? this.checkEnrollment(summary.id, subject, indexes) : { valid: true };
+    }
+
     /**
      * Check if marks exist for the given criteria
      * @param {Object} filters - Filter criteria
@@ -358,11 +1060,14 @@ class MarkManagerModel {
                 };
             }
 
-            // Check if any marks exist for this test and subject
+            // Check if any mark or status has been recorded for this test and subject
             const existingMarks = await db.collection('marks').findOne({
                 summary_id: summary.id,
                 test_number: parseInt(testNumber),
-                [`marks.${subject}`]: { $exists: true, $gt: 0 }
+                $or: [
+                    { [`mark_status.${subject}`]: { $in: ['entered', 'absent', 'exempt', 'medical'] } },
+                    { [`mark_status.${subject}`]: { $exists: false }, [`marks.${subject}`]: { $gt: 0 } }
+                ]
             });
 
             return {
@@ -380,6 +1085,73 @@ class MarkManagerModel {
         }
     }
 
+    /**
+     * Get how a subject is marked in a test: its maximum mark and its weighted components (null for a single mark)
+     * @param {Object} summary - Summary record
+     * @param {string} subject - Subject name
+     * @param {number} testNumber - Test number
+     * @returns {Object} Marking config ({ max_mark, components })
+     */
+    getMarkingConfig(summary, subject, testNumber) {
+        return {
+            max_mark: MaxMarksModel.getMaxMark(summary, subject, testNumber),
+            components: SubjectComponentModel.getComponents(summary, subject)
+        };
+    }
+
+    /**
+     * Get the marking config of the subject and test selected by the filters
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<Object>} Marking config (out of 100 with no components when the summary cannot be found)
+     */
+    async getSubjectMarkingConfig(filters) {
+        const { year, className, testNumber, subject } = filters;
+
+        const db = await this.getDb();
+        if (!db) {
+            return this.getMarkingConfig(null, subject, testNumber);
+        }
+
+        const summary = await db.collection('summaries').findOne({
+            year: parseInt(year),
+            name: className
+        });
+
+        return this.getMarkingConfig(summary, subject, testNumber);
+    }
+
+    /**
+     * Build the $set fields for one subject mark and its status.
+     * Only entered marks keep a score; other statuses store null so they never count as a zero.
+     * Subjects with components store each component mark and the weighted total as the subject mark.
+     * @param {string} subject - Subject name
+     * @param {Object} studentData - Student mark data ({ mark, status, component_marks })
+     * @param {Object} markingConfig - Marking config ({ max_mark, components })
+     * @returns {Object} Fields to set
+     */
+    buildMarkFields(subject, studentData, markingConfig = {}) {
+        const status = studentData.status || 'entered';
+        const hasScore = MarkStatusModel.hasScore(status);
+        const components = markingConfig.components || null;
+
+        if (!components) {
+            return {
+                [`marks.${subject}`]: hasScore ? parseFloat(studentData.mark) : null,
+                [`mark_status.${subject}`]: status
+            };
+        }
+
+        return {
+            [`marks.${subject}`]: hasScore
+                ? SubjectComponentModel.calculateTotal(studentData.component_marks, components, markingConfig.max_mark)
+                : null,
+            [`component_marks.${subject}`]: hasScore
+                ? SubjectComponentModel.cleanComponentMarks(studentData.component_marks, components)
+                : null,
+            [`mark_status.${subject}`]: status
+        };
+    }
+
     /**
      * Generate unique mark ID
      * @returns {string} Unique mark ID
@@ -391,9 +1163,10 @@ class MarkManagerModel {
     /**
      * Validate mark value
      * @param {number} mark - Mark value to validate
+     * @param {number} maxMark - Maximum mark of the subject
      * @returns {Object} Validation result
      */
-    static validateMark(mark) {
+    static validateMark(mark, maxMark = MaxMarksModel.DEFAULT_MAX_MARK) {
         const numMark = parseFloat(mark);
         
         if (isNaN(numMark)) {
@@ -403,10 +1176,10 @@ class MarkManagerModel {
             };
         }
 
-        if (numMark < 0 || numMark > 100) {
+        if (numMark < 0 || numMark > maxMark) {
             return {
                 valid: false,
-                error: 'Mark must be between 0 and 100'
+                error: `Mark must be between 0 and ${maxMark}`
             };
         }
 
@@ -417,11 +1190,51 @@ class MarkManagerModel {
     }
 
     /**
-     * Get marks statistics for the given criteria
-     * @param {Object} filters - Filter criteria
+     * Validate a student's mark entry: a status, plus a valid mark (or a valid mark for every
+     * component) when the status is 'entered'
+     * @param {Object} studentData - Student mark data ({ mark, status, component_marks })
+     * @param {number} maxMark - Maximum mark of the subject
+     * @param {Array|null} components - Weighted components of the subject
+     * @returns {Object} Validation result
+     */
+    static validateMarkEntry(studentData, maxMark = MaxMarksModel.DEFAULT_MAX_MARK, components = null) {
+        const status = studentData.status || 'entered';
+        const statusValidation = MarkStatusModel.validateStatus(status);
+        if (!statusValidation.valid) {
+            return statusValidation;
+        }
+
+        if (!MarkStatusModel.hasScore(status)) {
+            return { valid: true, status: status, mark: null };
+        }
+
+        if (components) {
+            const componentValidation = SubjectComponentModel.validateComponentMarks(studentData.component_marks, components);
+            if (!componentValidation.valid) {
+                return componentValidation;
+            }
+            return {
+                valid: true,
+                status: status,
+                mark: SubjectComponentModel.calculateTotal(studentData.component_marks, components, maxMark)
+            };
+        }
+
+        const markValidation = MarkManagerModel.validateMark(studentData.mark, maxMark);
+        if (!markValidation.valid) {
+            return markValidation;
+        }
+
+        return { valid: true, status: status, mark: markValidation.mark };
+    }
+
+    /**
+     * Get marks statistics for the given criteria (see DescriptiveStatisticsModel.describe)
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {number} passMark - Pass mark as a percentage of the maximum mark
      * @returns {Promise<Object>} Result with statistics
      */
-    async getMarksStatistics(filters) {
+    async getMarksStatistics(filters, passMark = DescriptiveStatisticsModel.DEFAULT_PASS_MARK) {
         try {
             const { year, className, testNumber, subject } = filters;
 
@@ -447,73 +1260,181 @@ class MarkManagerModel {
                 };
             }
 
-            // Get all marks for this test and subject
-            const pipeline = [
-                {
-                    $match: {
-                        summary_id: summary.id,
-                        test_number: parseInt(testNumber),
-                        [`marks.${subject}`]: { $exists: true }
-                    }
-                },
-                {
-                    $project: {
-                        mark: `$marks.${subject}`,
-                        index: 1
-                    }
-                },
-                {
-                    $match: {
-                        mark: { $gt: 0 } // Only consider marks greater than 0
-                    }
+            const { enrolledCount, summaryStats } = await this.summarizeSubject(db, summary, testNumber, subject);
+            const { counts, scores } = summaryStats;
+
+            const maxMark = MaxMarksModel.getMaxMark(summary, subject, testNumber);
+            const gradingScale = await this.gradingScaleModel.getScaleForSubject(summary, subject);
+            const description = DescriptiveStatisticsModel.describe(scores, {
+                maxMark: maxMark,
+                passMark: passMark,
+                gradingScale: gradingScale
+            });
+
+            return {
+                success: true,
+                statistics: {
+                    total_students: enrolledCount,
+                    not_enrolled_count: summary.student_count - enrolledCount,
+                    entered_marks: counts.entered,
+                    absent_count: counts.absent,
+                    exempt_count: counts.exempt,
+                    medical_count: counts.medical,
+                    pending_marks: counts.pending,
+                    ...description,
+                    average: description.mean,
+                    average_percentage: description.mean_percentage,
+                    completion_percentage: summaryStats.completion_percentage
                 }
-            ];
+            };
+
+        } catch (error) {
+            console.error('Model error getting marks statistics:', error.message);
+            return {
+                success: false,
+                error: 'Internal server error: ' + error.message
+            };
+        }
+    }
 
-            const marksData = await db.collection('marks').aggregate(pipeline).toArray();
-            const marks = marksData.map(item => item.mark);
+    /**
+     * Get the grade counts and score-band histogram of one subject, or of every subject, in a test
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject }); without a subject every subject of the test is included
+     * @returns {Promise<Object>} Result with distributions: { subject: { max_mark, count, grading_scale, grade_counts, bands } }
+     */
+    async getGradeDistribution(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
 
-            if (marks.length === 0) {
+            const summary = await this.findSummary(db, filters);
+            if (!summary) {
                 return {
-                    success: true,
-                    statistics: {
-                        total_students: 0,
-                        entered_marks: 0,
-                        pending_marks: summary.student_count,
-                        average: 0,
-                        highest: 0,
-                        lowest: 0,
-                        completion_percentage: 0
-                    }
+                    success: false,
+                    error: 'Summary not found'
                 };
             }
 
-            // Calculate statistics
-            const average = marks.reduce((sum, mark) => sum + mark, 0) / marks.length;
-            const highest = Math.max(...marks);
-            const lowest = Math.min(...marks);
-            const completionPercentage = (marks.length / summary.student_count) * 100;
+            const testNumber = parseInt(filters.testNumber);
+            let subjects = filters.subject ? [filters.subject] : [];
+            if (!filters.subject) {
+                const record = await db.collection('marks').findOne({ summary_id: summary.id, test_number: testNumber });
+                subjects = record ? Object.keys(record.marks || {}) : [];
+            }
+
+            const scales = await this.gradingScaleModel.resolveScalesForSummary(summary, subjects);
+            const distributions = {};
+            for (const subject of subjects) {
+                const { summaryStats } = await this.summarizeSubject(db, summary, testNumber, subject);
+                const description = DescriptiveStatisticsModel.describe(summaryStats.scores, {
+                    maxMark: MaxMarksModel.getMaxMark(summary, subject, testNumber),
+                    gradingScale: scales.subjects[subject]
+                });
+                distributions[subject] = {
+                    max_mark: description.max_mark,
+                    count: description.count,
+                    grading_scale: scales.subjects[subject].name,
+                    grade_counts: description.grade_counts,
+                    bands: description.bands
+                };
+            }
 
             return {
                 success: true,
-                statistics: {
-                    total_students: summary.student_count,
-                    entered_marks: marks.length,
-                    pending_marks: summary.student_count - marks.length,
-                    average: parseFloat(average.toFixed(2)),
-                    highest: highest,
-                    lowest: lowest,
-                    completion_percentage: parseFloat(completionPercentage.toFixed(2))
-                }
+                summary_id: summary.id,
+                test_number: testNumber,
+                distributions: distributions
             };
-
         } catch (error) {
-            console.error('Model error getting marks statistics:', error.message);
+            console.error('Model error getting grade distribution:', error.message);
             return {
                 success: false,
-                error: 'Internal server error: ' + error.message
+                error: 'Failed to get grade distribution: ' + error.message
             };
         }
     }
+
+    /**
+     * Summarize the statuses and scores of one subject in a test, over the students who take it
+     * @param {Object} db - Database instance
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @param {string} subject - Subject name
+     * @returns {Promise<Object>} { enrolledCount, summaryStats } (see MarkStatusModel.summarize)
+     */
+    async summarizeSubject(db, summary, testNumber, subject) {
+        // Get all marks records for this test and subject
+        const marksData = await db.collection('marks').find(
+            {
+                summary_id: summary.id,
+                test_number: parseInt(testNumber),
+                [`marks.${subject}`]: { $exists: true }
+            },
+            { projection: { index: 1, marks: 1, mark_status: 1 } }
+        ).toArray();
+
+        // Only students who take the subject are counted
+        const rosterResult = await this.studentModel.getStudentsBySummaryId(summary.id);
+        const studentLookup = StudentModel.buildIndexLookup(rosterResult.students);
+        const enrolledCount = EnrollmentModel.countEnrolled(studentLookup, summary.student_count, subject);
+
+        // Only entered marks (including real zeros) count towards the average;
+        // exempt students are left out of the completion percentage
+        const summaryStats = MarkStatusModel.summarize(
+            marksData
+                .filter(record => EnrollmentModel.isEnrolled(studentLookup.get(record.index), subject))
+                .map(record => ({
+                    mark: record.marks[subject],
+                    status: MarkStatusModel.getStatus(record, subject)
+                })),
+            enrolledCount
+        );
+
+        return { enrolledCount, summaryStats };
+    }
+
+    /**
+     * Push saved marks to the pages open on the summary: each student's new state and version, and
+     * the subject's new completion percentage. A failure here never fails the save itself.
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @param {string} subject - Subject name
+     * @param {Array} indexes - Indexes of the students whose mark was saved
+     * @param {Object} context - Who made the change ({ changed_by })
+     * @param {string|null} reviewReopened - State the subject's review was reset from by this save
+     */
+    async publishMarkChanges(summary, testNumber, subject, indexes, context = {}, reviewReopened = null) {
+        if (indexes.length === 0 || !liveUpdates.hasSubscribers(summary.id)) {
+            return;
+        }
+
+        try {
+            const db = await this.getDb();
+            const records = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+            const { summaryStats } = await this.summarizeSubject(db, summary, testNumber, subject);
+
+            liveUpdates.publish(summary.id, 'marks', {
+                test_number: parseInt(testNumber),
+                subject: subject,
+                changed_by: context.changed_by || null,
+                marks: indexes.map(index => ({
+                    index: index,
+                    ...MarkHistoryModel.getState(records.get(index), subject),
+                    version: MarkVersionModel.getVersion(records.get(index), subject)
+                })),
+                counts: summaryStats.counts,
+                completion_percentage: summaryStats.completion_percentage,
+                review_reopened: reviewReopened
+            });
+        } catch (error) {
+            console.error('Failed to publish mark changes:', error.message);
+        }
+    }
 }
 
 module.exports = MarkManagerModel;
\ No newline at end of file
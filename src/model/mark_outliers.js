@@ -0,0 +1,243 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+const MarkHistoryModel = require('./mark_history');
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+
+// Outlier checks of newly entered marks against the student's earlier tests of the subject in the same
+// summary and against the class distribution of the test. A warning does not make a mark invalid: it
+// asks the person entering it to confirm it, and a save goes through once every warning is acknowledged.
+// Marks are compared as percentages of their test's maximum mark.
+const HISTORY_JUMP_POINTS = 40; // Points away from the student's average of earlier tests
+const TYPO_TOLERANCE_POINTS = 15; // A mark ten times larger this close to the expected one looks like a lost digit
+const CLASS_OUTLIER_Z = 2.5; // Standard deviations away from the class average
+const CLASS_OUTLIER_MIN_POINTS = 25; // ...and at least this many points, so a tight class does not flag ordinary marks
+const MIN_CLASS_MARKS = 5; // Entered marks the class needs before its distribution is used
+
+class MarkOutlierModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.markHistoryModel = new MarkHistoryModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarkOutlierModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarkOutlierModel: Database connection ready');
+        } catch (error) {
+            console.error('MarkOutlierModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Flag a mark that looks like a typo (a lost digit, which is reported alone) or an outlier
+     * @param {number} mark - Raw mark
+     * @param {number} maxMark - Maximum mark of the subject in the test
+     * @param {Array} history - Percentages of the student's earlier tests of the subject, oldest first
+     * @param {Object|null} classStats - { average_percentage, standard_deviation_percentage, entered_marks }
+     * @returns {Array} Warnings ({ type, message, expected_percentage, suggested_mark }), type being
+     * 'possible_typo', 'history_jump' or 'class_outlier'
+     */
+    static detectOutliers(mark, maxMark, history, classStats) {
+        const warnings = [];
+        const percentage = MaxMarksModel.toPercentage(mark, maxMark);
+        const useClass = classStats && classStats.entered_marks >= MIN_CLASS_MARKS;
+        const historyAverage = history.length > 0
+            ? Math.round(history.reduce((sum, value) => sum + value, 0) / history.length * 100) / 100
+            : null;
+        const expected = historyAverage !== null ? historyAverage : useClass ? classStats.average_percentage : null;
+
+        if (expected !== null) {
+            const tenfold = MaxMarksModel.toPercentage(mark * 10, maxMark);
+            if (mark * 10 <= maxMark && Math.abs(tenfold - expected) <= TYPO_TOLERANCE_POINTS &&
+                Math.abs(percentage - expected) > HISTORY_JUMP_POINTS) {
+                return [{
+                    type: 'possible_typo',
+                    message: `${mark} is far from the expected ${expected}%; did you mean ${mark * 10}?`,
+                    expected_percentage: expected,
+                    suggested_mark: mark * 10
+                }];
+            }
+        }
+
+        if (historyAverage !== null && Math.abs(percentage - historyAverage) >= HISTORY_JUMP_POINTS) {
+            const points = Math.round(Math.abs(percentage - historyAverage));
+            warnings.push({
+                type: 'history_jump',
+                message: `${percentage}% is ${points} points ${percentage < historyAverage ? 'below' : 'above'} this student's average of ${historyAverage}% in earlier tests`,
+                expected_percentage: historyAverage,
+                suggested_mark: null
+            });
+        }
+
+        if (useClass && classStats.standard_deviation_percentage > 0) {
+            const difference = percentage - classStats.average_percentage;
+            const z = difference / classStats.standard_deviation_percentage;
+            if (Math.abs(z) >= CLASS_OUTLIER_Z && Math.abs(difference) >= CLASS_OUTLIER_MIN_POINTS) {
+                warnings.push({
+                    type: 'class_outlier',
+                    message: `${percentage}% is ${Math.abs(z).toFixed(1)} standard deviations ${difference < 0 ? 'below' : 'above'} the class average of ${classStats.average_percentage}%`,
+                    expected_percentage: classStats.average_percentage,
+                    suggested_mark: null
+                });
+            }
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Warnings of an entry that were not acknowledged
+     * @param {Object} entry - Mark entry ({ acknowledged_warnings })
+     * @param {Array} warnings - Warnings of the entry
+     * @returns {Array} Unacknowledged warnings
+     */
+    static getUnacknowledged(entry, warnings) {
+        const acknowledged = Array.isArray(entry.acknowledged_warnings) ? entry.acknowledged_warnings : [];
+        return warnings.filter(warning => !acknowledged.includes(warning.type));
+    }
+
+    /**
+     * Check the entered marks of a subject and test that differ from the saved ones
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {Array} marksData - Mark entries ({ index, mark, status })
+     * @returns {Promise<Object>} Result with warnings ({ index, type, message, mark, expected_percentage, suggested_mark })
+     */
+    async checkMarks(filters, marksData) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.markManagerModel.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const testNumber = parseInt(filters.testNumber);
+            const subject = filters.subject;
+            const maxMark = MaxMarksModel.getMaxMark(summary, subject, testNumber);
+
+            const indexes = marksData.map(entry => parseInt(entry.index));
+            const saved = await this.markHistoryModel.getRecordsByIndex(summary.id, testNumber, indexes);
+            const entered = marksData.filter(entry => {
+                const mark = parseFloat(entry.mark);
+                if ((entry.status || 'entered') !== 'entered' || isNaN(mark)) return false;
+
+                const savedState = MarkHistoryModel.getState(saved.get(parseInt(entry.index)), subject);
+                return savedState.status !== 'entered' || parseFloat(savedState.mark) !== mark;
+            });
+
+            if (entered.length === 0) {
+                return {
+                    success: true,
+                    warnings: []
+                };
+            }
+
+            const statisticsResult = await this.markManagerModel.getMarksStatistics(filters);
+            const classStats = statisticsResult.success ? statisticsResult.statistics : null;
+
+            const earlier = await db.collection('marks').find({
+                summary_id: summary.id,
+                test_number: { $lt: testNumber },
+                index: { $in: entered.map(entry => parseInt(entry.index)) }
+            }).sort({ test_number: 1 }).toArray();
+
+            const histories = new Map();
+            earlier.forEach(record => {
+                if (MarkStatusModel.getStatus(record, subject) !== 'entered' || !record.marks) return;
+                const mark = parseFloat(record.marks[subject]);
+                if (isNaN(mark)) return;
+
+                if (!histories.has(record.index)) histories.set(record.index, []);
+                histories.get(record.index).push(
+                    MaxMarksModel.toPercentage(mark, MaxMarksModel.getMaxMark(summary, subject, record.test_number))
+                );
+            });
+
+            const warnings = [];
+            entered.forEach(entry => {
+                const index = parseInt(entry.index);
+                const mark = parseFloat(entry.mark);
+                MarkOutlierModel.detectOutliers(mark, maxMark, histories.get(index) || [], classStats).forEach(warning => {
+                    warnings.push({ index: index, mark: mark, ...warning });
+                });
+            });
+
+            return {
+                success: true,
+                warnings: warnings
+            };
+        } catch (error) {
+            console.error('Model error checking marks for outliers:', error.message);
+            return {
+                success: false,
+                error: 'Failed to check marks: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Refuse a save while any of its new marks has a warning its entry does not acknowledge (each entry
+     * lists the warning types it acknowledges in acknowledged_warnings). Shared by every save path.
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber })
+     * @param {Object} marksBySubject - Map of subject -> mark entries ({ index, mark, status, acknowledged_warnings })
+     * @returns {Promise<Object|null>} Failed result (with warnings, each naming its subject), or null when the save may go on
+     */
+    async checkAcknowledged(filters, marksBySubject) {
+        const unacknowledged = [];
+        for (const subject of Object.keys(marksBySubject)) {
+            const marksData = marksBySubject[subject];
+            const outlierResult = await this.checkMarks({ ...filters, subject: subject }, marksData);
+            if (!outlierResult.success) {
+                return outlierResult;
+            }
+
+            outlierResult.warnings.forEach(warning => {
+                const entry = marksData.find(candidate => parseInt(candidate.index) === warning.index);
+                if (MarkOutlierModel.getUnacknowledged(entry, [warning]).length > 0) {
+                    unacknowledged.push({ ...warning, subject: subject });
+                }
+            });
+        }
+
+        if (unacknowledged.length === 0) {
+            return null;
+        }
+
+        return {
+            success: false,
+            error: `${unacknowledged.length} mark(s) look unusual; check and acknowledge them before saving`,
+            warnings: unacknowledged
+        };
+    }
+}
+
+module.exports = MarkOutlierModel;
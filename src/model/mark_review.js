@@ -0,0 +1,368 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+
+// Moderation of the marks of one subject in one test: a subject teacher submits, a head of section
+// approves or rejects with a comment. Subjects that were never submitted are drafts (no review record).
+const REVIEW_STATES = ['draft', 'submitted', 'approved', 'rejected'];
+const REVIEW_ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+const STATE_LABELS = {
+    draft: 'Draft',
+    submitted: 'Awaiting review',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+class MarkReviewModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarkReviewModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarkReviewModel: Database connection ready');
+        } catch (error) {
+            console.error('MarkReviewModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Get the review state of a review record (draft when there is none)
+     * @param {Object|null} review - Review record
+     * @returns {string} Review state
+     */
+    static getState(review) {
+        return review && REVIEW_STATES.includes(review.state) ? review.state : 'draft';
+    }
+
+    /**
+     * Count reviews by state
+     * @param {Array} reviews - Review records
+     * @returns {Object} { submitted, approved, rejected }
+     */
+    static countByState(reviews) {
+        const counts = { submitted: 0, approved: 0, rejected: 0 };
+        reviews.forEach(review => {
+            const state = MarkReviewModel.getState(review);
+            if (state in counts) {
+                counts[state]++;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Get the review of the subject and test selected by the filters
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @returns {Promise<Object>} Result with review (null when never submitted) and state
+     */
+    async getReview(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.markManagerModel.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const review = await db.collection('mark_reviews').findOne({
+                summary_id: summary.id,
+                test_number: parseInt(filters.testNumber),
+                subject: filters.subject
+            });
+
+            return {
+                success: true,
+                state: MarkReviewModel.getState(review),
+                review: review
+            };
+        } catch (error) {
+            console.error('Model error fetching review:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch review: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Submit the marks of a subject and test for review. Every enrolled student needs a recorded mark
+     * or status, and a submission already awaiting review or approved cannot be submitted again.
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {Object} context - { changed_by, note }
+     * @returns {Promise<Object>} Result with the review
+     */
+    async submitForReview(filters, context = {}) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summary = await this.markManagerModel.findSummary(db, filters);
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const query = {
+                summary_id: summary.id,
+                test_number: parseInt(filters.testNumber),
+                subject: filters.subject
+            };
+            const existing = await db.collection('mark_reviews').findOne(query);
+            const state = MarkReviewModel.getState(existing);
+            if (state === 'submitted' || state === 'approved') {
+                return {
+                    success: false,
+                    error: `Marks are already ${STATE_LABELS[state].toLowerCase()}`
+                };
+            }
+
+            const statisticsResult = await this.markManagerModel.getMarksStatistics(filters);
+            if (!statisticsResult.success) {
+                return statisticsResult;
+            }
+            if (statisticsResult.statistics.pending_marks > 0) {
+                return {
+                    success: false,
+                    error: `${statisticsResult.statistics.pending_marks} student(s) still have no mark; finish entering marks before submitting`
+                };
+            }
+
+            const currentTime = new Date().toISOString();
+            const submittedBy = MarkReviewModel.getActor(context.changed_by);
+            const note = (context.note || '').toString().trim() || null;
+
+            await db.collection('mark_reviews').updateOne(
+                query,
+                {
+                    $set: {
+                        state: 'submitted',
+                        submitted_by: submittedBy,
+                        submitted_at: currentTime,
+                        note: note,
+                        reviewed_by: null,
+                        reviewed_at: null,
+                        comment: null,
+                        updated_at: currentTime
+                    },
+                    $push: {
+                        log: { action: 'submitted', by: submittedBy, comment: note, at: currentTime }
+                    },
+                    $setOnInsert: {
+                        id: this.generateReviewId(),
+                        ...query,
+                        created_at: currentTime
+                    }
+                },
+                { upsert: true }
+            );
+
+            return {
+                success: true,
+                message: `${filters.subject} marks submitted for review`,
+                review: await db.collection('mark_reviews').findOne(query)
+            };
+        } catch (error) {
+            console.error('Model error submitting for review:', error.message);
+            return {
+                success: false,
+                error: 'Failed to submit for review: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Approve or reject a submission awaiting review. Rejections need a comment for the teacher.
+     * @param {string} reviewId - Review ID
+     * @param {string} action - 'approve' or 'reject'
+     * @param {Object} context - { changed_by, comment }
+     * @returns {Promise<Object>} Result with the review
+     */
+    async reviewSubmission(reviewId, action, context = {}) {
+        try {
+            if (!(action in REVIEW_ACTIONS)) {
+                return {
+                    success: false,
+                    error: `Action must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`
+                };
+            }
+
+            const comment = (context.comment || '').toString().trim() || null;
+            if (action === 'reject' && !comment) {
+                return {
+                    success: false,
+                    error: 'A comment is required to reject marks'
+                };
+            }
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const review = await db.collection('mark_reviews').findOne({ id: reviewId });
+            if (!review) {
+                return {
+                    success: false,
+                    error: 'Review not found'
+                };
+            }
+
+            if (MarkReviewModel.getState(review) !== 'submitted') {
+                return {
+                    success: false,
+                    error: 'Only submissions awaiting review can be approved or rejected'
+                };
+            }
+
+            const currentTime = new Date().toISOString();
+            const reviewedBy = MarkReviewModel.getActor(context.changed_by);
+            const state = REVIEW_ACTIONS[action];
+
+            await db.collection('mark_reviews').updateOne(
+                { id: reviewId, state: 'submitted' },
+                {
+                    $set: {
+                        state: state,
+                        reviewed_by: reviewedBy,
+                        reviewed_at: currentTime,
+                        comment: comment,
+                        updated_at: currentTime
+                    },
+                    $push: {
+                        log: { action: state, by: reviewedBy, comment: comment, at: currentTime }
+                    }
+                }
+            );
+
+            return {
+                success: true,
+                message: `${review.subject} marks ${state}`,
+                review: await db.collection('mark_reviews').findOne({ id: reviewId })
+            };
+        } catch (error) {
+            console.error('Model error reviewing submission:', error.message);
+            return {
+                success: false,
+                error: 'Failed to review submission: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * List reviews for the review queue, oldest submission first, with their summary's name and year
+     * @param {Object} filters - { state (defaults to submitted), year, className }
+     * @returns {Promise<Object>} Result with reviews
+     */
+    async getReviewQueue(filters = {}) {
+        try {
+            const state = filters.state || 'submitted';
+            if (!REVIEW_STATES.includes(state) || state === 'draft') {
+                return {
+                    success: false,
+                    error: 'State must be one of: submitted, approved, rejected'
+                };
+            }
+
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const summaryQuery = {};
+            if (filters.year) summaryQuery.year = parseInt(filters.year);
+            if (filters.className) summaryQuery.name = filters.className;
+
+            const summaries = await db.collection('summaries').find(summaryQuery).toArray();
+            const summaryLookup = new Map(summaries.map(summary => [summary.id, summary]));
+
+            const reviews = await db.collection('mark_reviews')
+                .find({ state: state, summary_id: { $in: summaries.map(summary => summary.id) } })
+                .sort({ submitted_at: 1 })
+                .toArray();
+
+            return {
+                success: true,
+                state: state,
+                reviews: reviews.map(review => {
+                    const summary = summaryLookup.get(review.summary_id);
+                    return {
+                        ...review,
+                        year: summary.year,
+                        className: summary.name
+                    };
+                })
+            };
+        } catch (error) {
+            console.error('Model error fetching review queue:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch review queue: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Name recorded for whoever submits or reviews
+     * @param {string} changedBy - Name sent by the client
+     * @returns {string} Name
+     */
+    static getActor(changedBy) {
+        return (changedBy || '').toString().trim() || 'Unknown';
+    }
+
+    /**
+     * Generate unique review ID
+     * @returns {string} Unique review ID
+     */
+    generateReviewId() {
+        return 'REV_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9).toUpperCase();
+    }
+}
+
+MarkReviewModel.REVIEW_STATES = REVIEW_STATES;
+MarkReviewModel.STATE_LABELS = STATE_LABELS;
+
+module.exports = MarkReviewModel;
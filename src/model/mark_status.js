@@ -0,0 +1,140 @@
+// Per-subject status of a mark. Only 'entered' marks carry a score; a score of 0 is a real zero.
+const MARK_STATUSES = ['entered', 'absent', 'exempt', 'medical', 'pending'];
+
+// Short codes shown in place of a mark (and grade) for statuses without a score
+const STATUS_CODES = {
+    absent: 'AB',
+    exempt: 'EX',
+    medical: 'MC'
+};
+
+const STATUS_LABELS = {
+    entered: 'Entered',
+    absent: 'Absent',
+    exempt: 'Exempt',
+    medical: 'Medical',
+    pending: 'Pending'
+};
+
+class MarkStatusModel {
+    /**
+     * Resolve the status of a subject on a marks record.
+     * Records saved before statuses existed fall back to "a mark above 0 was entered".
+     * @param {Object} record - Marks record
+     * @param {string} subject - Subject name
+     * @returns {string} Mark status
+     */
+    static getStatus(record, subject) {
+        const status = record && record.mark_status ? record.mark_status[subject] : undefined;
+        if (MARK_STATUSES.includes(status)) {
+            return status;
+        }
+
+        const mark = record && record.marks ? record.marks[subject] : undefined;
+        return typeof mark === 'number' && mark > 0 ? 'entered' : 'pending';
+    }
+
+    /**
+     * Build the initial status map for a new marks record (every subject pending)
+     * @param {Object} marks - Marks object keyed by subject
+     * @returns {Object} Status map keyed by subject
+     */
+    static buildInitialStatuses(marks) {
+        const statuses = {};
+        Object.keys(marks || {}).forEach(subject => {
+            statuses[subject] = 'pending';
+        });
+        return statuses;
+    }
+
+    /**
+     * Validate a status value
+     * @param {string} status - Status to validate
+     * @returns {Object} Validation result
+     */
+    static validateStatus(status) {
+        if (!MARK_STATUSES.includes(status)) {
+            return {
+                valid: false,
+                error: `Status must be one of: ${MARK_STATUSES.join(', ')}`
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Whether the mark counts towards averages, highest/lowest and grading
+     * @param {string} status - Mark status
+     * @returns {boolean}
+     */
+    static hasScore(status) {
+        return status === 'entered';
+    }
+
+    /**
+     * Whether the student is expected to sit the subject (exempt students are not)
+     * @param {string} status - Mark status
+     * @returns {boolean}
+     */
+    static isExpected(status) {
+        return status !== 'exempt';
+    }
+
+    /**
+     * Whether the teacher has recorded an outcome for the student
+     * @param {string} status - Mark status
+     * @returns {boolean}
+     */
+    static isRecorded(status) {
+        return status !== 'pending';
+    }
+
+    /**
+     * Value to display for a mark: the score when entered, a status code otherwise
+     * @param {number} mark - Mark value
+     * @param {string} status - Mark status
+     * @returns {number|string} Display value ('' when pending)
+     */
+    static getDisplayValue(mark, status) {
+        if (status === 'entered') {
+            return mark;
+        }
+        return STATUS_CODES[status] || '';
+    }
+
+    /**
+     * Summarize the statuses and scores of one subject across students
+     * @param {Array} entries - Array of { mark, status }
+     * @param {number} totalStudents - Number of students in the class (missing entries count as pending)
+     * @returns {Object} Status counts, scores and completion percentage
+     */
+    static summarize(entries, totalStudents = entries.length) {
+        const counts = { entered: 0, absent: 0, exempt: 0, medical: 0, pending: 0 };
+        const scores = [];
+
+        entries.forEach(entry => {
+            counts[entry.status]++;
+            if (MarkStatusModel.hasScore(entry.status)) {
+                scores.push(parseFloat(entry.mark) || 0);
+            }
+        });
+
+        counts.pending += Math.max(totalStudents - entries.length, 0);
+
+        const expected = totalStudents - counts.exempt;
+        const recorded = counts.entered + counts.absent + counts.medical;
+
+        return {
+            counts: counts,
+            scores: scores,
+            completion_percentage: expected > 0 ? parseFloat(((recorded / expected) * 100).toFixed(2)) : 100
+        };
+    }
+}
+
+MarkStatusModel.MARK_STATUSES = MARK_STATUSES;
+MarkStatusModel.STATUS_CODES = STATUS_CODES;
+MarkStatusModel.STATUS_LABELS = STATUS_LABELS;
+
+module.exports = MarkStatusModel;
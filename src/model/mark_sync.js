@@ -0,0 +1,137 @@
+const { dbConnection } = require('./db');
+
+// Idempotency records of marks operations queued offline by the marks manager. Each operation carries
+// a key made by the browser; once an operation has a final result (applied, conflict, locked or
+// invalid) that result is kept, so a batch re-sent after a dropped connection is never applied twice.
+// Marks flagged as outliers are not final: once the warnings are acknowledged the save is sent again.
+const OPERATION_TYPES = ['save-bulk', 'single'];
+const FINAL_STATUSES = ['applied', 'conflict', 'locked', 'invalid'];
+const MAX_BATCH_SIZE = 100;
+
+class MarkSyncModel {
+    constructor() {
+        this.db = null;
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarkSyncModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarkSyncModel: Database connection ready');
+        } catch (error) {
+            console.error('MarkSyncModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Validate the shape of a queued operation
+     * @param {Object} operation - { key, type, filters, marksData | studentData, changed_by }
+     * @returns {Object} Validation result
+     */
+    static validateOperation(operation) {
+        if (!operation || typeof operation.key !== 'string' || !operation.key.trim()) {
+            return { valid: false, error: 'Operation key is required' };
+        }
+        if (!OPERATION_TYPES.includes(operation.type)) {
+            return { valid: false, error: `Operation type must be one of: ${OPERATION_TYPES.join(', ')}` };
+        }
+
+        const filters = operation.filters || {};
+        if (!filters.year || !filters.className || !filters.testNumber || !filters.subject) {
+            return { valid: false, error: 'Missing required filter parameters' };
+        }
+        if (operation.type === 'save-bulk' && !Array.isArray(operation.marksData)) {
+            return { valid: false, error: 'A save-bulk operation needs marksData' };
+        }
+        if (operation.type === 'single' && (!operation.studentData || typeof operation.studentData !== 'object')) {
+            return { valid: false, error: 'A single operation needs studentData' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Status of an operation from the HTTP status its endpoint would have answered with
+     * @param {number} httpStatus - HTTP status code
+     * @returns {string} 'applied', 'conflict', 'locked', 'invalid', 'flagged' (outlier warnings to acknowledge)
+     * or 'failed' (retried on the next sync)
+     */
+    static getStatus(httpStatus) {
+        if (httpStatus >= 200 && httpStatus < 300) return 'applied';
+        if (httpStatus === 409) return 'conflict';
+        if (httpStatus === 423) return 'locked';
+        if (httpStatus === 422) return 'flagged';
+        if (httpStatus === 400 || httpStatus === 404) return 'invalid';
+        return 'failed';
+    }
+
+    /**
+     * Get the kept results of operations that were already processed
+     * @param {Array} keys - Operation keys
+     * @returns {Promise<Map>} Map of key -> { status, result }
+     */
+    async getProcessed(keys) {
+        const db = await this.getDb();
+        const processed = await db.collection('mark_operations').find({ key: { $in: keys } }).toArray();
+        return new Map(processed.map(operation => [operation.key, operation]));
+    }
+
+    /**
+     * Keep the final result of an operation. An operation that failed for a server reason is not
+     * kept, so the browser retries it on the next sync.
+     * @param {Object} operation - Queued operation
+     * @param {string} status - Operation status
+     * @param {Object} result - Result returned for the operation
+     * @returns {Promise<boolean>} Whether the result was kept
+     */
+    async recordResult(operation, status, result) {
+        if (!FINAL_STATUSES.includes(status)) {
+            return false;
+        }
+
+        const db = await this.getDb();
+        const currentTime = new Date().toISOString();
+        await db.collection('mark_operations').updateOne(
+            { key: operation.key },
+            {
+                $setOnInsert: {
+                    key: operation.key,
+                    type: operation.type,
+                    year: parseInt(operation.filters.year),
+                    className: operation.filters.className,
+                    test_number: parseInt(operation.filters.testNumber),
+                    subject: operation.filters.subject,
+                    changed_by: operation.changed_by || null,
+                    queued_at: operation.queued_at || null,
+                    status: status,
+                    result: result,
+                    processed_at: currentTime
+                }
+            },
+            { upsert: true }
+        );
+        return true;
+    }
+}
+
+MarkSyncModel.OPERATION_TYPES = OPERATION_TYPES;
+MarkSyncModel.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+module.exports = MarkSyncModel;
@@ -0,0 +1,407 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+const MarkVersionModel = require('./mark_version');
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+const DescriptiveStatisticsModel = require('./descriptive_statistics');
+const StudentModel = require('./student');
+const EnrollmentModel = require('./enrollment');
+
+// Whole-subject transformations of the entered marks of one test (scaling, bonus marks, a cap, or a
+// target mean and standard deviation). A transformation is previewed first, then saved as one save
+// through MarkManagerModel.saveMarksInBulk, so it is one entry in the save history (with a description
+// of the transformation) and can be reverted like any other save. Results stay within 0 and the
+// subject's maximum mark; absent, exempt, medical and pending students are left as they are.
+const TRANSFORM_TYPES = ['scale', 'bonus', 'cap', 'target_distribution'];
+const MAX_DECIMALS = 2;
+
+class MarkTransformModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.studentModel = new StudentModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarkTransformModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarkTransformModel: Database connection ready');
+        } catch (error) {
+            console.error('MarkTransformModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Validate a transformation against the subject's maximum mark
+     * @param {Object} transform - { type, decimals, ...options } where the options are
+     *   scale: new_maximum (the mark from_maximum becomes; from_maximum defaults to the highest mark),
+     *   bonus: amount (may be negative), cap: cap, target_distribution: mean and standard_deviation
+     * @param {number} maxMark - Maximum mark of the subject in the test
+     * @returns {Object} Validation result with the normalized transformation
+     */
+    static validateTransform(transform, maxMark) {
+        if (!transform || !TRANSFORM_TYPES.includes(transform.type)) {
+            return { valid: false, error: `Transformation type must be one of: ${TRANSFORM_TYPES.join(', ')}` };
+        }
+
+        const decimals = transform.decimals === undefined || transform.decimals === '' ? 0 : parseInt(transform.decimals);
+        if (isNaN(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+            return { valid: false, error: `Decimals must be between 0 and ${MAX_DECIMALS}` };
+        }
+
+        const readNumber = (name, min, max) => {
+            const value = parseFloat(transform[name]);
+            if (isNaN(value) || value < min || value > max) {
+                return { error: `${name.replace(/_/g, ' ')} must be between ${min} and ${max}` };
+            }
+            return { value: value };
+        };
+
+        const normalized = { type: transform.type, decimals: decimals };
+        const fields = {
+            scale: [['new_maximum', 0, maxMark]],
+            bonus: [['amount', -maxMark, maxMark]],
+            cap: [['cap', 0, maxMark]],
+            target_distribution: [['mean', 0, maxMark], ['standard_deviation', 0, maxMark]]
+        }[transform.type];
+
+        for (const [name, min, max] of fields) {
+            const { value, error } = readNumber(name, min, max);
+            if (error) {
+                return { valid: false, error: error };
+            }
+            normalized[name] = value;
+        }
+
+        if (transform.type === 'scale' && transform.from_maximum !== undefined && transform.from_maximum !== null && transform.from_maximum !== '') {
+            const fromMaximum = parseFloat(transform.from_maximum);
+            if (!(fromMaximum > 0)) {
+                return { valid: false, error: 'from maximum must be greater than 0' };
+            }
+            normalized.from_maximum = fromMaximum;
+        }
+        if ((transform.type === 'scale' && normalized.new_maximum === 0) || (transform.type === 'bonus' && normalized.amount === 0)) {
+            return { valid: false, error: 'The transformation would not change any mark' };
+        }
+
+        return { valid: true, transform: normalized };
+    }
+
+    /**
+     * Describe a transformation for the save history
+     * @param {Object} transform - Normalized transformation
+     * @param {Object} before - Distribution of the marks before it (see describeDistribution)
+     * @returns {string} Description
+     */
+    static describeTransform(transform, before) {
+        switch (transform.type) {
+        case 'scale':
+            return `Scaled linearly so ${transform.from_maximum || before.highest} becomes ${transform.new_maximum}`;
+        case 'bonus':
+            return `${transform.amount > 0 ? 'Added' : 'Deducted'} ${Math.abs(transform.amount)} mark(s)`;
+        case 'cap':
+            return `Capped at ${transform.cap}`;
+        default:
+            return `Mapped from mean ${before.mean} and standard deviation ${before.standard_deviation} to mean ${transform.mean} and standard deviation ${transform.standard_deviation}`;
+        }
+    }
+
+    /**
+     * Summarize a set of raw marks: count, mean, standard deviation, range and percentage bands
+     * @param {Array} scores - Raw marks
+     * @param {number} maxMark - Maximum mark
+     * @returns {Object} { count, mean, standard_deviation, lowest, highest, bands: [{ label, count }] }
+     */
+    static describeDistribution(scores, maxMark) {
+        const description = DescriptiveStatisticsModel.describe(scores, { maxMark: maxMark });
+
+        return {
+            count: description.count,
+            mean: description.mean,
+            standard_deviation: description.standard_deviation,
+            lowest: description.lowest,
+            highest: description.highest,
+            bands: description.bands
+        };
+    }
+
+    /**
+     * Transform one mark, rounded and kept within 0 and the maximum mark
+     * @param {number} mark - Raw mark
+     * @param {Object} transform - Normalized transformation
+     * @param {Object} before - Distribution of the marks before the transformation
+     * @param {number} maxMark - Maximum mark
+     * @returns {number} Transformed mark
+     */
+    static transformMark(mark, transform, before, maxMark) {
+        let value;
+        switch (transform.type) {
+        case 'scale':
+            value = mark * transform.new_maximum / (transform.from_maximum || before.highest);
+            break;
+        case 'bonus':
+            value = mark + transform.amount;
+            break;
+        case 'cap':
+            value = Math.min(mark, transform.cap);
+            break;
+        default:
+            value = transform.mean + (mark - before.mean) / before.standard_deviation * transform.standard_deviation;
+        }
+
+        const factor = Math.pow(10, transform.decimals);
+        return Math.min(Math.max(Math.round(value * factor) / factor, 0), maxMark);
+    }
+
+    /**
+     * Load the entered marks of the subject and test selected by the filters
+     * @param {Object} db - Database instance
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @returns {Promise<Object>} Result with summary, maxMark, records and students ({ index, student_id, name, mark, version })
+     */
+    async loadSubject(db, filters) {
+        const summary = await this.markManagerModel.findSummary(db, filters);
+        if (!summary) {
+            return {
+                success: false,
+                error: 'Summary not found'
+            };
+        }
+
+        const testNumber = parseInt(filters.testNumber);
+        const subject = filters.subject;
+        const markingConfig = this.markManagerModel.getMarkingConfig(summary, subject, testNumber);
+        if (markingConfig.components) {
+            return {
+                success: false,
+                error: `${subject} is marked by components; its total is computed from the component marks and cannot be transformed`
+            };
+        }
+
+        const rosterResult = await this.studentModel.getStudentsBySummaryId(summary.id);
+        const studentLookup = StudentModel.buildIndexLookup(rosterResult.students);
+        const records = await db.collection('marks').find({
+            summary_id: summary.id,
+            test_number: testNumber,
+            [`marks.${subject}`]: { $exists: true }
+        }).toArray();
+
+        const students = records
+            .filter(record => EnrollmentModel.isEnrolled(studentLookup.get(record.index), subject)
+                && MarkStatusModel.getStatus(record, subject) === 'entered')
+            .map(record => ({
+                ...this.markManagerModel.buildStudentInfo(studentLookup.get(record.index), record.index, record.student_id),
+                mark: parseFloat(record.marks[subject]),
+                version: MarkVersionModel.getVersion(record, subject)
+            }))
+            .filter(student => !isNaN(student.mark))
+            .sort((a, b) => a.index - b.index);
+
+        return {
+            success: true,
+            summary: summary,
+            maxMark: markingConfig.max_mark,
+            records: new Map(records.map(record => [record.index, record])),
+            students: students
+        };
+    }
+
+    /**
+     * Work out a transformation on the loaded marks
+     * @param {Object} loaded - Loaded subject (see loadSubject)
+     * @param {Object} transform - Transformation to validate and apply
+     * @returns {Object} Result with the normalized transformation, description, changes and distributions
+     */
+    buildTransform(loaded, transform) {
+        const { maxMark, students } = loaded;
+
+        const validation = MarkTransformModel.validateTransform(transform, maxMark);
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+        if (students.length === 0) {
+            return { success: false, error: 'No entered marks to transform' };
+        }
+
+        const normalized = validation.transform;
+        const before = MarkTransformModel.describeDistribution(students.map(student => student.mark), maxMark);
+        if (normalized.type === 'scale' && !(normalized.from_maximum || before.highest)) {
+            return { success: false, error: 'Every mark is 0; there is nothing to scale from' };
+        }
+        if (normalized.type === 'target_distribution' && before.standard_deviation === 0) {
+            return { success: false, error: 'Every mark is the same; there is no spread to map to a standard deviation' };
+        }
+
+        const results = students.map(student => ({
+            index: student.index,
+            student_id: student.student_id,
+            name: student.name,
+            before: student.mark,
+            after: MarkTransformModel.transformMark(student.mark, normalized, before, maxMark),
+            version: student.version
+        }));
+
+        return {
+            success: true,
+            transform: normalized,
+            description: MarkTransformModel.describeTransform(normalized, before),
+            max_mark: maxMark,
+            changes: results.filter(result => result.after !== result.before),
+            unchanged_count: results.filter(result => result.after === result.before).length,
+            before: before,
+            after: MarkTransformModel.describeDistribution(results.map(result => result.after), maxMark)
+        };
+    }
+
+    /**
+     * Preview a transformation: each changed mark and the distribution before and after
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {Object} transform - Transformation (see validateTransform)
+     * @returns {Promise<Object>} Result with the preview and the versions it was worked out at
+     */
+    async previewTransform(filters, transform) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const loaded = await this.loadSubject(db, filters);
+            if (!loaded.success) {
+                return loaded;
+            }
+
+            const preview = this.buildTransform(loaded, transform);
+            if (!preview.success) {
+                return preview;
+            }
+
+            return {
+                ...preview,
+                versions: MarkVersionModel.getVersions(loaded.records, filters.subject)
+            };
+        } catch (error) {
+            console.error('Model error previewing mark transformation:', error.message);
+            return {
+                success: false,
+                error: 'Failed to preview transformation: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Apply a previewed transformation as one save. Since the result depends on every mark of the
+     * subject, nothing is saved when any of them changed since the preview.
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber, subject })
+     * @param {Object} transform - Transformation used for the preview
+     * @param {Object} versions - Versions returned by the preview ({ index: version })
+     * @param {Object} context - { changed_by, endpoint }
+     * @returns {Promise<Object>} Result with the save ID, changed count and new versions
+     */
+    async applyTransform(filters, transform, versions, context = {}) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const loaded = await this.loadSubject(db, filters);
+            if (!loaded.success) {
+                return loaded;
+            }
+
+            const lockCheck = this.markManagerModel.checkTestEditable(loaded.summary, filters.testNumber);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+
+            const previewed = new Set([...loaded.records.keys(), ...Object.keys(versions).map(index => parseInt(index))]);
+            const conflicts = MarkVersionModel.findConflicts(
+                [...previewed].map(index => ({ index: index, version: versions[index] !== undefined ? versions[index] : 0 })),
+                loaded.records,
+                filters.subject
+            );
+            if (conflicts.length > 0) {
+                const target = { summary_id: loaded.summary.id, test_number: filters.testNumber, subject: filters.subject };
+                const conflictResult = await this.markManagerModel.buildConflictResult(target, conflicts);
+                return {
+                    ...conflictResult,
+                    error: `${conflicts.length} mark(s) were changed by someone else since the preview; preview the transformation again`
+                };
+            }
+
+            const result = this.buildTransform(loaded, transform);
+            if (!result.success) {
+                return result;
+            }
+            if (result.changes.length === 0) {
+                return {
+                    success: false,
+                    error: 'The transformation would not change any mark'
+                };
+            }
+
+            const saveResult = await this.markManagerModel.saveMarksInBulk(
+                result.changes.map(change => ({
+                    index: change.index,
+                    student_id: change.student_id,
+                    mark: change.after,
+                    status: 'entered',
+                    component_marks: {},
+                    version: change.version
+                })),
+                filters,
+                {
+                    ...context,
+                    transformation: { ...result.transform, description: result.description }
+                }
+            );
+            if (!saveResult.success) {
+                return saveResult;
+            }
+
+            return {
+                success: true,
+                message: `${result.description}: ${result.changes.length} mark(s) changed`,
+                description: result.description,
+                changed_count: result.changes.length,
+                save_id: saveResult.save_id,
+                versions: saveResult.versions,
+                before: result.before,
+                after: result.after
+            };
+        } catch (error) {
+            console.error('Model error applying mark transformation:', error.message);
+            return {
+                success: false,
+                error: 'Failed to apply transformation: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = MarkTransformModel;
@@ -0,0 +1,118 @@
+const MarkHistoryModel = require('./mark_history');
+
+// Marks records keep one version per subject (versions.<subject>), bumped by every write to that subject.
+// Records written before versions existed are at version 0. Every write must send the version its mark
+// was loaded at, so a mark changed elsewhere is reported as a conflict instead of being overwritten.
+const INITIAL_VERSION = 0;
+
+class MarkVersionModel {
+    /**
+     * Get the version of one subject mark on a marks record
+     * @param {Object|null} record - Marks record
+     * @param {string} subject - Subject name
+     * @returns {number} Version
+     */
+    static getVersion(record, subject) {
+        const version = record && record.versions ? record.versions[subject] : undefined;
+        return Number.isInteger(version) ? version : INITIAL_VERSION;
+    }
+
+    /**
+     * Validate the version a submitted entry was loaded at
+     * @param {Object} entry - Submitted mark entry
+     * @returns {Object} Validation result (with the version when valid)
+     */
+    static validateVersion(entry) {
+        if (entry.version === undefined || entry.version === null || entry.version === '') {
+            return { valid: false, error: 'Version is required; reload the marks and save again' };
+        }
+
+        const version = Number(entry.version);
+        if (!Number.isInteger(version) || version < 0) {
+            return { valid: false, error: 'Version must be a non-negative integer' };
+        }
+        return { valid: true, version: version };
+    }
+
+    /**
+     * Validate the versions of submitted entries
+     * @param {Array} entries - Submitted mark entries ({ index, version })
+     * @returns {Object} Validation result naming the first invalid entry
+     */
+    static validateVersions(entries) {
+        for (const entry of entries) {
+            const validation = MarkVersionModel.validateVersion(entry);
+            if (!validation.valid) {
+                return { valid: false, error: `Student ${entry.index}: ${validation.error}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Build the update that bumps the version of a subject mark
+     * @param {string} subject - Subject name
+     * @returns {Object} $inc fields
+     */
+    static buildIncrement(subject) {
+        return { [`versions.${subject}`]: 1 };
+    }
+
+    /**
+     * Build the filter condition that only matches a record still at the expected version
+     * @param {string} subject - Subject name
+     * @param {number} version - Expected version
+     * @returns {Object} Filter fields
+     */
+    static buildVersionFilter(subject, version) {
+        const expected = parseInt(version);
+        return {
+            [`versions.${subject}`]: expected === INITIAL_VERSION ? { $in: [null, INITIAL_VERSION] } : expected
+        };
+    }
+
+    /**
+     * Find the submitted entries whose mark was changed elsewhere since they were loaded
+     * @param {Array} entries - Submitted entries ({ index, version })
+     * @param {Map} records - Map of index -> current marks record
+     * @param {string} subject - Subject name
+     * @returns {Array} Conflicts ({ index, student_id, your_version, current_version, current })
+     */
+    static findConflicts(entries, records, subject) {
+        const conflicts = [];
+
+        entries.forEach(entry => {
+            const record = records.get(parseInt(entry.index));
+            const currentVersion = MarkVersionModel.getVersion(record, subject);
+            if (parseInt(entry.version) !== currentVersion) {
+                conflicts.push({
+                    index: parseInt(entry.index),
+                    student_id: (record && record.student_id) || entry.student_id || null,
+                    your_version: parseInt(entry.version),
+                    current_version: currentVersion,
+                    current: MarkHistoryModel.getState(record, subject)
+                });
+            }
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Build a map of index -> version for the given records
+     * @param {Map} records - Map of index -> marks record
+     * @param {string} subject - Subject name
+     * @returns {Object} Map of index -> version
+     */
+    static getVersions(records, subject) {
+        const versions = {};
+        records.forEach((record, index) => {
+            versions[index] = MarkVersionModel.getVersion(record, subject);
+        });
+        return versions;
+    }
+}
+
+MarkVersionModel.INITIAL_VERSION = INITIAL_VERSION;
+
+module.exports = MarkVersionModel;
@@ -0,0 +1,282 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+const MarkHistoryModel = require('./mark_history');
+const MarkVersionModel = require('./mark_version');
+const StudentModel = require('./student');
+const EnrollmentModel = require('./enrollment');
+const LifecycleModel = require('./lifecycle');
+const MarkOutlierModel = require('./mark_outliers');
+
+// Whole-class grid of one test: every student against every subject, edited cell by cell and saved
+// in one batch through MarkManagerModel.saveSubjectsInBulk. Subjects with components are read-only
+// here since their total is computed from the component marks entered in the marks manager.
+class MarksGridModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.markOutlierModel = new MarkOutlierModel();
+        this.studentModel = new StudentModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarksGridModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarksGridModel: Database connection ready');
+        } catch (error) {
+            console.error('MarksGridModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Load the summary, subjects, roster and marks records of the test selected by the filters
+     * @param {Object} db - Database instance
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber })
+     * @returns {Promise<Object>} Result with summary, testNumber, subjects, students and records
+     */
+    async loadTest(db, filters) {
+        const summary = await this.markManagerModel.findSummary(db, filters);
+        if (!summary) {
+            return {
+                success: false,
+                error: 'Summary not found'
+            };
+        }
+
+        const testNumber = parseInt(filters.testNumber);
+        if (isNaN(testNumber) || testNumber < 1 || testNumber > summary.test_count) {
+            return {
+                success: false,
+                error: `Test number must be between 1 and ${summary.test_count}`
+            };
+        }
+
+        const sampleMark = await db.collection('marks').findOne({ summary_id: summary.id });
+        const subjects = sampleMark && sampleMark.marks ? Object.keys(sampleMark.marks) : [];
+        const rosterResult = await this.studentModel.getStudentsBySummaryId(summary.id);
+        const records = await db.collection('marks').find({
+            summary_id: summary.id,
+            test_number: testNumber
+        }).toArray();
+
+        return {
+            success: true,
+            summary: summary,
+            testNumber: testNumber,
+            subjects: subjects,
+            studentLookup: StudentModel.buildIndexLookup(rosterResult.students),
+            records: new Map(records.map(record => [record.index, record]))
+        };
+    }
+
+    /**
+     * Get the grid of a test: students (with the subjects they take), subjects (with their maximum
+     * mark and components) and the mark, status and version of each cell
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber })
+     * @returns {Promise<Object>} Result with students, subjects, cells and lock state
+     */
+    async getGrid(filters) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const test = await this.loadTest(db, filters);
+            if (!test.success) {
+                return test;
+            }
+
+            const { summary, testNumber, subjects, studentLookup, records } = test;
+
+            const students = [];
+            const cells = {};
+            for (let index = 1; index <= summary.student_count; index++) {
+                const student = studentLookup.get(index);
+                const enrolledSubjects = EnrollmentModel.getEnrolledSubjects(student, subjects);
+                students.push({
+                    ...this.markManagerModel.buildStudentInfo(student, index),
+                    enrolled_subjects: enrolledSubjects
+                });
+
+                cells[index] = {};
+                enrolledSubjects.forEach(subject => {
+                    const state = MarkHistoryModel.getState(records.get(index), subject);
+                    cells[index][subject] = {
+                        mark: state.mark,
+                        status: state.status,
+                        version: MarkVersionModel.getVersion(records.get(index), subject)
+                    };
+                });
+            }
+
+            return {
+                success: true,
+                summary: {
+                    id: summary.id,
+                    name: summary.name,
+                    year: summary.year,
+                    test_count: summary.test_count
+                },
+                test_number: testNumber,
+                subjects: subjects.map(subject => ({
+                    name: subject,
+                    ...this.markManagerModel.getMarkingConfig(summary, subject, testNumber)
+                })),
+                students: students,
+                cells: cells,
+                lifecycle_state: LifecycleModel.getTestState(summary, testNumber),
+                locked: LifecycleModel.isTestLocked(summary, testNumber)
+            };
+        } catch (error) {
+            console.error('Model error fetching marks grid:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch marks grid: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Validate the changed cells of a grid save against the test
+     * @param {Array} changes - Changed cells ({ index, subject, mark, status, version })
+     * @param {Object} test - Loaded test (see loadTest)
+     * @returns {Array} Cell errors ({ index, subject, error })
+     */
+    validateChanges(changes, test) {
+        const { summary, testNumber, subjects, studentLookup } = test;
+        const cellErrors = [];
+        const seen = new Set();
+
+        changes.forEach(change => {
+            const index = parseInt(change.index);
+            const fail = error => cellErrors.push({ index: change.index, subject: change.subject, error: error });
+
+            if (isNaN(index) || index < 1 || index > summary.student_count) {
+                return fail('Unknown student');
+            }
+            if (!subjects.includes(change.subject)) {
+                return fail('Unknown subject');
+            }
+            if (seen.has(`${index}|${change.subject}`)) {
+                return fail('Cell changed twice in one save');
+            }
+            seen.add(`${index}|${change.subject}`);
+
+            const markingConfig = this.markManagerModel.getMarkingConfig(summary, change.subject, testNumber);
+            if (markingConfig.components) {
+                return fail(`${change.subject} is marked by components; enter its marks in the marks manager`);
+            }
+            if (!EnrollmentModel.isEnrolled(studentLookup.get(index), change.subject)) {
+                return fail(`Student ${index} is not enrolled in ${change.subject}`);
+            }
+
+            const validation = MarkManagerModel.validateMarkEntry(change, markingConfig.max_mark, null);
+            if (!validation.valid) {
+                return fail(validation.error);
+            }
+            const versionValidation = MarkVersionModel.validateVersion(change);
+            if (!versionValidation.valid) {
+                return fail(versionValidation.error);
+            }
+        });
+
+        return cellErrors;
+    }
+
+    /**
+     * Save the changed cells of a grid in one batch. Nothing is saved when a cell is invalid, was
+     * changed elsewhere since it was loaded, or has an outlier warning it does not acknowledge.
+     * @param {Object} filters - Filter criteria ({ year, className, testNumber })
+     * @param {Array} changes - Changed cells ({ index, subject, mark, status, version, acknowledged_warnings })
+     * @param {Object} context - { changed_by, endpoint }
+     * @returns {Promise<Object>} Result with saved count and the new versions by subject
+     */
+    async saveGrid(filters, changes, context = {}) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available'
+                };
+            }
+
+            const test = await this.loadTest(db, filters);
+            if (!test.success) {
+                return test;
+            }
+
+            const cellErrors = this.validateChanges(changes, test);
+            if (cellErrors.length > 0) {
+                return {
+                    success: false,
+                    error: `${cellErrors.length} cell(s) are invalid`,
+                    cell_errors: cellErrors
+                };
+            }
+
+            const marksBySubject = {};
+            changes.forEach(change => {
+                const index = parseInt(change.index);
+                const student = test.studentLookup.get(index);
+                const record = test.records.get(index);
+                if (!marksBySubject[change.subject]) marksBySubject[change.subject] = [];
+                marksBySubject[change.subject].push({
+                    index: index,
+                    student_id: (student && student.id) || (record && record.student_id) || null,
+                    mark: change.mark,
+                    status: change.status,
+                    component_marks: {},
+                    version: change.version,
+                    acknowledged_warnings: change.acknowledged_warnings || []
+                });
+            });
+
+            const outlierCheck = await this.markOutlierModel.checkAcknowledged(filters, marksBySubject);
+            if (outlierCheck) {
+                return outlierCheck;
+            }
+
+            const saveResult = await this.markManagerModel.saveSubjectsInBulk(marksBySubject, filters, context);
+            if (!saveResult.success) {
+                return saveResult;
+            }
+
+            return {
+                success: true,
+                message: `Saved ${saveResult.saved_count} mark(s) across ${saveResult.subjects.length} subject(s)`,
+                saved_count: saveResult.saved_count,
+                versions: saveResult.versions
+            };
+        } catch (error) {
+            console.error('Model error saving marks grid:', error.message);
+            return {
+                success: false,
+                error: 'Failed to save marks grid: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = MarksGridModel;
@@ -0,0 +1,447 @@
+const { dbConnection } = require('./db');
+const MarkManagerModel = require('./mark_manager');
+const MarkHistoryModel = require('./mark_history');
+const MarkVersionModel = require('./mark_version');
+const SpreadsheetImportModel = require('./spreadsheet_import');
+const StudentModel = require('./student');
+const EnrollmentModel = require('./enrollment');
+const MarkOutlierModel = require('./mark_outliers');
+
+// Import the marks of one test from a spreadsheet: one row per student (matched by index or admission
+// number) and one column per subject. The preview is a dry run listing every change against the saved
+// marks; applying saves the changes through MarkManagerModel.saveSubjectsInBulk.
+class MarksImportModel {
+    constructor() {
+        this.db = null;
+        this.markManagerModel = new MarkManagerModel();
+        this.markOutlierModel = new MarkOutlierModel();
+        this.studentModel = new StudentModel();
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('MarksImportModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            console.log('MarksImportModel: Database connection ready');
+        } catch (error) {
+            console.error('MarksImportModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Check that every mapped column exists in the file
+     * @param {Object} mapping - { index, admission_number, subjects: { subject: column } }
+     * @param {number} columnCount - Number of columns in the file
+     * @returns {Object} Validation result
+     */
+    static validateMapping(mapping, columnCount) {
+        const columns = {
+            index: mapping.index,
+            'admission number': mapping.admission_number,
+            ...(mapping.subjects || {})
+        };
+
+        for (const field of Object.keys(columns)) {
+            const column = columns[field];
+            if (column !== null && column !== undefined && column !== ''
+                && (isNaN(parseInt(column)) || parseInt(column) < 0 || parseInt(column) >= columnCount)) {
+                return { valid: false, error: `Invalid column selected for ${field}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Parse the file and compare it with the saved marks of the test
+     * @param {Object} filters - { year, className, testNumber }
+     * @param {Object} file - { file_name, file_content }
+     * @param {Object|null} mapping - Column mapping (detected from the headers when missing)
+     * @returns {Promise<Object>} Result with headers, subjects, mapping and preview
+     */
+    async buildImport(filters, file, mapping) {
+        const parseResult = SpreadsheetImportModel.parseFile(file.file_name, file.file_content);
+        if (!parseResult.success) {
+            return parseResult;
+        }
+
+        const db = await this.getDb();
+        if (!db) {
+            return {
+                success: false,
+                error: 'Database not available'
+            };
+        }
+
+        const summary = await this.markManagerModel.findSummary(db, filters);
+        if (!summary) {
+            return {
+                success: false,
+                error: 'Summary not found'
+            };
+        }
+
+        const testNumber = parseInt(filters.testNumber);
+        if (isNaN(testNumber) || testNumber < 1 || testNumber > summary.test_count) {
+            return {
+                success: false,
+                error: `Test number must be between 1 and ${summary.test_count}`
+            };
+        }
+
+        const sampleMark = await db.collection('marks').findOne({ summary_id: summary.id });
+        const subjects = sampleMark && sampleMark.marks ? Object.keys(sampleMark.marks) : [];
+
+        const columnMapping = mapping && typeof mapping === 'object'
+            ? { index: mapping.index, admission_number: mapping.admission_number, subjects: mapping.subjects || {} }
+            : SpreadsheetImportModel.detectMarksColumnMapping(parseResult.headers, subjects);
+
+        const mappingCheck = MarksImportModel.validateMapping(columnMapping, parseResult.headers.length);
+        if (!mappingCheck.valid) {
+            return {
+                success: false,
+                error: mappingCheck.error
+            };
+        }
+
+        const rosterResult = await this.studentModel.getStudentsBySummaryId(summary.id);
+        const records = await db.collection('marks').find({
+            summary_id: summary.id,
+            test_number: testNumber
+        }).toArray();
+
+        const preview = MarksImportModel.buildPreview(parseResult.rows, columnMapping, {
+            summary: summary,
+            testNumber: testNumber,
+            subjects: subjects,
+            students: rosterResult.students || [],
+            records: new Map(records.map(record => [record.index, record])),
+            markManagerModel: this.markManagerModel
+        });
+        await this.flagOutliers(filters, preview);
+
+        return {
+            success: true,
+            sheet_name: parseResult.sheet_name,
+            headers: parseResult.headers,
+            subjects: subjects,
+            mapping: columnMapping,
+            preview: preview
+        };
+    }
+
+    /**
+     * Build the dry-run preview: each row's student, its errors and the marks it would change.
+     * Rows with errors change nothing, and the import is refused until there are none.
+     * @param {Array} rows - Data rows (arrays of cell values)
+     * @param {Object} mapping - { index, admission_number, subjects: { subject: column } }
+     * @param {Object} context - { summary, testNumber, subjects, students, records, markManagerModel }
+     * @returns {Object} Preview with rows, changes and counts
+     */
+    static buildPreview(rows, mapping, context) {
+        const { summary, testNumber, students, records, markManagerModel } = context;
+        const hasColumn = column => column !== null && column !== undefined && column !== '';
+        const studentsByIndex = StudentModel.buildIndexLookup(students);
+        const studentsByAdmission = new Map(students
+            .filter(student => student.admission_number)
+            .map(student => [String(student.admission_number).trim().toLowerCase(), student]));
+        const mappedSubjects = Object.keys(mapping.subjects).filter(subject =>
+            context.subjects.includes(subject) && hasColumn(mapping.subjects[subject]));
+
+        const issues = [];
+        if (!hasColumn(mapping.index) && !hasColumn(mapping.admission_number)) {
+            issues.push('Select the column with the student index or admission number');
+        }
+        if (mappedSubjects.length === 0) {
+            issues.push('Select at least one subject column');
+        }
+
+        const lockCheck = markManagerModel.checkTestEditable(summary, testNumber);
+        if (!lockCheck.success) {
+            issues.push(lockCheck.error);
+        }
+
+        const configs = {};
+        mappedSubjects.forEach(subject => {
+            configs[subject] = markManagerModel.getMarkingConfig(summary, subject, testNumber);
+            if (configs[subject].components) {
+                issues.push(`${subject} is marked by components; enter its marks in the marks manager`);
+            }
+        });
+
+        const previewRows = [];
+        const seenIndexes = new Map();
+
+        rows.forEach((row, i) => {
+            if (row.every(value => String(value).trim() === '')) {
+                return;
+            }
+
+            const rowNumber = i + 2; // Spreadsheet row number (header is row 1)
+            const errors = [];
+            const changes = [];
+            let unchangedCount = 0;
+
+            let student = null;
+            const indexCell = hasColumn(mapping.index) ? String(row[parseInt(mapping.index)]).trim() : '';
+            const admissionCell = hasColumn(mapping.admission_number) ? String(row[parseInt(mapping.admission_number)]).trim() : '';
+            let index = indexCell ? parseInt(indexCell) : null;
+
+            if (indexCell && (isNaN(index) || index < 1 || index > summary.student_count)) {
+                errors.push(`Index ${indexCell} is not a student of this class`);
+                index = null;
+            }
+            if (admissionCell) {
+                student = studentsByAdmission.get(admissionCell.toLowerCase()) || null;
+                if (!student) {
+                    errors.push(`No student has admission number ${admissionCell}`);
+                } else if (index !== null && parseInt(student.index) !== index) {
+                    errors.push(`Index ${index} does not match admission number ${admissionCell} (index ${student.index})`);
+                }
+                index = student ? parseInt(student.index) : index;
+            } else if (index !== null) {
+                student = studentsByIndex.get(index) || null;
+            }
+            if (index === null && errors.length === 0) {
+                errors.push('No student index or admission number');
+            }
+
+            if (index !== null && errors.length === 0) {
+                if (seenIndexes.has(index)) {
+                    errors.push(`Student ${index} is already on row ${seenIndexes.get(index)}`);
+                } else {
+                    seenIndexes.set(index, rowNumber);
+                }
+            }
+
+            if (errors.length === 0) {
+                mappedSubjects.forEach(subject => {
+                    const cell = SpreadsheetImportModel.parseMarkCell(row[parseInt(mapping.subjects[subject])]);
+                    if (cell.blank) {
+                        return;
+                    }
+                    if (cell.error) {
+                        errors.push(`${subject}: ${cell.error}`);
+                        return;
+                    }
+
+                    const validation = MarkManagerModel.validateMarkEntry(cell, configs[subject].max_mark, null);
+                    if (!validation.valid) {
+                        errors.push(`${subject}: ${validation.error}`);
+                        return;
+                    }
+                    if (!EnrollmentModel.isEnrolled(student, subject)) {
+                        errors.push(`${subject}: student is not enrolled in ${subject}`);
+                        return;
+                    }
+
+                    const record = records.get(index);
+                    const oldState = MarkHistoryModel.getState(record, subject);
+                    const newState = { mark: validation.mark, status: cell.status, component_marks: null };
+                    if (MarkHistoryModel.isSameState(oldState, newState)) {
+                        unchangedCount++;
+                        return;
+                    }
+
+                    changes.push({
+                        subject: subject,
+                        old: oldState,
+                        new: newState,
+                        version: MarkVersionModel.getVersion(record, subject)
+                    });
+                });
+            }
+
+            previewRows.push({
+                row_number: rowNumber,
+                index: index,
+                student_id: student ? student.id : null,
+                name: index !== null ? StudentModel.getDisplayName(student, index) : '',
+                errors: errors,
+                changes: errors.length === 0 ? changes : [],
+                unchanged_count: errors.length === 0 ? unchangedCount : 0
+            });
+        });
+
+        const errorCount = previewRows.filter(row => row.errors.length > 0).length;
+        const changeCount = previewRows.reduce((sum, row) => sum + row.changes.length, 0);
+
+        if (previewRows.length === 0) {
+            issues.push('No data rows were found');
+        } else if (errorCount > 0) {
+            issues.push(`${errorCount} row(s) have errors; fix them in the file or the mapping before importing`);
+        } else if (changeCount === 0 && issues.length === 0) {
+            issues.push('The file does not change any saved mark');
+        }
+
+        return {
+            rows: previewRows,
+            subjects: mappedSubjects,
+            total_rows: previewRows.length,
+            error_count: errorCount,
+            change_count: changeCount,
+            unchanged_count: previewRows.reduce((sum, row) => sum + row.unchanged_count, 0),
+            issues: issues,
+            locked: !lockCheck.success,
+            can_import: issues.length === 0
+        };
+    }
+
+    /**
+     * Attach the outlier warnings of each changed mark to the preview (change.warnings), so they can be
+     * checked and acknowledged before applying. When the check cannot run, applying checks again.
+     * @param {Object} filters - { year, className, testNumber }
+     * @param {Object} preview - Preview from buildPreview
+     */
+    async flagOutliers(filters, preview) {
+        const changedBySubject = {};
+        preview.rows.forEach(row => {
+            row.changes.forEach(change => {
+                change.warnings = [];
+                if (!changedBySubject[change.subject]) changedBySubject[change.subject] = [];
+                changedBySubject[change.subject].push({ index: row.index, change: change });
+            });
+        });
+
+        let warningCount = 0;
+        for (const subject of Object.keys(changedBySubject)) {
+            const changed = changedBySubject[subject];
+            const outlierResult = await this.markOutlierModel.checkMarks(
+                { ...filters, subject: subject },
+                changed.map(({ index, change }) => ({ index: index, mark: change.new.mark, status: change.new.status }))
+            );
+            if (!outlierResult.success) continue;
+
+            changed.forEach(({ index, change }) => {
+                change.warnings = outlierResult.warnings.filter(warning => warning.index === index);
+                warningCount += change.warnings.length;
+            });
+        }
+        preview.warning_count = warningCount;
+    }
+
+    /**
+     * Dry run: list what importing the file would change. Nothing is saved.
+     * @param {Object} filters - { year, className, testNumber }
+     * @param {Object} file - { file_name, file_content }
+     * @param {Object|null} mapping - Column mapping (detected when missing)
+     * @returns {Promise<Object>} Result with headers, subjects, mapping and preview
+     */
+    async previewImport(filters, file, mapping) {
+        try {
+            return await this.buildImport(filters, file, mapping);
+        } catch (error) {
+            console.error('Model error previewing marks import:', error.message);
+            return {
+                success: false,
+                error: 'Failed to preview marks import: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Apply a previewed import. Each change must carry the version it was previewed at
+     * (versions: { subject: { index: version } }), so marks changed since the preview are reported
+     * as conflicts and nothing is saved.
+     * @param {Object} filters - { year, className, testNumber }
+     * @param {Object} file - { file_name, file_content }
+     * @param {Object} mapping - Column mapping used for the preview
+     * @param {Object} versions - Versions the changes were previewed at
+     * @param {Object} acknowledgedWarnings - Outlier warning types acknowledged for each change ({ subject: { index: [types] } })
+     * @param {Object} context - { changed_by, endpoint }
+     * @returns {Promise<Object>} Result with the save of each subject
+     */
+    async applyImport(filters, file, mapping, versions = {}, acknowledgedWarnings = {}, context = {}) {
+        try {
+            const result = await this.buildImport(filters, file, mapping);
+            if (!result.success) {
+                return result;
+            }
+
+            const { preview } = result;
+            if (!preview.can_import) {
+                return {
+                    success: false,
+                    locked: preview.locked,
+                    error: preview.issues.join('; '),
+                    preview: preview
+                };
+            }
+
+            const marksBySubject = {};
+            let unversioned = 0;
+            preview.rows.forEach(row => {
+                row.changes.forEach(change => {
+                    const previewed = versions[change.subject] ? versions[change.subject][row.index] : undefined;
+                    if (previewed === undefined || previewed === null) {
+                        unversioned++;
+                        return;
+                    }
+                    if (!marksBySubject[change.subject]) marksBySubject[change.subject] = [];
+                    marksBySubject[change.subject].push({
+                        index: row.index,
+                        student_id: row.student_id,
+                        mark: change.new.mark,
+                        status: change.new.status,
+                        component_marks: {},
+                        version: previewed,
+                        acknowledged_warnings: (acknowledgedWarnings[change.subject] || {})[row.index] || []
+                    });
+                });
+            });
+            if (unversioned > 0) {
+                return {
+                    success: false,
+                    error: `${unversioned} change(s) have no previewed version; preview the file again`
+                };
+            }
+
+            const outlierCheck = await this.markOutlierModel.checkAcknowledged(filters, marksBySubject);
+            if (outlierCheck) {
+                return outlierCheck;
+            }
+
+            const saveResult = await this.markManagerModel.saveSubjectsInBulk(marksBySubject, filters, context);
+            if (!saveResult.success) {
+                // Subjects saved before a failure stay saved; a new preview shows only what is left to import
+                if (saveResult.saved_subjects) {
+                    return { ...saveResult, error: `${saveResult.error}. Preview the file again to import the rest` };
+                }
+                return saveResult.conflicts
+                    ? { ...saveResult, error: `${saveResult.conflicts.length} mark(s) were changed by someone else since the preview; preview the file again` }
+                    : saveResult;
+            }
+
+            return {
+                success: true,
+                message: `Imported ${preview.change_count} mark(s) across ${saveResult.subjects.length} subject(s)`,
+                change_count: preview.change_count,
+                subjects: saveResult.subjects
+            };
+        } catch (error) {
+            console.error('Model error applying marks import:', error.message);
+            return {
+                success: false,
+                error: 'Failed to apply marks import: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = MarksImportModel;
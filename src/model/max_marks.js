@@ -0,0 +1,139 @@
+// Maximum mark used when a subject has none configured
+const DEFAULT_MAX_MARK = 100;
+const MAX_ALLOWED_MAX_MARK = 1000;
+
+class MaxMarksModel {
+    /**
+     * Resolve the maximum mark of a subject in a test.
+     * Summaries store max_marks as { testNumber: { subject: maxMark } }; anything missing is out of 100.
+     * @param {Object} summary - Summary record
+     * @param {string} subject - Subject name
+     * @param {number} testNumber - Test number
+     * @returns {number} Maximum mark
+     */
+    static getMaxMark(summary, subject, testNumber) {
+        const testMaxMarks = summary && summary.max_marks ? summary.max_marks[String(testNumber)] : null;
+        const maxMark = testMaxMarks ? parseFloat(testMaxMarks[subject]) : NaN;
+        return maxMark > 0 ? maxMark : DEFAULT_MAX_MARK;
+    }
+
+    /**
+     * Resolve the maximum marks of several subjects in a test
+     * @param {Object} summary - Summary record
+     * @param {Array} subjects - Subject names
+     * @param {number} testNumber - Test number
+     * @returns {Object} Map of subject -> maximum mark
+     */
+    static getMaxMarksForTest(summary, subjects, testNumber) {
+        const maxMarks = {};
+        subjects.forEach(subject => {
+            maxMarks[subject] = MaxMarksModel.getMaxMark(summary, subject, testNumber);
+        });
+        return maxMarks;
+    }
+
+    /**
+     * Convert a raw mark to a percentage of the maximum mark
+     * @param {number} mark - Raw mark
+     * @param {number} maxMark - Maximum mark
+     * @returns {number} Percentage rounded to 2 decimal places
+     */
+    static toPercentage(mark, maxMark = DEFAULT_MAX_MARK) {
+        const value = parseFloat(mark);
+        if (isNaN(value) || !(maxMark > 0)) return 0;
+        return Math.round((value / maxMark) * 10000) / 100;
+    }
+
+    /**
+     * Validate a single maximum mark value
+     * @param {*} value - Maximum mark
+     * @returns {Object} Validation result
+     */
+    static validateMaxMark(value) {
+        const maxMark = parseFloat(value);
+
+        if (isNaN(maxMark) || maxMark <= 0 || maxMark > MAX_ALLOWED_MAX_MARK) {
+            return {
+                valid: false,
+                error: `Maximum mark must be a number greater than 0 and at most ${MAX_ALLOWED_MAX_MARK}`
+            };
+        }
+
+        return { valid: true, maxMark: maxMark };
+    }
+
+    /**
+     * Validate a per-subject maximum marks map ({ subject: maxMark })
+     * @param {Object} maxMarks - Map of subject -> maximum mark
+     * @returns {Object} Validation result
+     */
+    static validateSubjectMaxMarks(maxMarks) {
+        if (maxMarks === undefined || maxMarks === null) {
+            return { valid: true };
+        }
+
+        if (typeof maxMarks !== 'object' || Array.isArray(maxMarks)) {
+            return { valid: false, error: 'Maximum marks must be an object of subject -> maximum mark' };
+        }
+
+        for (const subject of Object.keys(maxMarks)) {
+            const validation = MaxMarksModel.validateMaxMark(maxMarks[subject]);
+            if (!validation.valid) {
+                return { valid: false, error: `${subject}: ${validation.error}` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate a summary's per-test maximum marks ({ testNumber: { subject: maxMark } })
+     * @param {Object} maxMarks - Per-test maximum marks
+     * @param {number} testCount - Number of tests in the summary
+     * @returns {Object} Validation result
+     */
+    static validateTestMaxMarks(maxMarks, testCount) {
+        if (maxMarks === undefined || maxMarks === null) {
+            return { valid: true };
+        }
+
+        if (typeof maxMarks !== 'object' || Array.isArray(maxMarks)) {
+            return { valid: false, error: 'Maximum marks must be an object of test number -> subject maximum marks' };
+        }
+
+        for (const testNumber of Object.keys(maxMarks)) {
+            const testNum = parseInt(testNumber);
+            if (isNaN(testNum) || testNum < 1 || testNum > testCount) {
+                return { valid: false, error: `Invalid test number ${testNumber} in maximum marks` };
+            }
+
+            const validation = MaxMarksModel.validateSubjectMaxMarks(maxMarks[testNumber]);
+            if (!validation.valid) {
+                return { valid: false, error: `Test ${testNumber}, ${validation.error}` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Normalize per-test maximum marks so keys are test numbers and values are numbers
+     * @param {Object} maxMarks - Per-test maximum marks
+     * @returns {Object} Normalized per-test maximum marks
+     */
+    static normalizeTestMaxMarks(maxMarks) {
+        const normalized = {};
+        Object.keys(maxMarks || {}).forEach(testNumber => {
+            const testKey = String(parseInt(testNumber));
+            normalized[testKey] = {};
+            Object.keys(maxMarks[testNumber] || {}).forEach(subject => {
+                normalized[testKey][subject] = parseFloat(maxMarks[testNumber][subject]);
+            });
+        });
+        return normalized;
+    }
+}
+
+MaxMarksModel.DEFAULT_MAX_MARK = DEFAULT_MAX_MARK;
+
+module.exports = MaxMarksModel;
@@ -0,0 +1,173 @@
+const StudentModel = require('./student');
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+const EnrollmentModel = require('./enrollment');
+const RankingModel = require('./ranking');
+
+// Each student's trajectory across the tests of a summary. Subjects are compared as percentages of their
+// maximum mark, since the maximum can change between tests; a test without an entered mark is skipped,
+// so a delta always compares the two nearest tests the student was marked in.
+const TREND_THRESHOLD = 5; // Percentage points of change before a student or subject counts as improving or declining
+
+const round = value => Math.round(value * 100) / 100;
+
+class ProgressModel {
+    /**
+     * Trend of a change in percentage points
+     * @param {number|null} change - Change (null when there is nothing to compare)
+     * @returns {string|null} 'improving', 'declining', 'steady' or null
+     */
+    static getTrend(change) {
+        if (change === null) return null;
+        if (change >= TREND_THRESHOLD) return 'improving';
+        if (change <= -TREND_THRESHOLD) return 'declining';
+        return 'steady';
+    }
+
+    /**
+     * Deltas of a series against the previous value that is not null, plus the change from the first
+     * value to the last
+     * @param {Array} values - One value per test (null when the test has none)
+     * @returns {Object} { deltas, change }
+     */
+    static compareSeries(values) {
+        let previous = null;
+        let first = null;
+        let last = null;
+        const deltas = values.map(value => {
+            if (value === null || value === undefined) return null;
+
+            const delta = previous === null ? null : round(value - previous);
+            previous = value;
+            if (first === null) first = value;
+            last = value;
+            return delta;
+        });
+
+        const counted = values.filter(value => value !== null && value !== undefined).length;
+        return { deltas: deltas, change: counted >= 2 ? round(last - first) : null };
+    }
+
+    /**
+     * Movement in a position between the first and last tests the student was ranked in
+     * @param {Array} ranks - One position per test (null when unranked)
+     * @returns {number|null} Places moved up (negative when the student moved down)
+     */
+    static getRankChange(ranks) {
+        const ranked = ranks.filter(rank => rank !== null && rank !== undefined);
+        return ranked.length >= 2 ? ranked[0] - ranked[ranked.length - 1] : null;
+    }
+
+    /**
+     * Build every student's progress across the tests of a summary
+     * @param {Object} summary - Summary record
+     * @param {Array} marks - Marks records of the summary
+     * @param {Array} students - Student roster
+     * @param {string} policy - Tie policy of the positions
+     * @returns {Object} { tests, subjects, trend_threshold, counts: { improving, declining, steady }, students: [{
+     * index, student_id, student_name, admission_number, tests: [{ test_number, total, average, total_rank,
+     * average_rank, percentages }], subjects: { subject: { percentages, deltas, change, trend } }, total_change,
+     * average_change, total_rank_change, average_rank_change, trend, improving_subjects, declining_subjects }] }
+     */
+    static buildProgress(summary, marks, students = [], policy = RankingModel.DEFAULT_TIE_POLICY) {
+        const studentLookup = StudentModel.buildIndexLookup(students);
+        const testNumbers = Array.from({ length: summary.test_count }, (_, i) => i + 1);
+
+        const recordsByTest = new Map(testNumbers.map(testNum => [testNum, []]));
+        const subjectSet = new Set();
+        marks.forEach(record => {
+            if (!recordsByTest.has(record.test_number)) return;
+            recordsByTest.get(record.test_number).push(record);
+            Object.keys(record.marks || {}).forEach(subject => subjectSet.add(subject));
+        });
+        const subjects = Array.from(subjectSet);
+
+        // Positions of every test, and each student's records by test
+        const rankingsByTest = new Map();
+        const recordsByStudent = new Map();
+        recordsByTest.forEach((records, testNum) => {
+            const testSubjects = subjects.filter(subject => records.some(record => record.marks && subject in record.marks));
+            rankingsByTest.set(testNum, RankingModel.rankTest(records, testSubjects, summary, testNum, policy, studentLookup));
+            records.forEach(record => {
+                if (!recordsByStudent.has(record.index)) recordsByStudent.set(record.index, new Map());
+                recordsByStudent.get(record.index).set(testNum, record);
+            });
+        });
+
+        const counts = { improving: 0, declining: 0, steady: 0 };
+        const progress = Array.from(recordsByStudent.keys()).sort((a, b) => a - b).map(index => {
+            const student = studentLookup.get(index);
+            const studentRecords = recordsByStudent.get(index);
+
+            const tests = testNumbers.map(testNum => {
+                const record = studentRecords.get(testNum);
+                const ranking = (record && rankingsByTest.get(testNum).get(index)) || {};
+                const percentages = {};
+                subjects.forEach(subject => {
+                    const hasScore = record && record.marks && subject in record.marks
+                        && MarkStatusModel.hasScore(MarkStatusModel.getStatus(record, subject))
+                        && EnrollmentModel.isEnrolled(student, subject);
+                    percentages[subject] = hasScore
+                        ? MaxMarksModel.toPercentage(record.marks[subject], MaxMarksModel.getMaxMark(summary, subject, testNum))
+                        : null;
+                });
+
+                return {
+                    test_number: testNum,
+                    total: ranking.total === undefined ? null : ranking.total,
+                    average: ranking.average === undefined ? null : ranking.average,
+                    total_rank: ranking.total_rank === undefined ? null : ranking.total_rank,
+                    average_rank: ranking.average_rank === undefined ? null : ranking.average_rank,
+                    percentages: percentages
+                };
+            });
+
+            const subjectProgress = {};
+            subjects.forEach(subject => {
+                if (!EnrollmentModel.isEnrolled(student, subject)) return;
+
+                const percentages = tests.map(test => test.percentages[subject]);
+                const { deltas, change } = ProgressModel.compareSeries(percentages);
+                subjectProgress[subject] = {
+                    percentages: percentages,
+                    deltas: deltas,
+                    change: change,
+                    trend: ProgressModel.getTrend(change)
+                };
+            });
+
+            const totalChange = ProgressModel.compareSeries(tests.map(test => test.total)).change;
+            const averageChange = ProgressModel.compareSeries(tests.map(test => test.average)).change;
+            const trend = ProgressModel.getTrend(averageChange);
+            if (trend) counts[trend]++;
+
+            return {
+                index: index,
+                student_id: student ? student.id : null,
+                student_name: StudentModel.getDisplayName(student, index),
+                admission_number: student ? student.admission_number : '',
+                tests: tests,
+                subjects: subjectProgress,
+                total_change: totalChange,
+                average_change: averageChange,
+                total_rank_change: ProgressModel.getRankChange(tests.map(test => test.total_rank)),
+                average_rank_change: ProgressModel.getRankChange(tests.map(test => test.average_rank)),
+                trend: trend,
+                improving_subjects: Object.keys(subjectProgress).filter(subject => subjectProgress[subject].trend === 'improving'),
+                declining_subjects: Object.keys(subjectProgress).filter(subject => subjectProgress[subject].trend === 'declining')
+            };
+        });
+
+        return {
+            tests: testNumbers,
+            subjects: subjects,
+            trend_threshold: TREND_THRESHOLD,
+            counts: counts,
+            students: progress
+        };
+    }
+}
+
+ProgressModel.TREND_THRESHOLD = TREND_THRESHOLD;
+
+module.exports = ProgressModel;
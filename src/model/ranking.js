@@ -0,0 +1,146 @@
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+const EnrollmentModel = require('./enrollment');
+
+// How tied students share positions:
+// competition = 1, 2, 2, 4 (standard competition ranking)
+// dense       = 1, 2, 2, 3
+// fractional  = 1, 2.5, 2.5, 4 (tied students get the average of the positions they span)
+const TIE_POLICIES = ['competition', 'dense', 'fractional'];
+const DEFAULT_TIE_POLICY = 'competition';
+
+class RankingModel {
+    /**
+     * Validate a tie policy
+     * @param {string} policy - Tie policy
+     * @returns {Object} Validation result
+     */
+    static validateTiePolicy(policy) {
+        if (!TIE_POLICIES.includes(policy)) {
+            return { valid: false, error: `Tie policy must be one of: ${TIE_POLICIES.join(', ')}` };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Rank values from highest to lowest. Entries without a value (null) are left unranked.
+     * Values are compared at 2 decimal places so rounding noise does not break ties.
+     * @param {Array} entries - Entries ({ key, value })
+     * @param {string} policy - Tie policy
+     * @returns {Map} Map of key -> position (null when unranked)
+     */
+    static rankValues(entries, policy = DEFAULT_TIE_POLICY) {
+        const positions = new Map();
+        const ranked = [];
+
+        entries.forEach(entry => {
+            if (entry.value === null || entry.value === undefined || isNaN(entry.value)) {
+                positions.set(entry.key, null);
+            } else {
+                ranked.push({ key: entry.key, value: Math.round(entry.value * 100) / 100 });
+            }
+        });
+
+        ranked.sort((a, b) => b.value - a.value);
+
+        let start = 0;
+        let denseRank = 0;
+        while (start < ranked.length) {
+            let end = start;
+            while (end + 1 < ranked.length && ranked[end + 1].value === ranked[start].value) {
+                end++;
+            }
+
+            denseRank++;
+            let position;
+            if (policy === 'dense') {
+                position = denseRank;
+            } else if (policy === 'fractional') {
+                position = ((start + 1) + (end + 1)) / 2;
+            } else {
+                position = start + 1;
+            }
+
+            for (let i = start; i <= end; i++) {
+                positions.set(ranked[i].key, position);
+            }
+            start = end + 1;
+        }
+
+        return positions;
+    }
+
+    /**
+     * Rank the students of one test by total, by average and within each subject.
+     * Only entered marks count: the total adds up raw marks, the average is the mean percentage of the
+     * maximum mark, and a student without an entered mark in a subject (or not enrolled in it) is not ranked in that subject.
+     * @param {Array} records - Marks records of the test
+     * @param {Array} subjects - Subjects of the test
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @param {string} policy - Tie policy
+     * @param {Map} studentLookup - Map of index -> roster record, for subject enrollment (optional)
+     * @returns {Map} Map of student index -> { total, average, total_rank, average_rank, subject_ranks }
+     */
+    static rankTest(records, subjects, summary, testNumber, policy = DEFAULT_TIE_POLICY, studentLookup = new Map()) {
+        const maxMarks = MaxMarksModel.getMaxMarksForTest(summary, subjects, testNumber);
+        const results = new Map();
+
+        records.forEach(record => {
+            const percentages = {};
+            let total = null;
+            let percentageSum = 0;
+            let counted = 0;
+
+            const student = studentLookup.get(record.index);
+
+            subjects.forEach(subject => {
+                const status = MarkStatusModel.getStatus(record, subject);
+                if (!record.marks || !(subject in record.marks) || !MarkStatusModel.hasScore(status)
+                    || !EnrollmentModel.isEnrolled(student, subject)) {
+                    percentages[subject] = null;
+                    return;
+                }
+
+                const mark = parseFloat(record.marks[subject]) || 0;
+                percentages[subject] = MaxMarksModel.toPercentage(mark, maxMarks[subject]);
+                total = (total || 0) + mark;
+                percentageSum += percentages[subject];
+                counted++;
+            });
+
+            results.set(record.index, {
+                total: total === null ? null : Math.round(total * 100) / 100,
+                average: counted > 0 ? Math.round((percentageSum / counted) * 100) / 100 : null,
+                total_rank: null,
+                average_rank: null,
+                subject_ranks: {},
+                percentages: percentages
+            });
+        });
+
+        const entriesOf = valueOf => Array.from(results.entries()).map(([key, result]) => ({ key, value: valueOf(result) }));
+
+        const totalRanks = RankingModel.rankValues(entriesOf(result => result.total), policy);
+        const averageRanks = RankingModel.rankValues(entriesOf(result => result.average), policy);
+        results.forEach((result, index) => {
+            result.total_rank = totalRanks.get(index);
+            result.average_rank = averageRanks.get(index);
+        });
+
+        subjects.forEach(subject => {
+            const subjectRanks = RankingModel.rankValues(entriesOf(result => result.percentages[subject]), policy);
+            results.forEach((result, index) => {
+                result.subject_ranks[subject] = subjectRanks.get(index);
+            });
+        });
+
+        results.forEach(result => delete result.percentages);
+        return results;
+    }
+}
+
+RankingModel.TIE_POLICIES = TIE_POLICIES;
+RankingModel.DEFAULT_TIE_POLICY = DEFAULT_TIE_POLICY;
+
+module.exports = RankingModel;
@@ -0,0 +1,391 @@
+const xlsx = require('xlsx');
+const StudentModel = require('./student');
+const MarkStatusModel = require('./mark_status');
+
+// Header names recognised for each roster field when detecting the column mapping
+const ROSTER_FIELD_ALIASES = {
+    admission_number: ['admission number', 'admission no', 'admission', 'adm no', 'adm', 'admission_number', 'reg no', 'student id'],
+    name: ['name', 'student name', 'full name', 'student', 'name with initials'],
+    gender: ['gender', 'sex'],
+    date_of_birth: ['date of birth', 'dob', 'birth date', 'birthday', 'date_of_birth']
+};
+
+// Header names recognised for the columns that identify the student on each row of a marks import
+const MARKS_KEY_ALIASES = {
+    index: ['index', 'index no', 'student index', 'no', 'roll no', 'roll number'],
+    admission_number: ROSTER_FIELD_ALIASES.admission_number
+};
+
+const MAX_ROSTER_SIZE = 100;
+const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2 MB
+const SUPPORTED_EXTENSIONS = ['csv', 'xlsx', 'xls'];
+
+// Dates typed as text are read day first (DD/MM/YYYY, with /, - or . between the parts), or as YYYY-MM-DD
+const DAY_FIRST_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const ISO_DATE = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/;
+
+class SpreadsheetImportModel {
+    /**
+     * Parse an uploaded CSV/XLSX file into a header row and data rows
+     * @param {string} fileName - Original file name
+     * @param {string} fileContent - Base64 encoded file content
+     * @returns {Object} Result with headers and rows
+     */
+    static parseFile(fileName, fileContent) {
+        try {
+            if (!fileName || !fileContent) {
+                return {
+                    success: false,
+                    error: 'File name and content are required'
+                };
+            }
+
+            const extension = fileName.split('.').pop().toLowerCase();
+            if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+                return {
+                    success: false,
+                    error: `Unsupported file type. Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`
+                };
+            }
+
+            // Accept both raw base64 and data URLs
+            const base64 = fileContent.includes(',') ? fileContent.split(',').pop() : fileContent;
+            const buffer = Buffer.from(base64, 'base64');
+
+            if (buffer.length === 0) {
+                return {
+                    success: false,
+                    error: 'Uploaded file is empty'
+                };
+            }
+
+            if (buffer.length > MAX_FILE_SIZE) {
+                return {
+                    success: false,
+                    error: 'Uploaded file is too large (maximum 2 MB)'
+                };
+            }
+
+            // Text cells (every cell of a CSV) are kept as typed, so dates are never guessed as month first;
+            // date cells of an Excel file still come back as dates
+            const workbook = xlsx.read(buffer, { type: 'buffer', cellDates: true, raw: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+            if (!sheet) {
+                return {
+                    success: false,
+                    error: 'The file does not contain any sheets'
+                };
+            }
+
+            const data = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true, blankrows: true });
+
+            if (data.length < 2) {
+                return {
+                    success: false,
+                    error: 'The file must contain a header row and at least one data row'
+                };
+            }
+
+            const headers = data[0].map((header, i) => {
+                const text = String(header).trim();
+                return text || `Column ${i + 1}`;
+            });
+
+            return {
+                success: true,
+                sheet_name: workbook.SheetNames[0],
+                headers: headers,
+                rows: data.slice(1)
+            };
+        } catch (error) {
+            console.error('Error parsing spreadsheet:', error.message);
+            return {
+                success: false,
+                error: 'Failed to read file: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Suggest a column mapping by matching header names against field aliases
+     * @param {Array} headers - Header row
+     * @param {Object} fieldAliases - Map of field -> accepted header names
+     * @returns {Object} Map of field -> column index (or null when not found)
+     */
+    static detectColumnMapping(headers, fieldAliases = ROSTER_FIELD_ALIASES) {
+        const normalizedHeaders = headers.map(header => header.toLowerCase().replace(/[^a-z0-9_ ]/g, '').trim());
+        const mapping = {};
+        const usedColumns = new Set();
+
+        Object.keys(fieldAliases).forEach(field => {
+            const column = normalizedHeaders.findIndex((header, i) =>
+                !usedColumns.has(i) && fieldAliases[field].includes(header)
+            );
+            mapping[field] = column === -1 ? null : column;
+            if (column !== -1) {
+                usedColumns.add(column);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Suggest a marks import mapping: the student index and admission number columns, plus one
+     * column per subject whose header is the subject name
+     * @param {Array} headers - Header row
+     * @param {Array} subjects - Subjects of the summary
+     * @returns {Object} { index, admission_number, subjects: { subject: column index or null } }
+     */
+    static detectMarksColumnMapping(headers, subjects) {
+        const mapping = SpreadsheetImportModel.detectColumnMapping(headers, MARKS_KEY_ALIASES);
+        const usedColumns = new Set([mapping.index, mapping.admission_number].filter(column => column !== null));
+        const normalizedHeaders = headers.map(header => header.toLowerCase().replace(/\s+/g, ' ').trim());
+
+        mapping.subjects = {};
+        subjects.forEach(subject => {
+            const column = normalizedHeaders.findIndex((header, i) =>
+                !usedColumns.has(i) && header === subject.toLowerCase().trim()
+            );
+            mapping.subjects[subject] = column === -1 ? null : column;
+            if (column !== -1) {
+                usedColumns.add(column);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Read one mark cell: a number is an entered mark, a status code or label (AB, Absent, EX, MC...)
+     * records that status, and a blank cell leaves the mark unchanged
+     * @param {*} value - Raw cell value
+     * @returns {Object} { blank: true }, { status, mark } or { error }
+     */
+    static parseMarkCell(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (!text) {
+            return { blank: true };
+        }
+
+        const status = Object.keys(MarkStatusModel.STATUS_CODES).find(candidate =>
+            MarkStatusModel.STATUS_CODES[candidate].toLowerCase() === text.toLowerCase()
+            || MarkStatusModel.STATUS_LABELS[candidate].toLowerCase() === text.toLowerCase()
+        );
+        if (status) {
+            return { status: status, mark: null };
+        }
+
+        const mark = typeof value === 'number' ? value : Number(text);
+        if (isNaN(mark)) {
+            return { error: `Unrecognised mark "${text}"` };
+        }
+
+        return { status: 'entered', mark: mark };
+    }
+
+    /**
+     * Build a validation preview of roster rows using a column mapping.
+     * Valid rows become students indexed in file order; invalid rows are reported with their issues.
+     * @param {Array} rows - Data rows (arrays of cell values)
+     * @param {Object} mapping - Map of field -> column index
+     * @returns {Object} Preview with rows, students and counts
+     */
+    static buildRosterPreview(rows, mapping) {
+        const previewRows = [];
+        const admissionRows = new Map();
+        const nameRows = new Map();
+
+        rows.forEach((row, i) => {
+            const cell = (field) => {
+                const column = mapping[field];
+                if (column === null || column === undefined || column === '') return '';
+                const value = row[parseInt(column)];
+                return value === null || value === undefined ? '' : value;
+            };
+
+            const isBlank = row.every(value => String(value).trim() === '');
+            if (isBlank) {
+                return;
+            }
+
+            const errors = [];
+            const warnings = [];
+
+            const name = String(cell('name')).trim().replace(/\s+/g, ' ');
+            const admissionNumber = String(cell('admission_number')).trim();
+            const gender = SpreadsheetImportModel.normalizeGender(cell('gender'));
+            const dateOfBirth = SpreadsheetImportModel.normalizeDate(cell('date_of_birth'));
+
+            if (!name) {
+                errors.push('Name is blank');
+            }
+
+            if (gender === null) {
+                errors.push(`Unrecognised gender "${String(cell('gender')).trim()}"`);
+            }
+
+            if (dateOfBirth === null) {
+                errors.push(`Invalid date of birth "${String(cell('date_of_birth')).trim()}" (use DD/MM/YYYY)`);
+            } else if (SpreadsheetImportModel.isAmbiguousDate(cell('date_of_birth'))) {
+                warnings.push(`Date of birth "${String(cell('date_of_birth')).trim()}" was read as DD/MM/YYYY (${dateOfBirth}); check it is not month first`);
+            }
+
+            if (!admissionNumber && mapping.admission_number !== null && mapping.admission_number !== undefined) {
+                warnings.push('Admission number is blank');
+            }
+
+            const previewRow = {
+                row_number: i + 2, // Spreadsheet row number (header is row 1)
+                admission_number: admissionNumber,
+                name: name,
+                gender: gender || '',
+                date_of_birth: dateOfBirth || '',
+                errors: errors,
+                warnings: warnings
+            };
+
+            if (admissionNumber) {
+                if (!admissionRows.has(admissionNumber)) admissionRows.set(admissionNumber, []);
+                admissionRows.get(admissionNumber).push(previewRow);
+            }
+
+            if (name) {
+                const key = name.toLowerCase();
+                if (!nameRows.has(key)) nameRows.set(key, []);
+                nameRows.get(key).push(previewRow);
+            }
+
+            previewRows.push(previewRow);
+        });
+
+        // Flag duplicate admission numbers (errors) and duplicate names (warnings)
+        admissionRows.forEach((duplicates, admissionNumber) => {
+            if (duplicates.length > 1) {
+                const rowNumbers = duplicates.map(r => r.row_number).join(', ');
+                duplicates.forEach(r => r.errors.push(`Duplicate admission number ${admissionNumber} (rows ${rowNumbers})`));
+            }
+        });
+
+        nameRows.forEach(duplicates => {
+            if (duplicates.length > 1) {
+                const rowNumbers = duplicates.map(r => r.row_number).join(', ');
+                duplicates.forEach(r => r.warnings.push(`Duplicate name (rows ${rowNumbers})`));
+            }
+        });
+
+        const students = previewRows
+            .filter(row => row.errors.length === 0)
+            .map((row, i) => ({
+                index: i + 1,
+                admission_number: row.admission_number,
+                name: row.name,
+                gender: row.gender,
+                date_of_birth: row.date_of_birth
+            }));
+
+        const errorCount = previewRows.filter(row => row.errors.length > 0).length;
+        const issues = [];
+
+        if (mapping.name === null || mapping.name === undefined || mapping.name === '') {
+            issues.push('Select the column that contains student names');
+        }
+
+        if (students.length > MAX_ROSTER_SIZE) {
+            issues.push(`The roster has ${students.length} students; the maximum is ${MAX_ROSTER_SIZE}`);
+        }
+
+        if (students.length === 0) {
+            issues.push('No valid student rows were found');
+        }
+
+        return {
+            rows: previewRows,
+            students: students,
+            total_rows: previewRows.length,
+            valid_count: students.length,
+            error_count: errorCount,
+            issues: issues,
+            can_import: issues.length === 0
+        };
+    }
+
+    /**
+     * Normalize a gender cell to one of the allowed values
+     * @param {*} value - Raw cell value
+     * @returns {string|null} Normalized gender, '' when blank, null when unrecognised
+     */
+    static normalizeGender(value) {
+        const text = String(value).trim().toLowerCase();
+        if (!text) return '';
+        if (['m', 'male', 'boy'].includes(text)) return 'Male';
+        if (['f', 'female', 'girl'].includes(text)) return 'Female';
+        if (['o', 'other'].includes(text)) return 'Other';
+        return StudentModel.ALLOWED_GENDERS.includes(value) ? value : null;
+    }
+
+    /**
+     * Normalize a date cell to YYYY-MM-DD. Text is read as DD/MM/YYYY or YYYY-MM-DD only.
+     * @param {*} value - Raw cell value (Date, string or blank)
+     * @returns {string|null} Normalized date, '' when blank, null when invalid
+     */
+    static normalizeDate(value) {
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return null;
+            // Round to the nearest midnight so timezone offsets don't shift the day
+            const day = new Date(Math.round(value.getTime() / 86400000) * 86400000);
+            return day.toISOString().slice(0, 10);
+        }
+
+        const text = String(value).trim();
+        if (!text) return '';
+
+        const dayFirst = text.match(DAY_FIRST_DATE);
+        if (dayFirst) {
+            return SpreadsheetImportModel.formatDate(dayFirst[3], dayFirst[2], dayFirst[1]);
+        }
+
+        const iso = text.match(ISO_DATE);
+        if (iso) {
+            return SpreadsheetImportModel.formatDate(iso[1], iso[2], iso[3]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a date typed as text could also be read month first (e.g. 03/04/2010)
+     * @param {*} value - Raw cell value
+     * @returns {boolean}
+     */
+    static isAmbiguousDate(value) {
+        const dayFirst = String(value === null || value === undefined ? '' : value).trim().match(DAY_FIRST_DATE);
+        if (!dayFirst) return false;
+
+        const day = parseInt(dayFirst[1]);
+        const month = parseInt(dayFirst[2]);
+        return day !== month && day <= 12 && month <= 12;
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD, checking the day exists
+     * @param {string} year - Year
+     * @param {string} month - Month (1-12)
+     * @param {string} day - Day of the month
+     * @returns {string|null} Formatted date, null when there is no such day
+     */
+    static formatDate(year, month, day) {
+        const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+        if (date.getUTCFullYear() !== parseInt(year) || date.getUTCMonth() !== parseInt(month) - 1 || date.getUTCDate() !== parseInt(day)) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+SpreadsheetImportModel.ROSTER_FIELD_ALIASES = ROSTER_FIELD_ALIASES;
+SpreadsheetImportModel.MARKS_KEY_ALIASES = MARKS_KEY_ALIASES;
+SpreadsheetImportModel.MAX_ROSTER_SIZE = MAX_ROSTER_SIZE;
+
+module.exports = SpreadsheetImportModel;
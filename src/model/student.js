@@ -0,0 +1,454 @@
+const { dbConnection } = require('./db');
+const LifecycleModel = require('./lifecycle');
+
+const ALLOWED_GENDERS = ['Male', 'Female', 'Other'];
+
+class StudentModel {
+    constructor() {
+        this.db = null;
+        this.initializeDatabase();
+    }
+
+    /**
+     * Initialize database connection
+     */
+    async initializeDatabase() {
+        try {
+            if (!dbConnection.isDbConnected()) {
+                console.log('StudentModel: Connecting to database...');
+                await dbConnection.connect();
+            }
+            this.db = dbConnection.getDatabase();
+            // Students are looked up by summary and index everywhere, including once per marks
+            // record by the dashboard statistics
+            await this.db.collection('students').createIndex({ summary_id: 1, index: 1 });
+            console.log('StudentModel: Database connection ready');
+        } catch (error) {
+            console.error('StudentModel: Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Get database connection (ensure it's available)
+     */
+    async getDb() {
+        if (!this.db) {
+            await this.initializeDatabase();
+        }
+        return this.db;
+    }
+
+    /**
+     * Get the student roster of a summary ordered by index
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Object>} Result with students array
+     */
+    async getStudentsBySummaryId(summaryId) {
+        try {
+            if (!summaryId) {
+                return {
+                    success: false,
+                    error: 'Summary ID is required'
+                };
+            }
+
+            const db = await this.getDb();
+
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database not available',
+                    students: []
+                };
+            }
+
+            const students = await db.collection('students')
+                .find({ summary_id: summaryId })
+                .sort({ index: 1 })
+                .toArray();
+
+            return {
+                success: true,
+                students: students
+            };
+        } catch (error) {
+            console.error('Model error fetching students:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch students: ' + error.message,
+                students: []
+            };
+        }
+    }
+
+    /**
+     * Create the roster for a newly initialized summary
+     * @param {string} summaryId - Summary ID
+     * @param {Array} studentsData - Array of student objects ({index, name, admission_number, gender, date_of_birth})
+     * @returns {Promise<Object>} Result with created students
+     */
+    async createStudents(summaryId, studentsData) {
+        try {
+            if (!summaryId || !Array.isArray(studentsData) || studentsData.length === 0) {
+                return {
+                    success: false,
+                    error: 'Invalid students data'
+                };
+            }
+
+            const db = await this.getDb();
+
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const currentTime = new Date().toISOString();
+            const students = studentsData.map(student => ({
+                id: this.generateStudentId(),
+                summary_id: summaryId,
+                ...StudentModel.normalizeStudent(student),
+                created_at: currentTime,
+                updated_at: currentTime
+            }));
+
+            const result = await db.collection('students').insertMany(students);
+            console.log(`Created ${result.insertedCount} student records for summary ${summaryId}`);
+
+            return {
+                success: true,
+                students: students,
+                count: result.insertedCount
+            };
+        } catch (error) {
+            console.error('Model error creating students:', error.message);
+            return {
+                success: false,
+                error: 'Failed to create students: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Save (create or update) the roster of an existing summary, matching students by index.
+     * Indexes must be within the summary's student count, so every student has marks rows.
+     * Marks records of each student are linked to the stable student ID.
+     * @param {string} summaryId - Summary ID
+     * @param {Array} studentsData - Array of student objects
+     * @returns {Promise<Object>} Result with saved roster
+     */
+    async saveRoster(summaryId, studentsData) {
+        try {
+            const db = await this.getDb();
+
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            // Names and admission numbers are printed on issued report cards
+            if (LifecycleModel.hasLock(summary)) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: 'Summary has locked tests; unlock them before changing the roster'
+                };
+            }
+
+            const validation = StudentModel.validateStudents(studentsData, summary.student_count);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error
+                };
+            }
+
+            const currentTime = new Date().toISOString();
+            const bulkOps = studentsData.map(student => {
+                const normalized = StudentModel.normalizeStudent(student);
+                return {
+                    updateOne: {
+                        filter: { summary_id: summaryId, index: normalized.index },
+                        update: {
+                            $set: {
+                                name: normalized.name,
+                                admission_number: normalized.admission_number,
+                                gender: normalized.gender,
+                                date_of_birth: normalized.date_of_birth,
+                                updated_at: currentTime
+                            },
+                            $setOnInsert: {
+                                id: this.generateStudentId(),
+                                summary_id: summaryId,
+                                index: normalized.index,
+                                created_at: currentTime
+                            }
+                        },
+                        upsert: true
+                    }
+                };
+            });
+
+            const result = await db.collection('students').bulkWrite(bulkOps);
+
+            // Link marks to the stable student IDs
+            const rosterResult = await this.getStudentsBySummaryId(summaryId);
+            const linkOps = rosterResult.students.map(student => ({
+                updateMany: {
+                    filter: { summary_id: summaryId, index: student.index },
+                    update: { $set: { student_id: student.id } }
+                }
+            }));
+
+            if (linkOps.length > 0) {
+                await db.collection('marks').bulkWrite(linkOps);
+            }
+
+            return {
+                success: true,
+                message: 'Student roster saved successfully',
+                students: rosterResult.students,
+                updated_count: result.modifiedCount,
+                inserted_count: result.upsertedCount
+            };
+        } catch (error) {
+            console.error('Model error saving roster:', error.message);
+            return {
+                success: false,
+                error: 'Failed to save student roster: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Save the subjects each student takes, matching students by index
+     * @param {string} summaryId - Summary ID
+     * @param {Object} enrollment - Map of student index -> enrolled subjects (null for every subject)
+     * @returns {Promise<Object>} Result with saved roster
+     */
+    async saveEnrollment(summaryId, enrollment) {
+        try {
+            const db = await this.getDb();
+
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const currentTime = new Date().toISOString();
+            const bulkOps = Object.keys(enrollment).map(index => ({
+                updateOne: {
+                    filter: { summary_id: summaryId, index: parseInt(index) },
+                    update: {
+                        $set: {
+                            enrolled_subjects: enrollment[index],
+                            updated_at: currentTime
+                        },
+                        $setOnInsert: {
+                            id: this.generateStudentId(),
+                            summary_id: summaryId,
+                            index: parseInt(index),
+                            name: '',
+                            admission_number: '',
+                            gender: '',
+                            date_of_birth: '',
+                            created_at: currentTime
+                        }
+                    },
+                    upsert: true
+                }
+            }));
+
+            if (bulkOps.length > 0) {
+                await db.collection('students').bulkWrite(bulkOps);
+            }
+
+            const rosterResult = await this.getStudentsBySummaryId(summaryId);
+
+            return {
+                success: true,
+                message: 'Subject enrollment saved successfully',
+                students: rosterResult.students
+            };
+        } catch (error) {
+            console.error('Model error saving enrollment:', error.message);
+            return {
+                success: false,
+                error: 'Failed to save subject enrollment: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Build placeholder roster entries for indexes 1..count
+     * @param {number} count - Number of students
+     * @returns {Array} Array of placeholder students
+     */
+    static buildPlaceholderRoster(count) {
+        const students = [];
+        for (let i = 1; i <= count; i++) {
+            students.push({
+                index: i,
+                name: StudentModel.getDisplayName(null, i),
+                admission_number: '',
+                gender: '',
+                date_of_birth: ''
+            });
+        }
+        return students;
+    }
+
+    /**
+     * Build a lookup of students keyed by index
+     * @param {Array} students - Roster array
+     * @returns {Map} Map of index -> student
+     */
+    static buildIndexLookup(students) {
+        const lookup = new Map();
+        (students || []).forEach(student => {
+            lookup.set(parseInt(student.index), student);
+        });
+        return lookup;
+    }
+
+    /**
+     * Get the name to display for a student, falling back to the index
+     * @param {Object|null} student - Student record
+     * @param {number} index - Student index
+     * @returns {string} Display name
+     */
+    static getDisplayName(student, index) {
+        if (student && student.name && student.name.trim()) {
+            return student.name.trim();
+        }
+        return `Student ${index}`;
+    }
+
+    /**
+     * Normalize a student object before saving
+     * @param {Object} student - Raw student data
+     * @returns {Object} Normalized student fields
+     */
+    static normalizeStudent(student) {
+        return {
+            index: parseInt(student.index),
+            name: (student.name || '').trim(),
+            admission_number: (student.admission_number || '').toString().trim(),
+            gender: student.gender || '',
+            date_of_birth: student.date_of_birth || ''
+        };
+    }
+
+    /**
+     * Validate a roster array. Every index must belong to the summary, whose marks rows run from
+     * 1 to its student count.
+     * @param {Array} students - Students to validate
+     * @param {number} studentCount - Student count of the summary
+     * @returns {Object} Validation result
+     */
+    static validateStudents(students, studentCount) {
+        if (!Array.isArray(students) || students.length === 0) {
+            return {
+                valid: false,
+                error: 'At least one student is required'
+            };
+        }
+
+        const seenIndexes = new Set();
+        const seenAdmissionNumbers = new Set();
+
+        for (let i = 0; i < students.length; i++) {
+            const student = students[i];
+
+            if (!student || typeof student !== 'object') {
+                return {
+                    valid: false,
+                    error: `Student at position ${i + 1} must be an object`
+                };
+            }
+
+            const index = parseInt(student.index);
+            if (isNaN(index) || index < 1) {
+                return {
+                    valid: false,
+                    error: `Valid index is required for student at position ${i + 1}`
+                };
+            }
+
+            if (index > studentCount) {
+                return {
+                    valid: false,
+                    error: `Student index ${index} is outside the class of ${studentCount} students`
+                };
+            }
+
+            if (seenIndexes.has(index)) {
+                return {
+                    valid: false,
+                    error: `Duplicate student index ${index}`
+                };
+            }
+            seenIndexes.add(index);
+
+            if (!student.name || typeof student.name !== 'string' || student.name.trim().length === 0) {
+                return {
+                    valid: false,
+                    error: `Name is required for student ${index}`
+                };
+            }
+
+            const admissionNumber = (student.admission_number || '').toString().trim();
+            if (admissionNumber) {
+                if (seenAdmissionNumbers.has(admissionNumber)) {
+                    return {
+                        valid: false,
+                        error: `Duplicate admission number ${admissionNumber}`
+                    };
+                }
+                seenAdmissionNumbers.add(admissionNumber);
+            }
+
+            if (student.gender && !ALLOWED_GENDERS.includes(student.gender)) {
+                return {
+                    valid: false,
+                    error: `Invalid gender for student ${index}. Allowed values: ${ALLOWED_GENDERS.join(', ')}`
+                };
+            }
+
+            if (student.date_of_birth && isNaN(Date.parse(student.date_of_birth))) {
+                return {
+                    valid: false,
+                    error: `Invalid date of birth for student ${index}`
+                };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Generate unique student ID
+     * @returns {string} Unique student ID
+     */
+    generateStudentId() {
+        return 'STU_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9).toUpperCase();
+    }
+}
+
+StudentModel.ALLOWED_GENDERS = ALLOWED_GENDERS;
+
+module.exports = StudentModel;
@@ -0,0 +1,187 @@
+const MaxMarksModel = require('./max_marks');
+
+class SubjectComponentModel {
+    /**
+     * Get the weighted components of a subject, or null when it is marked as a single number.
+     * Templates and summaries store components as { subject: [{ name, weight, max_mark }] }.
+     * @param {Object} source - Template or summary record
+     * @param {string} subject - Subject name
+     * @returns {Array|null} Components
+     */
+    static getComponents(source, subject) {
+        const components = source && source.components ? source.components[subject] : null;
+        return Array.isArray(components) && components.length > 0 ? components : null;
+    }
+
+    /**
+     * Validate the components of one subject: unique names, positive weights that add up to 100
+     * and a valid maximum mark for each component
+     * @param {Array} components - Components ({ name, weight, max_mark })
+     * @returns {Object} Validation result
+     */
+    static validateComponents(components) {
+        if (!Array.isArray(components) || components.length === 0) {
+            return { valid: false, error: 'At least one component is required' };
+        }
+
+        const names = new Set();
+        let totalWeight = 0;
+
+        for (const component of components) {
+            const name = component && typeof component.name === 'string' ? component.name.trim() : '';
+            if (!name) {
+                return { valid: false, error: 'Every component needs a name' };
+            }
+
+            if (names.has(name.toLowerCase())) {
+                return { valid: false, error: `Duplicate component: ${name}` };
+            }
+            names.add(name.toLowerCase());
+
+            const weight = parseFloat(component.weight);
+            if (isNaN(weight) || weight <= 0 || weight > 100) {
+                return { valid: false, error: `Weight of ${name} must be greater than 0 and at most 100` };
+            }
+            totalWeight += weight;
+
+            if (component.max_mark !== undefined) {
+                const maxMarkValidation = MaxMarksModel.validateMaxMark(component.max_mark);
+                if (!maxMarkValidation.valid) {
+                    return { valid: false, error: `${name}: ${maxMarkValidation.error}` };
+                }
+            }
+        }
+
+        if (Math.abs(totalWeight - 100) > 0.01) {
+            return { valid: false, error: `Component weights must add up to 100 (currently ${totalWeight})` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate a components map ({ subject: [components] })
+     * @param {Object} componentsMap - Components of each subject
+     * @param {Array} subjects - Subjects the components may belong to (optional)
+     * @returns {Object} Validation result
+     */
+    static validateSubjectComponents(componentsMap, subjects = null) {
+        if (componentsMap === undefined || componentsMap === null) {
+            return { valid: true };
+        }
+
+        if (typeof componentsMap !== 'object' || Array.isArray(componentsMap)) {
+            return { valid: false, error: 'Components must be an object of subject -> components' };
+        }
+
+        for (const subject of Object.keys(componentsMap)) {
+            if (subjects && !subjects.includes(subject)) {
+                return { valid: false, error: `Components given for unknown subject: ${subject}` };
+            }
+
+            const validation = SubjectComponentModel.validateComponents(componentsMap[subject]);
+            if (!validation.valid) {
+                return { valid: false, error: `${subject}: ${validation.error}` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Normalize a components map: trimmed names, numeric weights and maximum marks (defaulting to 100)
+     * @param {Object} componentsMap - Components of each subject
+     * @param {Array} subjects - Subjects to keep (optional)
+     * @returns {Object} Normalized components map
+     */
+    static normalizeSubjectComponents(componentsMap, subjects = null) {
+        const normalized = {};
+        Object.keys(componentsMap || {}).forEach(subject => {
+            if (subjects && !subjects.includes(subject)) return;
+            if (!Array.isArray(componentsMap[subject]) || componentsMap[subject].length === 0) return;
+
+            normalized[subject] = componentsMap[subject].map(component => ({
+                name: component.name.trim(),
+                weight: parseFloat(component.weight),
+                max_mark: parseFloat(component.max_mark) > 0 ? parseFloat(component.max_mark) : MaxMarksModel.DEFAULT_MAX_MARK
+            }));
+        });
+        return normalized;
+    }
+
+    /**
+     * Validate the component marks of one student
+     * @param {Object} componentMarks - Map of component name -> mark
+     * @param {Array} components - Subject components
+     * @returns {Object} Validation result
+     */
+    static validateComponentMarks(componentMarks, components) {
+        if (!componentMarks || typeof componentMarks !== 'object') {
+            return { valid: false, error: 'Component marks are required' };
+        }
+
+        for (const component of components) {
+            const value = componentMarks[component.name];
+            const mark = value === '' || value === null || value === undefined ? NaN : parseFloat(value);
+            const maxMark = component.max_mark || MaxMarksModel.DEFAULT_MAX_MARK;
+
+            if (isNaN(mark)) {
+                return { valid: false, error: `${component.name} mark is required` };
+            }
+
+            if (mark < 0 || mark > maxMark) {
+                return { valid: false, error: `${component.name} mark must be between 0 and ${maxMark}` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Calculate a subject total from its weighted components.
+     * Each component contributes (mark / component maximum) x weight%, scaled to the subject's maximum mark.
+     * @param {Object} componentMarks - Map of component name -> mark
+     * @param {Array} components - Subject components
+     * @param {number} maxMark - Maximum mark of the subject
+     * @returns {number|null} Subject total rounded to 2 decimal places, or null if a component is missing
+     */
+    static calculateTotal(componentMarks, components, maxMark = MaxMarksModel.DEFAULT_MAX_MARK) {
+        if (!componentMarks) return null;
+
+        let weightedPercentage = 0;
+        for (const component of components) {
+            const mark = parseFloat(componentMarks[component.name]);
+            if (isNaN(mark)) return null;
+
+            const componentMax = component.max_mark || MaxMarksModel.DEFAULT_MAX_MARK;
+            weightedPercentage += (mark / componentMax) * component.weight;
+        }
+
+        return Math.round((weightedPercentage / 100) * maxMark * 100) / 100;
+    }
+
+    /**
+     * Keep only the marks of known components, as numbers
+     * @param {Object} componentMarks - Map of component name -> mark
+     * @param {Array} components - Subject components
+     * @returns {Object} Cleaned component marks
+     */
+    static cleanComponentMarks(componentMarks, components) {
+        const cleaned = {};
+        components.forEach(component => {
+            cleaned[component.name] = parseFloat(componentMarks[component.name]);
+        });
+        return cleaned;
+    }
+
+    /**
+     * Describe a subject's components, e.g. "Theory 70% + Practical 30%"
+     * @param {Array} components - Subject components
+     * @returns {string} Description
+     */
+    static describe(components) {
+        return components.map(component => `${component.name} ${component.weight}%`).join(' + ');
+    }
+}
+
+module.exports = SubjectComponentModel;
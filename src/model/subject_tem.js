@@ -1,5 +1,7 @@
 const { dbConnection } = require('./db');
 const { ObjectId } = require('mongodb');
+const MaxMarksModel = require('./max_marks');
+const SubjectComponentModel = require('./subject_components');
 
 class SubjectTemplateModel {
     constructor() {
@@ -16,12 +18,12 @@ class SubjectTemplateModel {
 
     /**
      * Create a new subject template
-     * @param {Object} templateData - Template data {name, subjects}
+     * @param {Object} templateData - Template data {name, subjects, max_marks, components}
      * @returns {Promise<Object>} Created template with _id
      */
     async createTemplate(templateData) {
         try {
-            const { name, subjects } = templateData;
+            const { name, subjects, max_marks, components } = templateData;
 
             if (!name || !Array.isArray(subjects)) {
                 throw new Error('Invalid template data. Name and subjects array are required.');
@@ -30,6 +32,8 @@ class SubjectTemplateModel {
             const template = {
                 name: name.trim(),
                 subjects: subjects,
+                max_marks: SubjectTemplateModel.buildMaxMarks(subjects, max_marks),
+                components: SubjectComponentModel.normalizeSubjectComponents(components, subjects),
                 createdAt: new Date(),
                 updatedAt: new Date()
             };
@@ -43,6 +47,8 @@ class SubjectTemplateModel {
                     template_id: result.insertedId,
                     name: template.name,
                     subjects: template.subjects,
+                    max_marks: template.max_marks,
+                    components: template.components,
                     message: 'Template created successfully'
                 };
             } else {
@@ -72,6 +78,8 @@ class SubjectTemplateModel {
                     template_id: template._id,
                     name: template.name,
                     subjects: template.subjects,
+                    max_marks: SubjectTemplateModel.buildMaxMarks(template.subjects, template.max_marks),
+                    components: template.components || {},
                     createdAt: template.createdAt,
                     updatedAt: template.updatedAt
                 }))
@@ -107,6 +115,8 @@ class SubjectTemplateModel {
                         template_id: template._id,
                         name: template.name,
                         subjects: template.subjects,
+                        max_marks: SubjectTemplateModel.buildMaxMarks(template.subjects, template.max_marks),
+                        components: template.components || {},
                         createdAt: template.createdAt,
                         updatedAt: template.updatedAt
                     }
@@ -138,11 +148,15 @@ class SubjectTemplateModel {
                 throw new Error('Invalid template ID');
             }
 
-            const { name, subjects } = updateData;
+            const { name, subjects, max_marks, components } = updateData;
             const updateFields = { updatedAt: new Date() };
 
             if (name) updateFields.name = name.trim();
-            if (Array.isArray(subjects)) updateFields.subjects = subjects;
+            if (Array.isArray(subjects)) {
+                updateFields.subjects = subjects;
+                updateFields.max_marks = SubjectTemplateModel.buildMaxMarks(subjects, max_marks);
+                updateFields.components = SubjectComponentModel.normalizeSubjectComponents(components, subjects);
+            }
 
             const collection = this.getCollection();
             const result = await collection.updateOne(
@@ -223,6 +237,8 @@ class SubjectTemplateModel {
                     template_id: template._id,
                     name: template.name,
                     subjects: template.subjects,
+                    max_marks: SubjectTemplateModel.buildMaxMarks(template.subjects, template.max_marks),
+                    components: template.components || {},
                     createdAt: template.createdAt,
                     updatedAt: template.updatedAt
                 }))
@@ -259,6 +275,21 @@ class SubjectTemplateModel {
             return false;
         }
     }
+
+    /**
+     * Build the maximum mark of every subject, defaulting to 100
+     * @param {Array} subjects - Subject names
+     * @param {Object} maxMarks - Map of subject -> maximum mark
+     * @returns {Object} Map of subject -> maximum mark
+     */
+    static buildMaxMarks(subjects, maxMarks = {}) {
+        const result = {};
+        (subjects || []).forEach(subject => {
+            const maxMark = maxMarks ? parseFloat(maxMarks[subject]) : NaN;
+            result[subject] = maxMark > 0 ? maxMark : MaxMarksModel.DEFAULT_MAX_MARK;
+        });
+        return result;
+    }
 }
 
 module.exports = SubjectTemplateModel;
\ No newline at end of file
@@ -1,9 +1,22 @@
 const { v4: uuidv4 } = require('uuid');
 const { dbConnection } = require('./db');
+const StudentModel = require('./student');
+const MarkStatusModel = require('./mark_status');
+const MaxMarksModel = require('./max_marks');
+const SubjectComponentModel = require('./subject_components');
+const AggregationModel = require('./aggregation');
+const EnrollmentModel = require('./enrollment');
+const LifecycleModel = require('./lifecycle');
+const MarkReviewModel = require('./mark_review');
+const { liveUpdates } = require('./live_updates');
+
+// Classes listed by getSummaryStatistics as having the most marks still pending
+const STATISTICS_PENDING_CLASSES = 5;
 
 class SummaryInitModel {
     constructor() {
         this.db = null;
+        this.studentModel = new StudentModel();
         this.initializeDatabase();
     }
 
@@ -174,6 +187,7 @@ class SummaryInitModel {
         try {
             let summaries = [];
             let subjects = [];
+            let completion = {};
 
             const db = await this.getDb();
             
@@ -188,6 +202,10 @@ class SummaryInitModel {
                 // Get summaries from database
                 summaries = await db.collection('summaries').find(query).toArray();
                 console.log(`Found ${summaries.length} summaries`);
+
+                // Attach each summary's test weights and weighted final class average
+                summaries = await this.attachFinalResults(db, summaries);
+                summaries = await this.attachReviews(db, summaries);
                 
                 // Get subjects from marks collection
                 if (summaries.length > 0 || (filters.year && filters.name && filters.test)) {
@@ -259,6 +277,12 @@ class SummaryInitModel {
                         }
                         console.log('Using fallback subjects:', subjects);
                     }
+
+                    // Completion of each subject, for the subject cards of the selected test
+                    const testNum = filters.test ? filters.test.replace(/\D/g, '') : '';
+                    if (summaries.length === 1 && testNum && subjects.length > 0) {
+                        completion = await this.getTestCompletion(db, summaries[0], parseInt(testNum), subjects);
+                    }
                 }
             } else {
                 // Fallback for when database is not connected
@@ -288,6 +312,7 @@ class SummaryInitModel {
                 success: true,
                 summaries: summaries,
                 subjects: subjects,
+                completion: completion,
                 filters: filters
             };
         } catch (error) {
@@ -338,7 +363,7 @@ class SummaryInitModel {
      */
     async createSummary(summaryData) {
         try {
-            const { name, year, test_count, student_count } = summaryData;
+            const { name, year, test_count, student_count, max_marks, components, test_weights } = summaryData;
 
             // Validate required fields
             if (!name || !year || !test_count || !student_count) {
@@ -367,6 +392,9 @@ class SummaryInitModel {
                 year: parseInt(year),
                 test_count: parseInt(test_count),
                 student_count: parseInt(student_count),
+                max_marks: MaxMarksModel.normalizeTestMaxMarks(max_marks),
+                components: SubjectComponentModel.normalizeSubjectComponents(components),
+                test_weights: test_weights ? AggregationModel.normalizeTestWeights(test_weights, parseInt(test_count)) : null,
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             };
@@ -425,7 +453,7 @@ class SummaryInitModel {
 
             // Process each marks record
             for (const markRecord of marksData) {
-                const { summary_id, test_number, index, marks } = markRecord;
+                const { summary_id, test_number, index, marks, student_id } = markRecord;
 
                 // Validate required fields
                 if (!summary_id || !test_number || !index || !marks) {
@@ -441,7 +469,9 @@ class SummaryInitModel {
                     summary_id: summary_id,
                     test_number: parseInt(test_number),
                     index: parseInt(index),
+                    student_id: student_id || null,
                     marks: marks,
+                    mark_status: MarkStatusModel.buildInitialStatuses(marks),
                     created_at: new Date().toISOString(),
                     updated_at: new Date().toISOString()
                 };
@@ -483,7 +513,7 @@ class SummaryInitModel {
     async initializeSummary(initData) {
         try {
             console.log('Starting summary initialization...');
-            const { summary, marks, subjects } = initData;
+            const { summary, marks, subjects, students } = initData;
 
             // Validate input data
             if (!summary || !marks || !subjects) {
@@ -502,14 +532,36 @@ class SummaryInitModel {
                 return summaryResult;
             }
 
-            console.log('Summary created successfully, updating marks with correct summary ID...');
-            
-            // Update all marks to use the actual summary ID from the database
             const actualSummaryId = summaryResult.summary.id;
-            const updatedMarks = marks.map(mark => ({
-                ...mark,
-                summary_id: actualSummaryId
-            }));
+
+            console.log('Summary created successfully, creating student roster...');
+
+            // Create the roster, using placeholders when no students were supplied
+            const studentsData = Array.isArray(students) && students.length > 0
+                ? students
+                : StudentModel.buildPlaceholderRoster(summaryResult.summary.student_count);
+
+            const studentsResult = await this.studentModel.createStudents(actualSummaryId, studentsData);
+            if (!studentsResult.success) {
+                console.log('Failed to create students:', studentsResult.error);
+                return {
+                    success: false,
+                    error: 'Failed to create students: ' + studentsResult.error
+                };
+            }
+
+            console.log('Roster created, updating marks with correct summary and student IDs...');
+
+            // Update all marks to use the actual summary ID and the stable student ID
+            const studentLookup = StudentModel.buildIndexLookup(studentsResult.students);
+            const updatedMarks = marks.map(mark => {
+                const student = studentLookup.get(parseInt(mark.index));
+                return {
+                    ...mark,
+                    summary_id: actualSummaryId,
+                    student_id: student ? student.id : null
+                };
+            });
             
             console.log(`Updated ${updatedMarks.length} marks records to use summary ID: ${actualSummaryId}`);
             
@@ -530,6 +582,7 @@ class SummaryInitModel {
                 message: 'Summary report initialized successfully',
                 data: {
                     summary: summaryResult.summary,
+                    students: studentsResult.students,
                     marks: marksResult.marks,
                     subjects: subjects,
                     totalMarksRecords: marksResult.count
@@ -654,6 +707,15 @@ class SummaryInitModel {
                 };
             }
 
+            // Issued report cards must not disappear
+            if (LifecycleModel.hasLock(existingSummary)) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: 'Summary has locked tests; unlock them before deleting'
+                };
+            }
+
             try {
                 // Start by deleting all marks associated with this summary
                 console.log(`Deleting marks for summary ID: ${summaryId}`);
@@ -663,6 +725,34 @@ class SummaryInitModel {
                 
                 console.log(`Deleted ${marksDeleteResult.deletedCount} marks records`);
 
+                const studentsDeleteResult = await db.collection('students').deleteMany({
+                    summary_id: summaryId
+                });
+
+                console.log(`Deleted ${studentsDeleteResult.deletedCount} student records`);
+
+                await db.collection('mark_history').deleteMany({
+                    summary_id: summaryId
+                });
+
+                await db.collection('mark_reviews').deleteMany({
+                    summary_id: summaryId
+                });
+
+                await db.collection('double_entries').deleteMany({
+                    summary_id: summaryId
+                });
+
+                await db.collection('mark_drafts').deleteMany({
+                    summary_id: summaryId
+                });
+
+                // Offline sync records are kept by class and year rather than summary ID
+                await db.collection('mark_operations').deleteMany({
+                    year: existingSummary.year,
+                    className: existingSummary.name
+                });
+
                 // Then delete the summary itself
                 console.log(`Deleting summary with ID: ${summaryId}`);
                 const summaryDeleteResult = await db.collection('summaries').deleteOne({ 
@@ -684,6 +774,7 @@ class SummaryInitModel {
                     data: {
                         summaryId: summaryId,
                         deletedMarksCount: marksDeleteResult.deletedCount,
+                        deletedStudentsCount: studentsDeleteResult.deletedCount,
                         summaryName: existingSummary.name,
                         summaryYear: existingSummary.year
                     }
@@ -703,6 +794,591 @@ class SummaryInitModel {
         }
     }
 
+    /**
+     * Add the test weights and weighted final class average to each summary
+     * @param {Object} db - Database instance
+     * @param {Array} summaries - Summary records
+     * @returns {Promise<Array>} Summaries with a final_result field
+     */
+    async attachFinalResults(db, summaries) {
+        if (summaries.length === 0) {
+            return summaries;
+        }
+
+        const marks = await db.collection('marks').find(
+            { summary_id: { $in: summaries.map(summary => summary.id) } },
+            { projection: { summary_id: 1, test_number: 1, index: 1, marks: 1, mark_status: 1 } }
+        ).toArray();
+
+        // Rosters carry each student's enrolled subjects
+        const students = await db.collection('students').find(
+            { summary_id: { $in: summaries.map(summary => summary.id) } },
+            { projection: { summary_id: 1, index: 1, name: 1, admission_number: 1, enrolled_subjects: 1 } }
+        ).toArray();
+
+        return summaries.map(summary => {
+            const finalResults = AggregationModel.buildFinalResults(
+                summary,
+                marks.filter(mark => mark.summary_id === summary.id),
+                students.filter(student => student.summary_id === summary.id)
+            );
+
+            return {
+                ...summary,
+                final_result: {
+                    test_weights: finalResults.weights,
+                    class_average: finalResults.overall_average
+                }
+            };
+        });
+    }
+
+    /**
+     * Get the completion percentage of each subject of a test, over the students who take it
+     * @param {Object} db - Database instance
+     * @param {Object} summary - Summary record
+     * @param {number} testNumber - Test number
+     * @param {Array} subjects - Subject names
+     * @returns {Promise<Object>} Map of subject -> completion percentage
+     */
+    async getTestCompletion(db, summary, testNumber, subjects) {
+        const records = await db.collection('marks').find(
+            { summary_id: summary.id, test_number: testNumber },
+            { projection: { index: 1, marks: 1, mark_status: 1 } }
+        ).toArray();
+        const roster = await db.collection('students').find(
+            { summary_id: summary.id },
+            { projection: { index: 1, enrolled_subjects: 1 } }
+        ).toArray();
+        const studentLookup = StudentModel.buildIndexLookup(roster);
+
+        const completion = {};
+        subjects.forEach(subject => {
+            const entries = records
+                .filter(record => EnrollmentModel.isEnrolled(studentLookup.get(record.index), subject))
+                .map(record => ({
+                    mark: record.marks ? record.marks[subject] : null,
+                    status: MarkStatusModel.getStatus(record, subject)
+                }));
+            completion[subject] = MarkStatusModel.summarize(
+                entries,
+                EnrollmentModel.countEnrolled(studentLookup, summary.student_count, subject)
+            ).completion_percentage;
+        });
+        return completion;
+    }
+
+    /**
+     * Add the moderation state of each summary's subjects: counts by state and the state of each test and subject
+     * @param {Object} db - Database instance
+     * @param {Array} summaries - Summary records
+     * @returns {Promise<Array>} Summaries with a reviews field ({ counts, states: { testNumber: { subject: state } } })
+     */
+    async attachReviews(db, summaries) {
+        if (summaries.length === 0) {
+            return summaries;
+        }
+
+        const reviews = await db.collection('mark_reviews').find(
+            { summary_id: { $in: summaries.map(summary => summary.id) } },
+            { projection: { summary_id: 1, test_number: 1, subject: 1, state: 1 } }
+        ).toArray();
+
+        return summaries.map(summary => {
+            const summaryReviews = reviews.filter(review => review.summary_id === summary.id);
+            const states = {};
+            summaryReviews.forEach(review => {
+                states[review.test_number] = states[review.test_number] || {};
+                states[review.test_number][review.subject] = MarkReviewModel.getState(review);
+            });
+
+            return {
+                ...summary,
+                reviews: {
+                    counts: MarkReviewModel.countByState(summaryReviews),
+                    states: states
+                }
+            };
+        });
+    }
+
+    /**
+     * Get the weight of each test in the final result of a summary
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Object>} Result with test weights
+     */
+    async getTestWeights(summaryId) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            return {
+                success: true,
+                summary_id: summaryId,
+                test_count: summary.test_count,
+                is_default: !summary.test_weights,
+                test_weights: AggregationModel.getTestWeights(summary)
+            };
+        } catch (error) {
+            console.error('Error fetching test weights:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch test weights: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Update the weight of each test in the final result of a summary
+     * @param {string} summaryId - Summary ID
+     * @param {Object} testWeights - Map of test number -> weight (adding up to 100)
+     * @returns {Promise<Object>} Update result
+     */
+    async updateTestWeights(summaryId, testWeights) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            // Weights change the final result of every test
+            if (LifecycleModel.hasLock(summary)) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: 'Summary has locked tests; unlock them before changing test weights'
+                };
+            }
+
+            const validation = AggregationModel.validateTestWeights(testWeights, summary.test_count);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error
+                };
+            }
+
+            const normalized = AggregationModel.normalizeTestWeights(testWeights, summary.test_count);
+
+            await db.collection('summaries').updateOne(
+                { id: summaryId },
+                { $set: { test_weights: normalized, updated_at: new Date().toISOString() } }
+            );
+
+            return {
+                success: true,
+                message: 'Test weights updated successfully',
+                test_weights: normalized
+            };
+        } catch (error) {
+            console.error('Error updating test weights:', error.message);
+            return {
+                success: false,
+                error: 'Failed to update test weights: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the maximum marks of every subject and test in a summary
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Object>} Result with subjects and per-test maximum marks
+     */
+    async getMaxMarks(summaryId) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const sampleMark = await db.collection('marks').findOne({ summary_id: summaryId });
+            const subjects = sampleMark && sampleMark.marks ? Object.keys(sampleMark.marks) : [];
+
+            const maxMarks = {};
+            for (let testNumber = 1; testNumber <= summary.test_count; testNumber++) {
+                maxMarks[testNumber] = MaxMarksModel.getMaxMarksForTest(summary, subjects, testNumber);
+            }
+
+            return {
+                success: true,
+                summary_id: summaryId,
+                test_count: summary.test_count,
+                subjects: subjects,
+                max_marks: maxMarks
+            };
+        } catch (error) {
+            console.error('Error fetching maximum marks:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch maximum marks: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Update the maximum marks of a summary.
+     * A maximum cannot drop below a mark that has already been entered against it.
+     * @param {string} summaryId - Summary ID
+     * @param {Object} maxMarks - Per-test maximum marks ({ testNumber: { subject: maxMark } })
+     * @returns {Promise<Object>} Update result
+     */
+    async updateMaxMarks(summaryId, maxMarks) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const validation = MaxMarksModel.validateTestMaxMarks(maxMarks, summary.test_count);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error
+                };
+            }
+
+            const merged = MaxMarksModel.normalizeTestMaxMarks(summary.max_marks);
+            const updates = MaxMarksModel.normalizeTestMaxMarks(maxMarks);
+
+            const lockedTest = Object.keys(updates).find(testNumber => LifecycleModel.isTestLocked(summary, parseInt(testNumber)));
+            if (lockedTest) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: `Test ${lockedTest} is locked; unlock it before changing its maximum marks`
+                };
+            }
+            Object.keys(updates).forEach(testNumber => {
+                merged[testNumber] = { ...(merged[testNumber] || {}), ...updates[testNumber] };
+            });
+
+            // Reject maximums that existing marks already exceed
+            for (const testNumber of Object.keys(updates)) {
+                for (const subject of Object.keys(updates[testNumber])) {
+                    const exceeding = await db.collection('marks').countDocuments({
+                        summary_id: summaryId,
+                        test_number: parseInt(testNumber),
+                        [`marks.${subject}`]: { $gt: updates[testNumber][subject] }
+                    });
+
+                    if (exceeding > 0) {
+                        return {
+                            success: false,
+                            error: `${exceeding} student(s) already have a ${subject} mark above ${updates[testNumber][subject]} in test ${testNumber}`
+                        };
+                    }
+                }
+            }
+
+            await db.collection('summaries').updateOne(
+                { id: summaryId },
+                { $set: { max_marks: merged, updated_at: new Date().toISOString() } }
+            );
+
+            return {
+                success: true,
+                message: 'Maximum marks updated successfully',
+                max_marks: merged
+            };
+        } catch (error) {
+            console.error('Error updating maximum marks:', error.message);
+            return {
+                success: false,
+                error: 'Failed to update maximum marks: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the subjects each student of a summary takes
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Object>} Result with subjects and each student's enrolled subjects
+     */
+    async getEnrollment(summaryId) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const sampleMark = await db.collection('marks').findOne({ summary_id: summaryId });
+            const subjects = sampleMark && sampleMark.marks ? Object.keys(sampleMark.marks) : [];
+
+            const rosterResult = await this.studentModel.getStudentsBySummaryId(summaryId);
+            const studentLookup = StudentModel.buildIndexLookup(rosterResult.students);
+
+            const students = [];
+            for (let index = 1; index <= summary.student_count; index++) {
+                const student = studentLookup.get(index);
+                students.push({
+                    index: index,
+                    name: StudentModel.getDisplayName(student, index),
+                    admission_number: student ? student.admission_number : '',
+                    enrolled_subjects: EnrollmentModel.getEnrolledSubjects(student, subjects)
+                });
+            }
+
+            return {
+                success: true,
+                summary_id: summaryId,
+                subjects: subjects,
+                students: students
+            };
+        } catch (error) {
+            console.error('Error fetching enrollment:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch subject enrollment: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Update the subjects students of a summary take.
+     * Marks already entered for a dropped subject are kept but no longer count anywhere.
+     * @param {string} summaryId - Summary ID
+     * @param {Object} enrollment - Map of student index -> enrolled subjects
+     * @returns {Promise<Object>} Update result
+     */
+    async updateEnrollment(summaryId, enrollment) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            // Enrollment decides which marks count in every test
+            if (LifecycleModel.hasLock(summary)) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: 'Summary has locked tests; unlock them before changing subject enrollment'
+                };
+            }
+
+            const sampleMark = await db.collection('marks').findOne({ summary_id: summaryId });
+            const subjects = sampleMark && sampleMark.marks ? Object.keys(sampleMark.marks) : [];
+
+            const validation = EnrollmentModel.validateEnrollment(enrollment, subjects, summary.student_count);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error
+                };
+            }
+
+            const normalized = {};
+            Object.keys(enrollment).forEach(index => {
+                normalized[parseInt(index)] = EnrollmentModel.normalizeSubjects(enrollment[index], subjects);
+            });
+
+            return await this.studentModel.saveEnrollment(summaryId, normalized);
+        } catch (error) {
+            console.error('Error updating enrollment:', error.message);
+            return {
+                success: false,
+                error: 'Failed to update subject enrollment: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Get the lifecycle of a summary and each of its tests, with the log of state changes
+     * @param {string} summaryId - Summary ID
+     * @returns {Promise<Object>} Result with summary_state, test_states and log
+     */
+    async getLifecycle(summaryId) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            return {
+                success: true,
+                summary_id: summaryId,
+                summary_state: LifecycleModel.getSummaryState(summary),
+                test_states: LifecycleModel.getTestStates(summary),
+                log: (summary.lifecycle_log || []).slice().reverse()
+            };
+        } catch (error) {
+            console.error('Error fetching lifecycle:', error.message);
+            return {
+                success: false,
+                error: 'Failed to fetch lifecycle: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Move a summary (testNumber null) or one of its tests to another lifecycle state.
+     * With unlock set, a locked item goes back to approved and the reason is logged.
+     * @param {string} summaryId - Summary ID
+     * @param {number|null} testNumber - Test number, or null for the summary itself
+     * @param {Object} change - { state } or { unlock: true, reason }
+     * @param {Object} context - { changed_by }
+     * @returns {Promise<Object>} Update result
+     */
+    async updateLifecycle(summaryId, testNumber, change, context = {}) {
+        try {
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const summary = await db.collection('summaries').findOne({ id: summaryId });
+            if (!summary) {
+                return {
+                    success: false,
+                    error: 'Summary not found'
+                };
+            }
+
+            const isTest = testNumber !== null && testNumber !== undefined;
+            if (isTest && (isNaN(parseInt(testNumber)) || parseInt(testNumber) < 1 || parseInt(testNumber) > summary.test_count)) {
+                return {
+                    success: false,
+                    error: `Test number must be between 1 and ${summary.test_count}`
+                };
+            }
+
+            const from = isTest ? LifecycleModel.getTestState(summary, testNumber) : LifecycleModel.getSummaryState(summary);
+            const to = change.unlock ? LifecycleModel.UNLOCKED_STATE : change.state;
+            const validation = change.unlock
+                ? LifecycleModel.validateUnlock(from, change.reason)
+                : LifecycleModel.validateTransition(from, to);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error
+                };
+            }
+
+            const field = isTest ? `test_states.${parseInt(testNumber)}` : 'lifecycle_state';
+            const logEntry = LifecycleModel.buildLogEntry(isTest ? testNumber : null, from, to, {
+                changed_by: context.changed_by,
+                reason: change.unlock ? change.reason : null
+            });
+
+            await db.collection('summaries').updateOne(
+                { id: summaryId },
+                {
+                    $set: { [field]: to, updated_at: logEntry.changed_at },
+                    $push: { lifecycle_log: logEntry }
+                }
+            );
+
+            // Pages open on the summary switch between editable and read-only without a reload
+            const updatedSummary = await db.collection('summaries').findOne({ id: summaryId });
+            const testStates = LifecycleModel.getTestStates(updatedSummary);
+            liveUpdates.publish(summaryId, 'lifecycle', {
+                test_number: logEntry.test_number,
+                state: to,
+                summary_state: LifecycleModel.getSummaryState(updatedSummary),
+                test_states: testStates,
+                locked_tests: Object.keys(testStates).map(Number).filter(number => LifecycleModel.isTestLocked(updatedSummary, number)),
+                changed_by: context.changed_by || null
+            });
+
+            const label = isTest ? `Test ${parseInt(testNumber)}` : 'Summary';
+            return {
+                success: true,
+                message: change.unlock ? `${label} unlocked` : `${label} moved to ${LifecycleModel.STATE_LABELS[to]}`,
+                test_number: logEntry.test_number,
+                state: to,
+                log_entry: logEntry
+            };
+        } catch (error) {
+            console.error('Error updating lifecycle:', error.message);
+            return {
+                success: false,
+                error: 'Failed to update lifecycle: ' + error.message
+            };
+        }
+    }
+
     /**
      * Generate unique summary ID
      * @returns {string} Unique summary ID
@@ -722,9 +1398,10 @@ class SummaryInitModel {
     /**
      * Validate marks data structure
      * @param {Object} marks - Marks object
+     * @param {Object} maxMarks - Map of subject -> maximum mark (defaults to 100)
      * @returns {Object} Validation result
      */
-    static validateMarks(marks) {
+    static validateMarks(marks, maxMarks = {}) {
         if (!marks || typeof marks !== 'object') {
             return {
                 valid: false,
@@ -743,10 +1420,11 @@ class SummaryInitModel {
         // Validate each mark value
         for (const subject of subjects) {
             const mark = marks[subject];
-            if (typeof mark !== 'number' || mark < 0 || mark > 100) {
+            const maxMark = maxMarks[subject] || MaxMarksModel.DEFAULT_MAX_MARK;
+            if (typeof mark !== 'number' || mark < 0 || mark > maxMark) {
                 return {
                     valid: false,
-                    error: `Invalid mark for ${subject}. Marks must be numbers between 0 and 100`
+                    error: `Invalid mark for ${subject}. Marks must be numbers between 0 and ${maxMark}`
                 };
             }
         }
@@ -758,23 +1436,119 @@ class SummaryInitModel {
     }
 
     /**
-     * Get summary statistics
+     * Get statistics across every summary: totals, a breakdown by year, how far marks entry has got
+     * and the classes with the most marks still pending
      * @returns {Promise<Object>} Summary statistics
      */
     async getSummaryStatistics() {
         try {
-            // Simulate database queries for statistics
-            const stats = {
-                total_summaries: 0,
-                total_students: 0,
-                total_marks_records: 0,
-                years_covered: [],
-                most_recent_summary: null
+            const db = await this.getDb();
+            if (!db) {
+                return {
+                    success: false,
+                    error: 'Database connection not available'
+                };
+            }
+
+            const [summaries, yearGroups, recentSummaries, [markStats]] = await Promise.all([
+                db.collection('summaries').find(
+                    {},
+                    { projection: { id: 1, name: 1, year: 1, student_count: 1 } }
+                ).toArray(),
+                db.collection('summaries').aggregate([
+                    {
+                        $group: {
+                            _id: '$year',
+                            summary_count: { $sum: 1 },
+                            student_count: { $sum: '$student_count' },
+                            classes: { $push: '$name' }
+                        }
+                    },
+                    { $sort: { _id: -1 } }
+                ]).toArray(),
+                db.collection('summaries').aggregate([
+                    { $sort: { created_at: -1 } },
+                    { $limit: 1 },
+                    { $project: { _id: 0, id: 1, name: 1, year: 1, created_at: 1 } }
+                ]).toArray(),
+                db.collection('marks').aggregate(this.buildMarkStatusPipeline()).toArray()
+            ]);
+
+            // Fold the status counts of each summary into its year and the overall totals
+            const emptyCounts = () => ({ entered: 0, absent: 0, exempt: 0, medical: 0, pending: 0 });
+            const summaryCounts = new Map();
+            markStats.statuses.forEach(group => {
+                const counts = summaryCounts.get(group._id.summary_id) || emptyCounts();
+                counts[group._id.status] += group.count;
+                summaryCounts.set(group._id.summary_id, counts);
+            });
+            const recordCounts = new Map(markStats.records.map(group => [group._id, group.count]));
+
+            const addCounts = (total, counts) => {
+                Object.keys(total).forEach(status => {
+                    total[status] += counts[status];
+                });
+                return total;
+            };
+            const describeEntry = counts => {
+                const expected = counts.entered + counts.absent + counts.medical + counts.pending;
+                const recorded = counts.entered + counts.absent + counts.medical;
+                return {
+                    ...counts,
+                    completion_percentage: expected > 0 ? parseFloat(((recorded / expected) * 100).toFixed(2)) : 100
+                };
             };
 
+            const overall = emptyCounts();
+            const yearCounts = new Map();
+            summaries.forEach(summary => {
+                const counts = summaryCounts.get(summary.id) || emptyCounts();
+                addCounts(overall, counts);
+                yearCounts.set(summary.year, addCounts(yearCounts.get(summary.year) || emptyCounts(), counts));
+            });
+
+            const byYear = yearGroups.map(group => {
+                const entry = describeEntry(yearCounts.get(group._id) || emptyCounts());
+                return {
+                    year: group._id,
+                    summary_count: group.summary_count,
+                    student_count: group.student_count,
+                    marks_records: summaries
+                        .filter(summary => summary.year === group._id)
+                        .reduce((sum, summary) => sum + (recordCounts.get(summary.id) || 0), 0),
+                    classes: group.classes.sort(),
+                    pending_marks: entry.pending,
+                    completion_percentage: entry.completion_percentage
+                };
+            });
+
+            const mostPendingClasses = summaries
+                .map(summary => {
+                    const entry = describeEntry(summaryCounts.get(summary.id) || emptyCounts());
+                    return {
+                        summary_id: summary.id,
+                        name: summary.name,
+                        year: summary.year,
+                        pending_marks: entry.pending,
+                        completion_percentage: entry.completion_percentage
+                    };
+                })
+                .filter(summary => summary.pending_marks > 0)
+                .sort((a, b) => b.pending_marks - a.pending_marks)
+                .slice(0, STATISTICS_PENDING_CLASSES);
+
             return {
                 success: true,
-                statistics: stats
+                statistics: {
+                    total_summaries: summaries.length,
+                    total_students: yearGroups.reduce((sum, group) => sum + group.student_count, 0),
+                    total_marks_records: markStats.records.reduce((sum, group) => sum + group.count, 0),
+                    years_covered: yearGroups.map(group => group._id),
+                    most_recent_summary: recentSummaries[0] || null,
+                    marks_entry: describeEntry(overall),
+                    by_year: byYear,
+                    most_pending_classes: mostPendingClasses
+                }
             };
         } catch (error) {
             console.error('Error fetching statistics:', error.message);
@@ -784,6 +1558,114 @@ class SummaryInitModel {
             };
         }
     }
+
+    /**
+     * Pipeline counting marks records per summary, and subject marks per summary and status.
+     * Subjects a student does not take are left out; statuses are resolved like MarkStatusModel.getStatus.
+     * The student of each record is looked up through the students (summary_id, index) index StudentModel creates.
+     * @returns {Array} Aggregation pipeline with one result: { records, statuses }
+     */
+    buildMarkStatusPipeline() {
+        const storedStatus = {
+            $arrayElemAt: [
+                {
+                    $map: {
+                        input: {
+                            $filter: {
+                                input: { $objectToArray: { $ifNull: ['$mark_status', {}] } },
+                                cond: { $eq: ['$$this.k', '$subject.k'] }
+                            }
+                        },
+                        in: '$$this.v'
+                    }
+                },
+                0
+            ]
+        };
+
+        return [
+            { $project: { summary_id: 1, index: 1, marks: 1, mark_status: 1 } },
+            {
+                $facet: {
+                    records: [
+                        { $group: { _id: '$summary_id', count: { $sum: 1 } } }
+                    ],
+                    statuses: [
+                        {
+                            $lookup: {
+                                from: 'students',
+                                let: { summaryId: '$summary_id', index: '$index' },
+                                pipeline: [
+                                    {
+                                        $match: {
+                                            $expr: {
+                                                $and: [
+                                                    { $eq: ['$summary_id', '$$summaryId'] },
+                                                    { $eq: ['$index', '$$index'] }
+                                                ]
+                                            }
+                                        }
+                                    },
+                                    { $project: { _id: 0, enrolled_subjects: 1 } }
+                                ],
+                                as: 'student'
+                            }
+                        },
+                        {
+                            $project: {
+                                summary_id: 1,
+                                mark_status: 1,
+                                enrolled_subjects: { $arrayElemAt: ['$student.enrolled_subjects', 0] },
+                                subject: { $objectToArray: { $ifNull: ['$marks', {}] } }
+                            }
+                        },
+                        { $unwind: '$subject' },
+                        // Students with an enrollment list only take the subjects on it
+                        {
+                            $match: {
+                                $expr: {
+                                    $or: [
+                                        { $not: [{ $isArray: '$enrolled_subjects' }] },
+                                        { $in: ['$subject.k', '$enrolled_subjects'] }
+                                    ]
+                                }
+                            }
+                        },
+                        {
+                            $project: {
+                                summary_id: 1,
+                                status: {
+                                    $let: {
+                                        vars: { stored: storedStatus },
+                                        in: {
+                                            $cond: [
+                                                { $in: ['$$stored', MarkStatusModel.MARK_STATUSES] },
+                                                '$$stored',
+                                                {
+                                                    // Records saved before statuses existed: a mark above 0 was entered
+                                                    $cond: [
+                                                        {
+                                                            $and: [
+                                                                { $in: [{ $type: '$subject.v' }, ['double', 'int', 'long', 'decimal']] },
+                                                                { $gt: ['$subject.v', 0] }
+                                                            ]
+                                                        },
+                                                        'entered',
+                                                        'pending'
+                                                    ]
+                                                }
+                                            ]
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        { $group: { _id: { summary_id: '$summary_id', status: '$status' }, count: { $sum: 1 } } }
+                    ]
+                }
+            }
+        ];
+    }
 }
 
 module.exports = SummaryInitModel;
\ No newline at end of file
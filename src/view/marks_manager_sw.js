@@ -0,0 +1,42 @@
+// Service worker of the marks manager. It keeps the last copy of the page, its scripts and the students
+// it loaded, so the page still opens without a connection and marks entered there can be queued for sync.
+const CACHE_NAME = 'marks-manager-v1';
+const CACHED_PATHS = ['/marks_manager', '/src/data_structures/selection_sort.js', '/api/marks/students'];
+const CACHED_HOSTS = ['cdn.tailwindcss.com'];
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('marks-manager-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isCached(request) {
+    const url = new URL(request.url);
+    if (CACHED_HOSTS.includes(url.hostname)) return true;
+    return url.origin === self.location.origin && CACHED_PATHS.includes(url.pathname);
+}
+
+// Network first, so marks are always fresh online; the cached copy is only used when the network fails
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || !isCached(request)) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+                .then(cached => cached || Response.error()))
+    );
+});